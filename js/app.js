@@ -6,6 +6,14 @@ class WhiteboardApp {
     constructor() {
         this.canvasManager = null;
         this.fileOperations = null;
+        this.clipboardManager = null;
+        this.historyPanel = null;
+        this.layersPanel = null;
+        this.documentManager = null;
+        this.collaboration = null;
+        this.presence = null;
+        this.tabSync = null;
+        this.pwa = null;
         this.currentTheme = 'light';
         
         this.initializeApp();
@@ -34,6 +42,31 @@ class WhiteboardApp {
             // Initialize file operations
             this.fileOperations = new FileOperations(this.canvasManager);
             
+            // Initialize clipboard support
+            this.clipboardManager = new ClipboardManager(this.canvasManager);
+            
+            // Initialize history panel
+            this.historyPanel = new HistoryPanel(this.canvasManager);
+            
+            // Initialize layers panel
+            this.layersPanel = new LayersPanel(this.canvasManager);
+            
+            // Initialize named documents
+            this.documentManager = new DocumentManager(this.canvasManager, this.fileOperations);
+            
+            // Initialize real-time collaboration
+            this.collaboration = new CollaborationManager(this.canvasManager);
+            
+            // Initialize live cursors and presence
+            this.presence = new PresenceManager(this.canvasManager, this.collaboration);
+            
+            // Initialize sync between tabs of this browser
+            this.tabSync = new TabSync(this.canvasManager);
+            
+            // Initialize offline support, installation and updates
+            this.pwa = new PWAManager(this.canvasManager, this.fileOperations, this.documentManager);
+            this.pwa.register();
+            
             // Setup UI components
             this.setupUI();
             
@@ -46,8 +79,16 @@ class WhiteboardApp {
             // Setup keyboard shortcuts
             this.setupKeyboardShortcuts();
             
-            // Check for auto-save
-            this.checkAutoSave();
+            // Open the last document (board and undo history); offer auto-saved
+            // versions if it is empty or a tab crashed
+            Promise.all([this.documentManager.init(), this.tabSync.markRunning()]).then(([restored, crashed]) => {
+                if (!restored || crashed) {
+                    this.checkAutoSave();
+                }
+                
+                // Files the app was launched with open once the last board is back
+                this.pwa.enableFileHandling();
+            });
             
             // Enable auto-save
             this.fileOperations.enableAutoSave();
@@ -66,9 +107,11 @@ class WhiteboardApp {
     setupUI() {
         this.setupToolButtons();
         this.setupColorPicker();
+        this.setupNoteColors();
         this.setupSliders();
         this.setupLineStyles();
         this.setupFillOptions();
+        this.setupConnectorOptions();
         this.setupThemeToggle();
         this.setupFullscreen();
     }
@@ -118,11 +161,32 @@ class WhiteboardApp {
             });
         });
         
-        // Set default color
-        this.setColor('#000000');
+        // Black is the tools' default color; saved settings are applied later
         colorPresets[0].classList.add('active');
     }
 
+    /**
+     * Setup the sticky note palette (separate from the drawing color)
+     */
+    setupNoteColors() {
+        document.querySelectorAll('.note-color').forEach(preset => {
+            preset.addEventListener('click', (e) => {
+                this.setNoteColor(e.currentTarget.dataset.color);
+            });
+        });
+        this.updateNoteColorUI();
+    }
+
+    /**
+     * Mark the current note color in the palette
+     */
+    updateNoteColorUI() {
+        const color = this.canvasManager.drawingTools.settings.noteColor;
+        document.querySelectorAll('.note-color').forEach(preset => {
+            preset.classList.toggle('active', preset.dataset.color === color);
+        });
+    }
+
     /**
      * Setup sliders
      */
@@ -185,6 +249,39 @@ class WhiteboardApp {
         });
     }
 
+    /**
+     * Setup connector routing and arrowhead options
+     */
+    setupConnectorOptions() {
+        document.querySelectorAll('.routing-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setRouting(e.currentTarget.dataset.routing);
+            });
+        });
+        
+        const arrowheadBtn = document.getElementById('connector-arrowhead');
+        if (arrowheadBtn) {
+            arrowheadBtn.addEventListener('click', () => {
+                this.setArrowhead(!this.canvasManager.drawingTools.settings.arrowhead);
+            });
+        }
+    }
+
+    /**
+     * Mark the current connector options
+     */
+    updateConnectorUI() {
+        const settings = this.canvasManager.drawingTools.settings;
+        document.querySelectorAll('.routing-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.routing === settings.routing);
+        });
+        
+        const arrowheadBtn = document.getElementById('connector-arrowhead');
+        if (arrowheadBtn) {
+            arrowheadBtn.classList.toggle('active', settings.arrowhead);
+        }
+    }
+
     /**
      * Setup theme toggle
      */
@@ -232,6 +329,18 @@ class WhiteboardApp {
         if (savedSettings.opacity) {
             this.setOpacity(savedSettings.opacity);
         }
+        
+        if (savedSettings.noteColor) {
+            this.setNoteColor(savedSettings.noteColor);
+        }
+        
+        if (savedSettings.routing) {
+            this.setRouting(savedSettings.routing);
+        }
+        
+        if (savedSettings.arrowhead !== undefined) {
+            this.setArrowhead(savedSettings.arrowhead);
+        }
     }
 
     /**
@@ -279,6 +388,60 @@ class WhiteboardApp {
         }
     }
 
+    /**
+     * Set the color of new sticky notes and recolor the selected ones
+     */
+    setNoteColor(color) {
+        if (this.canvasManager && this.canvasManager.drawingTools) {
+            this.canvasManager.drawingTools.settings.noteColor = color;
+            this.saveSettings();
+            this.updateNoteColorUI();
+            
+            this.updateSelected('note', { noteColor: color }, 'Note Color');
+        }
+    }
+
+    /**
+     * Set the routing of new connectors and change the selected ones
+     */
+    setRouting(routing) {
+        if (this.canvasManager && this.canvasManager.drawingTools) {
+            this.canvasManager.drawingTools.settings.routing = routing;
+            this.saveSettings();
+            this.updateConnectorUI();
+            this.updateSelected('connector', { routing }, 'Connector Routing');
+        }
+    }
+
+    /**
+     * Turn arrowheads on or off for new connectors and the selected ones
+     */
+    setArrowhead(arrowhead) {
+        if (this.canvasManager && this.canvasManager.drawingTools) {
+            this.canvasManager.drawingTools.settings.arrowhead = arrowhead;
+            this.saveSettings();
+            this.updateConnectorUI();
+            this.updateSelected('connector', { arrowhead }, 'Connector Arrowhead');
+        }
+    }
+
+    /**
+     * Change properties of the selected elements of a type and record the change
+     * @param {string} type - Element type
+     * @param {Object} changes - Properties to assign
+     * @param {string} description - History description
+     */
+    updateSelected(type, changes, description) {
+        const elements = this.canvasManager.drawingTools.getSelectedElements()
+            .filter(element => element.type === type && Object.keys(changes).some(key => element[key] !== changes[key]));
+        if (elements.length === 0) return;
+        
+        const originals = elements.map(element => Utils.deepClone(element));
+        elements.forEach(element => this.canvasManager.scene.update(element.id, changes));
+        this.canvasManager.recordUpdate(originals, description);
+        this.canvasManager.redrawCanvas();
+    }
+
     /**
      * Set brush size
      */
@@ -368,7 +531,10 @@ class WhiteboardApp {
                 brushSize: this.canvasManager.drawingTools.settings.brushSize,
                 opacity: this.canvasManager.drawingTools.settings.opacity,
                 lineStyle: this.canvasManager.drawingTools.settings.lineStyle,
-                fillStyle: this.canvasManager.drawingTools.settings.fillStyle
+                fillStyle: this.canvasManager.drawingTools.settings.fillStyle,
+                noteColor: this.canvasManager.drawingTools.settings.noteColor,
+                routing: this.canvasManager.drawingTools.settings.routing,
+                arrowhead: this.canvasManager.drawingTools.settings.arrowhead
             };
             Utils.Storage.save('whiteboard_settings', settings);
         }
@@ -526,10 +692,23 @@ document.addEventListener('DOMContentLoaded', () => {
     whiteboardApp = new WhiteboardApp();
 });
 
-// Cleanup on page unload
-window.addEventListener('beforeunload', () => {
-    if (whiteboardApp) {
-        whiteboardApp.cleanup();
+// Warn about unsaved work, then clean up on page unload
+window.addEventListener('beforeunload', (e) => {
+    if (!whiteboardApp) return;
+    
+    if (whiteboardApp.fileOperations && whiteboardApp.fileOperations.hasUnsavedChanges()) {
+        e.preventDefault();
+        e.returnValue = '';
+        return;
+    }
+    
+    whiteboardApp.cleanup();
+});
+
+// Mark a normal shutdown (see TabSync.markRunning)
+window.addEventListener('pagehide', () => {
+    if (whiteboardApp && whiteboardApp.tabSync) {
+        whiteboardApp.tabSync.markClosed();
     }
 });
 
@@ -539,6 +718,7 @@ document.addEventListener('visibilitychange', () => {
         // Page is hidden, save current state
         if (whiteboardApp && whiteboardApp.fileOperations) {
             whiteboardApp.fileOperations.autoSave();
+            whiteboardApp.canvasManager.persistSession();
         }
     }
 });
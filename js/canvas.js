@@ -7,17 +7,35 @@ class CanvasManager {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         this.drawingTools = null;
+        this.collaboration = null;
+        this.presence = null;
+        this.tabSync = null;
+        this.historyPanel = null;
+        
+        // Document model; the canvas is re-rendered from it
+        this.scene = new Scene();
+        this.scene.onInvalidate = () => this.redrawCanvas();
+        
+        // Offscreen layer for element content, so erasing never cuts the background
+        this.contentCanvas = document.createElement('canvas');
+        this.contentCtx = this.contentCanvas.getContext('2d');
+        
+        // Board and undo history are persisted under this session ID
+        this.sessionId = 'current';
+        this.isSessionRestored = false;
+        this.persistSessionLater = null;
         
         // Canvas state
         this.zoom = 1.0;
+        this.minZoom = 0.1;
+        this.maxZoom = 5.0;
         this.panX = 0;
         this.panY = 0;
         this.isPanning = false;
         this.lastPanPoint = null;
         
-        // Canvas dimensions
-        this.originalWidth = this.canvas.width;
-        this.originalHeight = this.canvas.height;
+        // Fingers on the canvas (pointer ID -> client point); two of them pinch-zoom
+        this.touches = new Map();
         
         // Drawing state
         this.isDrawing = false;
@@ -40,11 +58,10 @@ class CanvasManager {
         this.ctx.imageSmoothingEnabled = true;
         this.ctx.imageSmoothingQuality = 'high';
         
-        // Clear canvas with white background
-        this.clearCanvas();
-        
         // Initialize drawing tools
-        this.drawingTools = new DrawingTools(this.canvas, this.ctx);
+        this.drawingTools = new DrawingTools(this.canvas, this.ctx, this);
+        
+        this.redrawCanvas();
     }
 
     /**
@@ -57,6 +74,8 @@ class CanvasManager {
         // Set canvas size to container size
         this.canvas.width = containerRect.width;
         this.canvas.height = containerRect.height;
+        this.contentCanvas.width = this.canvas.width;
+        this.contentCanvas.height = this.canvas.height;
         
         // Update canvas size display
         this.updateCanvasSizeDisplay();
@@ -76,16 +95,16 @@ class CanvasManager {
      * Setup event listeners for canvas interactions
      */
     setupEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+        // Pointer events: mouse, pen and touch alike
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerCancel.bind(this));
+        this.canvas.addEventListener('pointerleave', this.handlePointerLeave.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
         
-        // Touch events for mobile
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
+        // Wheel / trackpad: scroll pans, Ctrl+wheel (and trackpad pinch) zooms
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
         
         // Keyboard events
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
@@ -123,16 +142,35 @@ class CanvasManager {
     }
 
     /**
-     * Handle mouse down events
+     * Handle pointer down events
      */
-    handleMouseDown(e) {
+    handlePointerDown(e) {
         e.preventDefault();
         
-        const point = this.getEventPoint(e);
+        if (e.pointerType === 'touch') {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            
+            // Second finger - zoom/pan; drop whatever the first finger started
+            if (this.touches.size === 2) {
+                if (this.drawingTools) {
+                    this.drawingTools.cancelCurrentAction();
+                }
+                this.startPinchZoom();
+                return;
+            }
+        }
+        
+        // Only the first finger (or the mouse or pen) draws
+        if (!e.isPrimary || this.initialPinchDistance) return;
+        
+        // Keep receiving the pointer's events when it leaves the canvas mid-stroke
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
         
         // Check if middle mouse button (panning)
         if (e.button === 1 || (e.button === 0 && e.ctrlKey)) {
-            this.startPanning(point);
+            this.startPanning(this.getScreenPoint(e));
             return;
         }
         
@@ -143,16 +181,38 @@ class CanvasManager {
     }
 
     /**
-     * Handle mouse move events
+     * Handle double-clicks (opens text and sticky notes for editing)
+     */
+    handleDoubleClick(e) {
+        if (this.drawingTools) {
+            this.drawingTools.handleDoubleClick(e);
+        }
+    }
+
+    /**
+     * Handle pointer move events (also while hovering)
      */
-    handleMouseMove(e) {
+    handlePointerMove(e) {
         e.preventDefault();
         
-        const point = this.getEventPoint(e);
+        if (this.touches.has(e.pointerId)) {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+        
+        if (this.initialPinchDistance) {
+            this.updatePinchZoom();
+            return;
+        }
+        if (!e.isPrimary) return;
+        
+        // Share the cursor with collaborators
+        if (this.presence) {
+            this.presence.handlePointerMove(this.getEventPoint(e));
+        }
         
         // Handle panning
         if (this.isPanning) {
-            this.updatePanning(point);
+            this.updatePanning(this.getScreenPoint(e));
             return;
         }
         
@@ -163,11 +223,22 @@ class CanvasManager {
     }
 
     /**
-     * Handle mouse up events
+     * Handle pointer up events
      */
-    handleMouseUp(e) {
+    handlePointerUp(e) {
         e.preventDefault();
         
+        this.touches.delete(e.pointerId);
+        
+        // The pinch ends once every finger is lifted
+        if (this.initialPinchDistance) {
+            if (this.touches.size === 0) {
+                this.stopPinchZoom();
+            }
+            return;
+        }
+        if (!e.isPrimary) return;
+        
         // Stop panning
         if (this.isPanning) {
             this.stopPanning();
@@ -181,56 +252,48 @@ class CanvasManager {
     }
 
     /**
-     * Handle mouse leave events
+     * Handle pointers the browser took over (e.g. for a system gesture)
      */
-    handleMouseLeave(e) {
-        // Stop any ongoing operations
-        this.isPanning = false;
-        if (this.drawingTools) {
-            this.drawingTools.handleMouseUp(e);
+    handlePointerCancel(e) {
+        this.touches.delete(e.pointerId);
+        if (this.touches.size === 0) {
+            this.stopPinchZoom();
         }
-    }
-
-    /**
-     * Handle touch start events
-     */
-    handleTouchStart(e) {
-        e.preventDefault();
         
-        if (e.touches.length === 1) {
-            // Single touch - drawing
-            this.handleMouseDown(e);
-        } else if (e.touches.length === 2) {
-            // Two finger touch - zoom/pan
-            this.startPinchZoom(e);
+        this.isPanning = false;
+        if (e.isPrimary && this.drawingTools) {
+            this.drawingTools.cancelCurrentAction();
         }
     }
 
     /**
-     * Handle touch move events
+     * Handle pointer leave events (captured pointers only leave once released)
      */
-    handleTouchMove(e) {
-        e.preventDefault();
-        
-        if (e.touches.length === 1) {
-            // Single touch - drawing
-            this.handleMouseMove(e);
-        } else if (e.touches.length === 2) {
-            // Two finger touch - zoom/pan
-            this.updatePinchZoom(e);
+    handlePointerLeave(e) {
+        if (this.presence && e.isPrimary) {
+            this.presence.handlePointerLeave();
         }
     }
 
     /**
-     * Handle touch end events
+     * Handle wheel events
      */
-    handleTouchEnd(e) {
+    handleWheel(e) {
         e.preventDefault();
         
-        if (e.touches.length === 0) {
-            // No touches left
-            this.handleMouseUp(e);
-            this.stopPinchZoom();
+        // Line and page based deltas are converted to pixels
+        const unit = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? this.canvas.height : 1);
+        const deltaX = e.deltaX * unit;
+        const deltaY = e.deltaY * unit;
+        
+        if (e.ctrlKey || e.metaKey) {
+            // Clamp so a mouse wheel notch and a trackpad pinch feel alike
+            const factor = Math.exp(-Utils.clamp(deltaY, -50, 50) * 0.004);
+            this.setZoom(this.zoom * factor, this.getScreenPoint(e));
+        } else if (e.shiftKey && deltaX === 0) {
+            this.panBy(-deltaY, 0);
+        } else {
+            this.panBy(-deltaX, -deltaY);
         }
     }
 
@@ -238,6 +301,11 @@ class CanvasManager {
      * Handle keyboard events
      */
     handleKeyDown(e) {
+        // Leave keys alone while the user is typing in a form field
+        if (this.isEditableTarget(e.target)) {
+            return;
+        }
+        
         // Tool shortcuts
         const toolShortcuts = {
             'KeyB': 'brush',
@@ -246,16 +314,21 @@ class CanvasManager {
             'KeyC': 'circle',
             'KeyL': 'line',
             'KeyT': 'text',
+            'KeyN': 'note',
             'KeyS': 'selection'
         };
 
-        if (toolShortcuts[e.code] && this.drawingTools) {
+        // Ctrl/Cmd combinations (Ctrl+S, Ctrl+N, ...) are not tool shortcuts
+        if (toolShortcuts[e.code] && this.drawingTools && !e.ctrlKey && !e.metaKey) {
             e.preventDefault();
             this.drawingTools.setTool(toolShortcuts[e.code]);
         }
 
         // Zoom shortcuts
-        if (e.key === '+' || e.key === '=') {
+        if ((e.ctrlKey || e.metaKey) && e.key === '0') {
+            e.preventDefault();
+            this.zoomFit();
+        } else if (e.key === '+' || e.key === '=') {
             e.preventDefault();
             this.zoomIn();
         } else if (e.key === '-') {
@@ -282,11 +355,23 @@ class CanvasManager {
 
         // Delete key
         if (e.key === 'Delete' || e.key === 'Backspace') {
-            e.preventDefault();
-            this.deleteSelected();
+            if (this.deleteSelected()) {
+                e.preventDefault();
+            }
         }
     }
 
+    /**
+     * Check if an event target accepts text input
+     */
+    isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+        
+        const tagName = target.tagName.toLowerCase();
+        return tagName === 'input' || tagName === 'textarea' || tagName === 'select' ||
+            target.isContentEditable === true;
+    }
+
     /**
      * Handle window resize
      */
@@ -296,18 +381,46 @@ class CanvasManager {
     }
 
     /**
-     * Get event point with zoom and pan transformation
+     * Get the client position of a pointer or mouse event
+     */
+    getClientPoint(e) {
+        return { x: e.clientX || 0, y: e.clientY || 0 };
+    }
+
+    /**
+     * Get event point in canvas pixel (screen) coordinates
+     */
+    getScreenPoint(e) {
+        const client = this.getClientPoint(e);
+        return Utils.screenToCanvas(client.x, client.y, this.canvas);
+    }
+
+    /**
+     * Get event point in world coordinates (with zoom and pan applied)
      */
     getEventPoint(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const clientX = e.clientX || (e.touches && e.touches[0] ? e.touches[0].clientX : 0);
-        const clientY = e.clientY || (e.touches && e.touches[0] ? e.touches[0].clientY : 0);
-        
-        // Convert to canvas coordinates
-        const canvasX = (clientX - rect.left) / this.zoom - this.panX;
-        const canvasY = (clientY - rect.top) / this.zoom - this.panY;
-        
-        return { x: canvasX, y: canvasY };
+        const screen = this.getScreenPoint(e);
+        return this.screenToWorld(screen.x, screen.y);
+    }
+
+    /**
+     * Convert canvas pixel coordinates to world coordinates
+     */
+    screenToWorld(x, y) {
+        return {
+            x: (x - this.panX) / this.zoom,
+            y: (y - this.panY) / this.zoom
+        };
+    }
+
+    /**
+     * Convert world coordinates to canvas pixel coordinates
+     */
+    worldToScreen(x, y) {
+        return {
+            x: x * this.zoom + this.panX,
+            y: y * this.zoom + this.panY
+        };
     }
 
     /**
@@ -325,14 +438,8 @@ class CanvasManager {
     updatePanning(point) {
         if (!this.isPanning || !this.lastPanPoint) return;
         
-        const deltaX = point.x - this.lastPanPoint.x;
-        const deltaY = point.y - this.lastPanPoint.y;
-        
-        this.panX += deltaX;
-        this.panY += deltaY;
-        
+        this.panBy(point.x - this.lastPanPoint.x, point.y - this.lastPanPoint.y);
         this.lastPanPoint = point;
-        this.redrawCanvas();
     }
 
     /**
@@ -341,44 +448,63 @@ class CanvasManager {
     stopPanning() {
         this.isPanning = false;
         this.lastPanPoint = null;
-        this.canvas.style.cursor = '';
+        if (this.drawingTools) {
+            this.drawingTools.updateCursor();
+        }
     }
 
     /**
-     * Start pinch zoom
+     * Move the view by a screen-space offset
      */
-    startPinchZoom(e) {
-        if (e.touches.length !== 2) return;
-        
-        const touch1 = e.touches[0];
-        const touch2 = e.touches[1];
-        
-        this.initialPinchDistance = Utils.distance(
-            touch1.clientX, touch1.clientY,
-            touch2.clientX, touch2.clientY
-        );
+    panBy(deltaX, deltaY) {
+        this.panX += deltaX;
+        this.panY += deltaY;
+        this.redrawCanvas();
+    }
+
+    /**
+     * Start pinch zoom with the two fingers on the canvas
+     */
+    startPinchZoom() {
+        const [touch1, touch2] = this.touches.values();
         
+        this.initialPinchDistance = Utils.distance(touch1.x, touch1.y, touch2.x, touch2.y);
         this.initialZoom = this.zoom;
+        this.lastPinchCenter = this.getPinchCenter();
     }
 
     /**
      * Update pinch zoom
      */
-    updatePinchZoom(e) {
-        if (e.touches.length !== 2 || !this.initialPinchDistance) return;
-        
-        const touch1 = e.touches[0];
-        const touch2 = e.touches[1];
+    updatePinchZoom() {
+        if (this.touches.size !== 2 || !this.initialPinchDistance) return;
         
-        const currentDistance = Utils.distance(
-            touch1.clientX, touch1.clientY,
-            touch2.clientX, touch2.clientY
-        );
+        const [touch1, touch2] = this.touches.values();
+        const currentDistance = Utils.distance(touch1.x, touch1.y, touch2.x, touch2.y);
         
         const scale = currentDistance / this.initialPinchDistance;
         const newZoom = this.initialZoom * scale;
+        const center = this.getPinchCenter();
+        
+        // Follow the fingers, then zoom around their midpoint
+        this.panX += center.x - this.lastPinchCenter.x;
+        this.panY += center.y - this.lastPinchCenter.y;
+        this.lastPinchCenter = center;
+        
+        this.setZoom(newZoom, center);
+    }
+
+    /**
+     * Get the midpoint of a two-finger touch in canvas pixel coordinates
+     */
+    getPinchCenter() {
+        const [touch1, touch2] = this.touches.values();
         
-        this.setZoom(newZoom);
+        return Utils.screenToCanvas(
+            (touch1.x + touch2.x) / 2,
+            (touch1.y + touch2.y) / 2,
+            this.canvas
+        );
     }
 
     /**
@@ -387,6 +513,7 @@ class CanvasManager {
     stopPinchZoom() {
         this.initialPinchDistance = null;
         this.initialZoom = null;
+        this.lastPinchCenter = null;
     }
 
     /**
@@ -404,44 +531,95 @@ class CanvasManager {
     }
 
     /**
-     * Zoom to fit canvas
+     * Zoom to fit the board content
      */
     zoomFit() {
-        const container = this.canvas.parentElement;
-        const containerRect = container.getBoundingClientRect();
+        const bounds = this.scene.getContentBounds();
+        
+        if (!bounds) {
+            this.zoom = 1.0;
+            this.panX = 0;
+            this.panY = 0;
+            this.updateZoomDisplay();
+            this.redrawCanvas();
+            return;
+        }
         
-        const scaleX = containerRect.width / this.originalWidth;
-        const scaleY = containerRect.height / this.originalHeight;
+        const padding = 40;
+        const scaleX = (this.canvas.width - padding * 2) / Math.max(bounds.width, 1);
+        const scaleY = (this.canvas.height - padding * 2) / Math.max(bounds.height, 1);
         const scale = Math.min(scaleX, scaleY, 1); // Don't zoom in beyond 100%
         
-        this.setZoom(scale);
-        this.centerCanvas();
+        this.zoom = Utils.clamp(scale, this.minZoom, this.maxZoom);
+        this.centerCanvas(bounds);
+        this.updateZoomDisplay();
+        this.redrawCanvas();
     }
 
     /**
-     * Set zoom level
+     * Get the current zoom and pan
+     * @returns {Object} Viewport {zoom, panX, panY}
      */
-    setZoom(newZoom) {
-        const minZoom = 0.1;
-        const maxZoom = 5.0;
-        
-        this.zoom = Utils.clamp(newZoom, minZoom, maxZoom);
+    getViewport() {
+        return { zoom: this.zoom, panX: this.panX, panY: this.panY };
+    }
+
+    /**
+     * Restore a zoom and pan from getViewport()
+     * @param {Object} viewport - Viewport {zoom, panX, panY}
+     */
+    setViewport(viewport) {
+        this.zoom = Utils.clamp(viewport.zoom || 1, this.minZoom, this.maxZoom);
+        this.panX = viewport.panX || 0;
+        this.panY = viewport.panY || 0;
         this.updateZoomDisplay();
         this.redrawCanvas();
     }
 
     /**
-     * Center canvas
+     * Set zoom level, keeping the given canvas point fixed on screen
+     * @param {number} newZoom - Zoom level
+     * @param {Object} anchor - Canvas pixel point to zoom around (defaults to the center)
      */
-    centerCanvas() {
-        const container = this.canvas.parentElement;
-        const containerRect = container.getBoundingClientRect();
+    setZoom(newZoom, anchor = null) {
+        const point = anchor || { x: this.canvas.width / 2, y: this.canvas.height / 2 };
+        const world = this.screenToWorld(point.x, point.y);
         
-        const scaledWidth = this.originalWidth * this.zoom;
-        const scaledHeight = this.originalHeight * this.zoom;
+        this.zoom = Utils.clamp(newZoom, this.minZoom, this.maxZoom);
+        this.panX = point.x - world.x * this.zoom;
+        this.panY = point.y - world.y * this.zoom;
         
-        this.panX = (containerRect.width - scaledWidth) / 2;
-        this.panY = (containerRect.height - scaledHeight) / 2;
+        this.updateZoomDisplay();
+        this.redrawCanvas();
+    }
+
+    /**
+     * Center the view on a world rectangle
+     * @param {Object} bounds - World rectangle {x, y, width, height}
+     */
+    centerCanvas(bounds) {
+        this.panX = this.canvas.width / 2 - (bounds.x + bounds.width / 2) * this.zoom;
+        this.panY = this.canvas.height / 2 - (bounds.y + bounds.height / 2) * this.zoom;
+    }
+
+    /**
+     * Get the size of the visible area in world units
+     */
+    getViewportSize() {
+        return {
+            width: this.canvas.width / this.zoom,
+            height: this.canvas.height / this.zoom
+        };
+    }
+
+    /**
+     * Get the world point at the center of the visible area
+     */
+    getViewportCenter() {
+        return {
+            x: (this.canvas.width / 2 - this.panX) / this.zoom,
+            y: (this.canvas.height / 2 - this.panY) / this.zoom
+        };
     }
 
     /**
@@ -455,51 +633,414 @@ class CanvasManager {
     }
 
     /**
-     * Clear canvas
+     * Clear canvas (removes all elements from the scene)
      */
     clearCanvas() {
+        this.scene.clear();
+        this.redrawCanvas();
+    }
+
+    /**
+     * Fill the canvas with the white background
+     */
+    fillBackground() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.globalAlpha = 1;
+        this.ctx.globalCompositeOperation = 'source-over';
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Fill with white background
         this.ctx.fillStyle = '#ffffff';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
     /**
-     * Redraw canvas with current zoom and pan
+     * Apply the current zoom and pan to a context
+     */
+    applyViewTransform(ctx) {
+        ctx.setTransform(this.zoom, 0, 0, this.zoom, this.panX, this.panY);
+    }
+
+    /**
+     * Redraw canvas from the scene with current zoom and pan
      */
     redrawCanvas() {
-        // Save current context state
-        this.ctx.save();
+        this.fillBackground();
         
-        // Apply transformations
-        this.ctx.translate(this.panX, this.panY);
-        this.ctx.scale(this.zoom, this.zoom);
+        // Render elements (and the in-progress element) onto the content layer
+        this.contentCtx.setTransform(1, 0, 0, 1, 0, 0);
+        this.contentCtx.clearRect(0, 0, this.contentCanvas.width, this.contentCanvas.height);
+        this.applyViewTransform(this.contentCtx);
+        this.scene.render(this.contentCtx, {
+            draft: this.drawingTools ? this.drawingTools.getDraft() : null,
+            skipId: this.drawingTools ? this.drawingTools.getEditingId() : null
+        });
         
-        // Clear and redraw
-        this.clearCanvas();
+        this.ctx.drawImage(this.contentCanvas, 0, 0);
+        
+        // Tool overlays (selection boxes etc.) are drawn above the content
+        const tool = this.drawingTools ? this.drawingTools.getCurrentTool() : null;
+        if (tool && tool.drawOverlay) {
+            this.ctx.save();
+            this.applyViewTransform(this.ctx);
+            tool.drawOverlay(this.ctx);
+            this.ctx.restore();
+        }
         
-        // Restore context state
-        this.ctx.restore();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        
+        if (this.drawingTools) {
+            this.drawingTools.handleRedraw();
+        }
+        
+        // Collaborators' cursors follow zoom and pan
+        if (this.presence) {
+            this.presence.handleRedraw();
+        }
+    }
+
+    /**
+     * Render the whole board into a small image
+     * @param {number} maxWidth - Maximum thumbnail width
+     * @param {number} maxHeight - Maximum thumbnail height
+     * @returns {string|null} PNG data URL, or null if the board cannot be read back
+     */
+    createThumbnail(maxWidth = 96, maxHeight = 72) {
+        const canvas = document.createElement('canvas');
+        canvas.width = maxWidth;
+        canvas.height = maxHeight;
+        const ctx = canvas.getContext('2d');
+        
+        const bounds = this.scene.getContentBounds();
+        if (bounds) {
+            const padding = 4;
+            const scale = Math.min(
+                (maxWidth - padding * 2) / Math.max(bounds.width, 1),
+                (maxHeight - padding * 2) / Math.max(bounds.height, 1),
+                1
+            );
+            const offsetX = (maxWidth - bounds.width * scale) / 2 - bounds.x * scale;
+            const offsetY = (maxHeight - bounds.height * scale) / 2 - bounds.y * scale;
+            
+            ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+            this.scene.render(ctx);
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+        }
+        
+        // Fill the background behind the content (erased areas stay white)
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, maxWidth, maxHeight);
+        
+        try {
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            // Images from other origins taint the canvas
+            console.warn('Failed to create thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the world rectangle for an export region
+     * @param {string} region - 'board' (everything), 'viewport', 'selection' or 'content'
+     * @param {number} padding - Padding around the content in world units (not applied to the viewport)
+     * @returns {Object|null} World rectangle, or null if the region is empty
+     */
+    getExportBounds(region, padding = 0) {
+        let bounds = null;
+
+        switch (region) {
+            case 'viewport': {
+                const topLeft = this.screenToWorld(0, 0);
+                const size = this.getViewportSize();
+                return { x: topLeft.x, y: topLeft.y, width: size.width, height: size.height };
+            }
+            case 'selection': {
+                const selectionTool = this.drawingTools ? this.drawingTools.tools.selection : null;
+                const elements = this.drawingTools ? this.drawingTools.getSelectedElements() : [];
+                bounds = elements.length > 0
+                    ? Scene.getUnionBounds(elements)
+                    : (selectionTool ? selectionTool.selectedArea : null);
+                break;
+            }
+            case 'board': {
+                // The content plus the visible area, so nothing on the board is cut off
+                const topLeft = this.screenToWorld(0, 0);
+                const size = this.getViewportSize();
+                const content = this.scene.getContentBounds();
+                const viewport = { x: topLeft.x, y: topLeft.y, width: size.width, height: size.height };
+                if (!content) return viewport;
+
+                return Utils.getBoundingBox([
+                    { x: content.x, y: content.y },
+                    { x: content.x + content.width, y: content.y + content.height },
+                    { x: viewport.x, y: viewport.y },
+                    { x: viewport.x + viewport.width, y: viewport.y + viewport.height }
+                ]);
+            }
+            default:
+                bounds = this.scene.getContentBounds();
+        }
+
+        if (!bounds) return null;
+
+        return {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2
+        };
     }
 
     /**
-     * Save canvas state to history
+     * Render part of the board into a new canvas
+     * @param {Object} bounds - World rectangle to render
+     * @param {Object} options - Render options
+     * @param {number} options.scale - Output pixels per world unit
+     * @param {string|null} options.background - Background color, or null for transparent
+     * @param {Array} options.elements - Elements to render (defaults to the whole scene)
+     * @returns {HTMLCanvasElement} Canvas with the rendered region
      */
-    saveToHistory(description = '') {
+    renderToCanvas(bounds, options = {}) {
+        const scale = options.scale || 1;
+        const elements = options.elements || this.scene.elements;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bounds.width * scale));
+        canvas.height = Math.max(1, Math.round(bounds.height * scale));
+        const ctx = canvas.getContext('2d');
+
+        ctx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+        this.scene.render(ctx, { elements });
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        // Fill the background behind the content so erased areas show it
+        if (options.background) {
+            ctx.globalAlpha = 1;
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = options.background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Record a command (already applied to the scene) in history
+     */
+    recordCommand(command, description = '') {
+        // Connectors attached to shapes that moved follow them in the same entry
+        const connectorUpdate = this.scene.syncConnectors();
+        if (connectorUpdate) {
+            command = { type: 'batch', commands: [command, connectorUpdate] };
+        }
+        
         if (historyManager && !historyManager.isUndoRedoInProgress()) {
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            historyManager.addState({ imageData }, description);
+            // Thumbnails cost a full render, so they are only taken while the history panel shows them
+            const thumbnail = this.historyPanel && this.historyPanel.isOpen ? this.createThumbnail() : null;
+            historyManager.addCommand(command, Scene.invertCommand(command), description, thumbnail);
+        }
+        
+        if (this.collaboration) {
+            this.collaboration.handleLocalCommand(command);
+        }
+        if (this.tabSync) {
+            this.tabSync.broadcastCommand(command);
+        }
+    }
+
+    /**
+     * Record elements that were just added to the scene
+     * @param {Array} elements - Added elements
+     */
+    recordAdd(elements, description = '') {
+        this.recordCommand({
+            type: 'add',
+            entries: elements.map(element => ({
+                element: Utils.deepClone(element),
+                index: this.scene.indexOf(element.id)
+            }))
+        }, description);
+    }
+
+    /**
+     * Remove elements from the scene and record the removal
+     * @param {Array} ids - Element IDs to remove
+     */
+    removeElements(ids, description = '') {
+        const entries = ids
+            .map(id => ({ element: this.scene.get(id), index: this.scene.indexOf(id) }))
+            .filter(entry => entry.element !== null);
+        
+        if (entries.length === 0) return;
+        
+        entries.forEach(entry => this.scene.remove(entry.element.id));
+        this.recordCommand({
+            type: 'remove',
+            entries: entries.map(entry => ({
+                element: Utils.deepClone(entry.element),
+                index: entry.index
+            }))
+        }, description);
+        this.redrawCanvas();
+    }
+
+    /**
+     * Record changes to existing elements
+     * @param {Array} originals - Copies of the elements from before the change
+     */
+    recordUpdate(originals, description = '') {
+        const changes = originals
+            .map(before => ({ id: before.id, before, after: this.scene.get(before.id) }))
+            .filter(change => change.after !== null)
+            .map(change => ({ ...change, after: Utils.deepClone(change.after) }));
+        
+        if (changes.length > 0) {
+            this.recordCommand({ type: 'update', changes }, description);
+        }
+    }
+
+    /**
+     * Replace all elements in the scene and record the change
+     * @param {Array} elements - New element list
+     * @param {string} description - History description
+     * @param {Array|null} layers - New layers, or null to keep the current ones
+     */
+    replaceScene(elements, description = '', layers = null) {
+        const commands = [];
+        if (layers) {
+            commands.push({
+                type: 'replace',
+                target: 'layers',
+                before: Utils.deepClone(this.scene.layers),
+                after: Utils.deepClone(layers.length > 0 ? layers : Scene.createDefaultLayers())
+            });
+        }
+        commands.push({ type: 'replace', before: this.scene.toJSON(), after: Utils.deepClone(elements) });
+        
+        commands.forEach(command => this.scene.apply(command));
+        this.recordCommand(commands.length > 1 ? { type: 'batch', commands } : commands[0], description);
+        this.redrawCanvas();
+    }
+
+    /**
+     * Apply commands coming back from history
+     * @param {Array} commands - Commands to apply in order
+     */
+    applyHistoryCommands(commands) {
+        commands.forEach(command => {
+            // Peers may have changed the board since, so only what still applies is applied
+            const inverse = this.scene.merge(command);
+            
+            if (this.collaboration) {
+                this.collaboration.handleLocalCommand(command, inverse);
+            }
+            if (this.tabSync) {
+                this.tabSync.broadcastCommand(command);
+            }
+        });
+        this.redrawCanvas();
+    }
+
+    /**
+     * Restore the board and its undo history from the last session
+     * @returns {Promise<boolean>} True if a session was restored
+     */
+    restoreSession() {
+        return Utils.Database.get('sessions', this.sessionId)
+            .then(session => {
+                if (!session || !historyManager) return false;
+                
+                const assets = session.assets || {};
+                this.scene.load(Scene.unpackAssets(session.elements, assets));
+                this.scene.setLayers(session.layers);
+                if (session.activeLayerId) {
+                    this.scene.setActiveLayer(session.activeLayerId);
+                }
+                historyManager.restore(Scene.unpackAssets(session.history, assets));
+                
+                if (session.view) {
+                    this.setViewport(session.view);
+                }
+                
+                this.redrawCanvas();
+                return !this.scene.isEmpty() || historyManager.history.length > 0;
+            })
+            .catch(error => {
+                console.warn('Failed to restore session:', error);
+                return false;
+            })
+            .then(restored => {
+                this.enableSessionPersistence();
+                
+                // Coordinate with other tabs that have this board open
+                if (this.tabSync) {
+                    this.tabSync.openDocument(this.sessionId);
+                }
+                return restored;
+            });
+    }
+
+    /**
+     * Persist the session whenever history changes
+     */
+    enableSessionPersistence() {
+        if (this.isSessionRestored || !historyManager) return;
+        
+        this.isSessionRestored = true;
+        
+        if (!this.persistSessionLater) {
+            this.persistSessionLater = Utils.debounce(() => this.persistSession(), 1000);
+            historyManager.addChangeListener(this.persistSessionLater);
         }
     }
 
     /**
-     * Load canvas state from history
+     * Save the current session, then switch to another one
+     * @param {string} sessionId - Session ID to open
+     * @returns {Promise<boolean>} True if the opened session had content
      */
-    loadFromHistory(state) {
-        if (state && state.imageData) {
-            this.ctx.putImageData(state.imageData, 0, 0);
+    openSession(sessionId) {
+        // A shared board stays with its room
+        if (this.collaboration) {
+            this.collaboration.disconnect();
         }
+        
+        return this.persistSession().then(() => {
+            // Nothing is persisted while the board is between sessions
+            this.isSessionRestored = false;
+            this.sessionId = sessionId;
+            this.reset();
+            return this.restoreSession();
+        });
+    }
+
+    /**
+     * Save the board and its undo history to IndexedDB
+     * @returns {Promise<void>}
+     */
+    persistSession() {
+        // Never overwrite the stored session before it has been restored,
+        // or while another tab owns this board
+        if (!this.isSessionRestored || !historyManager || (this.tabSync && !this.tabSync.canPersist())) {
+            return Promise.resolve();
+        }
+        
+        const assets = {};
+        const record = {
+            id: this.sessionId,
+            elements: Scene.packAssets(this.scene.elements, assets),
+            layers: Utils.deepClone(this.scene.layers),
+            activeLayerId: this.scene.activeLayerId,
+            history: Scene.packAssets(historyManager.serialize(), assets),
+            view: this.getViewport(),
+            assets,
+            savedAt: Date.now()
+        };
+        
+        return Utils.Database.put('sessions', record).catch(error => {
+            console.warn('Failed to persist session:', error);
+        });
     }
 
     /**
@@ -507,9 +1048,9 @@ class CanvasManager {
      */
     undo() {
         if (historyManager) {
-            const previousState = historyManager.undo();
-            if (previousState) {
-                this.loadFromHistory(previousState);
+            const command = historyManager.undo();
+            if (command) {
+                this.applyHistoryCommands([command]);
             }
         }
     }
@@ -519,9 +1060,36 @@ class CanvasManager {
      */
     redo() {
         if (historyManager) {
-            const nextState = historyManager.redo();
-            if (nextState) {
-                this.loadFromHistory(nextState);
+            const command = historyManager.redo();
+            if (command) {
+                this.applyHistoryCommands([command]);
+            }
+        }
+    }
+
+    /**
+     * Move to any entry of the active history timeline
+     * @param {number} index - History index (-1 for the initial state)
+     */
+    jumpToHistory(index) {
+        if (historyManager) {
+            const commands = historyManager.jumpToIndex(index);
+            if (commands) {
+                this.applyHistoryCommands(commands);
+            }
+        }
+    }
+
+    /**
+     * Switch to a history branch
+     * @param {string} branchId - Branch ID
+     * @param {string} entryId - Entry in the branch to move to
+     */
+    switchHistoryBranch(branchId, entryId = null) {
+        if (historyManager) {
+            const commands = historyManager.switchBranch(branchId, entryId);
+            if (commands) {
+                this.applyHistoryCommands(commands);
             }
         }
     }
@@ -553,11 +1121,33 @@ class CanvasManager {
     }
 
     /**
-     * Delete selected objects
+     * Delete selected objects, or erase the selected region if no objects are selected
+     * @returns {boolean} True if anything was deleted
      */
     deleteSelected() {
-        // Implementation for deleting selected objects
-        console.log('Delete selected objects');
+        if (!this.drawingTools) return false;
+        
+        const elements = this.drawingTools.getSelectedElements();
+        const selectionTool = this.drawingTools.tools.selection;
+        const area = selectionTool ? selectionTool.selectedArea : null;
+        
+        if (elements.length > 0) {
+            this.removeElements(elements.map(element => element.id), 'Delete');
+        } else if (area) {
+            const eraser = this.scene.add({
+                type: 'rectangle',
+                erase: true,
+                ...area,
+                style: { fillStyle: 'solid' }
+            });
+            this.recordAdd([eraser], 'Delete');
+        } else {
+            return false;
+        }
+        
+        this.drawingTools.clearSelection();
+        this.redrawCanvas();
+        return true;
     }
 
     /**
@@ -584,15 +1174,10 @@ class CanvasManager {
     }
 
     /**
-     * Export canvas as SVG (basic implementation)
+     * Export the board as a vector SVG file
      */
     exportAsSVG() {
-        const svg = `
-            <svg width="${this.canvas.width}" height="${this.canvas.height}" xmlns="http://www.w3.org/2000/svg">
-                <rect width="100%" height="100%" fill="white"/>
-                <image href="${this.getDataURL()}" width="100%" height="100%"/>
-            </svg>
-        `;
+        const svg = new SVGExporter(this.scene).export();
         
         const blob = new Blob([svg], { type: 'image/svg+xml' });
         const url = URL.createObjectURL(blob);
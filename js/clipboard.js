@@ -0,0 +1,330 @@
+/**
+ * Clipboard support (copy, cut, paste, duplicate) for the Online Whiteboard Tool
+ */
+
+class ClipboardManager {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.scene = canvasManager.scene;
+
+        // Fallback for when the system clipboard is unavailable
+        this.clipboard = null;
+        this.pasteCount = 0;
+        this.pasteOffset = 20;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup clipboard and keyboard event listeners
+     */
+    setupEventListeners() {
+        document.addEventListener('copy', (e) => this.handleCopy(e));
+        document.addEventListener('cut', (e) => this.handleCut(e));
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+
+        document.addEventListener('keydown', (e) => {
+            if (this.canvasManager.isEditableTarget(e.target)) return;
+
+            if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
+                e.preventDefault();
+                this.duplicateSelected();
+            }
+        });
+    }
+
+    /**
+     * Handle the copy event
+     */
+    handleCopy(e) {
+        if (this.canvasManager.isEditableTarget(e.target)) return;
+
+        if (this.copySelected(e.clipboardData)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Handle the cut event
+     */
+    handleCut(e) {
+        if (this.canvasManager.isEditableTarget(e.target)) return;
+
+        if (this.cutSelected(e.clipboardData)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Handle the paste event
+     */
+    handlePaste(e) {
+        if (this.canvasManager.isEditableTarget(e.target)) return;
+
+        e.preventDefault();
+        this.paste(e.clipboardData);
+    }
+
+    /**
+     * Get the currently selected elements
+     */
+    getSelectedElements() {
+        const drawingTools = this.canvasManager.drawingTools;
+        return drawingTools ? drawingTools.getSelectedElements() : [];
+    }
+
+    /**
+     * Copy the selection to the clipboard
+     * @param {DataTransfer} clipboardData - Clipboard data from a copy event
+     * @returns {boolean} True if anything was copied
+     */
+    copySelected(clipboardData = null) {
+        const elements = this.getSelectedElements();
+        if (elements.length === 0) return false;
+
+        this.clipboard = Utils.deepClone(elements);
+        this.pasteCount = 0;
+        this.writeToSystemClipboard(clipboardData, this.serialize(this.clipboard));
+        return true;
+    }
+
+    /**
+     * Cut the selection to the clipboard
+     * @param {DataTransfer} clipboardData - Clipboard data from a cut event
+     * @returns {boolean} True if anything was cut
+     */
+    cutSelected(clipboardData = null) {
+        if (!this.copySelected(clipboardData)) return false;
+
+        // The first paste after a cut puts the content back where it was
+        this.pasteCount = -1;
+
+        this.canvasManager.drawingTools.clearSelection();
+        this.canvasManager.removeElements(this.clipboard.map(element => element.id), 'Cut');
+        return true;
+    }
+
+    /**
+     * Paste from the clipboard
+     * @param {DataTransfer} clipboardData - Clipboard data from a paste event
+     */
+    paste(clipboardData = null) {
+        // Nothing can be added to a hidden or locked layer
+        const layer = this.scene.getActiveLayer();
+        if (!layer.visible || layer.locked) return;
+
+        if (clipboardData) {
+            const text = clipboardData.getData('text/plain');
+            const elements = this.deserialize(text);
+
+            if (elements) {
+                this.pasteElements(elements);
+                return;
+            }
+
+            const imageFile = Array.from(clipboardData.items || [])
+                .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+                .map(item => item.getAsFile())
+                .find(file => file !== null);
+
+            if (imageFile) {
+                this.pasteImageFile(imageFile);
+                return;
+            }
+
+            if (text && text.trim()) {
+                this.pasteText(text);
+                return;
+            }
+        }
+
+        if (this.clipboard) {
+            this.pasteElements(this.clipboard);
+        }
+    }
+
+    /**
+     * Duplicate the selection in place with an offset
+     */
+    duplicateSelected() {
+        const elements = this.getSelectedElements();
+        if (elements.length === 0) return;
+
+        this.insertElements(elements, this.pasteOffset, this.pasteOffset, 'Duplicate');
+    }
+
+    /**
+     * Paste copied elements, offset from their original position
+     * @param {Array} elements - Elements to paste
+     */
+    pasteElements(elements) {
+        this.pasteCount++;
+        const offset = this.pasteOffset * this.pasteCount;
+
+        // Pasted elements go to the active layer
+        this.insertElements(elements.map(element => ({ ...element, layerId: null })), offset, offset, 'Paste');
+    }
+
+    /**
+     * Add copies of elements to the scene and select them
+     */
+    insertElements(elements, dx, dy, description) {
+        const ids = new Map();
+        const inserted = elements.map(original => {
+            const element = Utils.deepClone(original);
+            delete element.id;
+            Scene.translateElement(element, dx, dy);
+            this.scene.add(element);
+            ids.set(original.id, element.id);
+            return element;
+        });
+
+        // Copied connectors attach to the copies of their shapes, or to nothing
+        inserted.filter(element => element.type === 'connector').forEach(connector => {
+            ['start', 'end'].forEach(key => {
+                const attachment = connector[key];
+                connector[key] = attachment && ids.has(attachment.elementId)
+                    ? { ...attachment, elementId: ids.get(attachment.elementId) }
+                    : null;
+            });
+        });
+
+        this.selectInserted(inserted.map(element => element.id));
+        this.canvasManager.recordAdd(inserted, description);
+    }
+
+    /**
+     * Switch to the selection tool with the inserted elements selected
+     */
+    selectInserted(ids) {
+        const drawingTools = this.canvasManager.drawingTools;
+        drawingTools.setTool('selection');
+        drawingTools.setSelection(ids);
+        this.canvasManager.redrawCanvas();
+    }
+
+    /**
+     * Paste an image file from the OS at the cursor
+     * @param {File} file - Image file
+     */
+    pasteImageFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const img = new Image();
+            img.onload = () => {
+                // Fit large images inside the visible area
+                const view = this.canvasManager.getViewportSize();
+                const scale = Math.min(1, view.width * 0.8 / img.width, view.height * 0.8 / img.height);
+                const width = img.width * scale;
+                const height = img.height * scale;
+                const point = this.getPastePoint();
+
+                const element = this.scene.add({
+                    type: 'image',
+                    x: point.x - width / 2,
+                    y: point.y - height / 2,
+                    width,
+                    height,
+                    src: img.src
+                });
+
+                this.selectInserted([element.id]);
+                this.canvasManager.recordAdd([element], 'Paste Image');
+            };
+            img.src = e.target.result;
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Paste plain text from the OS at the cursor
+     * @param {string} text - Text to paste
+     */
+    pasteText(text) {
+        const drawingTools = this.canvasManager.drawingTools;
+        const settings = drawingTools.settings;
+        const point = this.getPastePoint();
+        const properties = {
+            type: 'text',
+            x: point.x,
+            y: point.y,
+            text: text.trim().replace(/\r\n?/g, '\n'),
+            fontFamily: settings.fontFamily,
+            fontSize: settings.fontSize,
+            lineHeight: settings.lineHeight,
+            align: settings.textAlign,
+            style: drawingTools.getStyle()
+        };
+
+        // Pasted lines stay separate lines
+        const layout = this.scene.getTextLayout(properties);
+        const element = this.scene.add({ ...properties, width: layout.width, height: layout.height });
+
+        this.selectInserted([element.id]);
+        this.canvasManager.recordAdd([element], 'Paste Text');
+    }
+
+    /**
+     * Get the world position to paste at: the cursor, or the view center
+     * @returns {Object} Point {x, y}
+     */
+    getPastePoint() {
+        const drawingTools = this.canvasManager.drawingTools;
+        if (drawingTools && drawingTools.pointerPosition) {
+            return { ...drawingTools.pointerPosition };
+        }
+        return this.canvasManager.getViewportCenter();
+    }
+
+    /**
+     * Write text to the system clipboard
+     * @param {DataTransfer} clipboardData - Clipboard data from a clipboard event, if any
+     * @param {string} text - Text to write
+     */
+    writeToSystemClipboard(clipboardData, text) {
+        if (clipboardData) {
+            clipboardData.setData('text/plain', text);
+        } else if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch(error => {
+                console.warn('Failed to write to clipboard:', error);
+            });
+        }
+    }
+
+    /**
+     * Serialize elements for the clipboard
+     * @param {Array} elements - Elements
+     * @returns {string} Clipboard text
+     */
+    serialize(elements) {
+        return JSON.stringify({
+            type: 'whiteboard/elements',
+            version: 1,
+            elements
+        });
+    }
+
+    /**
+     * Parse clipboard text written by serialize()
+     * @param {string} text - Clipboard text
+     * @returns {Array|null} Elements or null if the text is not board content
+     */
+    deserialize(text) {
+        if (!text || text.charAt(0) !== '{') return null;
+
+        try {
+            const data = JSON.parse(text);
+            if (data && data.type === 'whiteboard/elements' && Array.isArray(data.elements)) {
+                return data.elements;
+            }
+        } catch (error) {
+            // Ordinary text that happens to start with a brace
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClipboardManager;
+}
@@ -0,0 +1,509 @@
+/**
+ * Real-time collaboration for the Online Whiteboard Tool
+ *
+ * Every recorded command (drawing, edits, undo/redo) is sent to a relay, which
+ * gives each operation a sequence number and forwards it to everyone in the
+ * room, including the sender. All clients apply operations in that order, so
+ * boards converge.
+ *
+ * Local operations are shown right away and kept as pending until the relay
+ * echoes them back. When a peer's operation arrives first, pending operations
+ * are rolled back, the peer's operation is applied, and pending operations are
+ * applied again on top. Operations are merged per element (Scene.merge), so
+ * concurrent edits to the same element resolve to the one the relay ordered last.
+ *
+ * The transport is pluggable: anything with connect(), send(message), close(),
+ * isOpen() and onOpen/onMessage/onClose callbacks works (see WebSocketTransport).
+ */
+
+class CollaborationManager {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.collaboration = this;
+
+        this.transport = null;
+        this.room = null;
+        this.name = '';
+        this.clientId = null;
+        // Relay's ID for the room, which changes if the relay restarts or drops the room
+        this.roomId = null;
+
+        // Other people in the room: clientId -> {name, presence}
+        this.peers = new Map();
+
+        // Last sequence number applied (null until the room has been joined)
+        this.seq = null;
+
+        // Local operations not yet confirmed by the relay: [{opId, command, inverse}]
+        this.pending = [];
+
+        // Callbacks
+        this.onStatusChange = null;
+        this.onPresence = null;
+
+        this.modal = document.getElementById('collab-modal');
+        this.setupEventListeners();
+        this.updateStatus();
+        this.checkRoomLink();
+    }
+
+    /**
+     * Setup dialog event listeners
+     */
+    setupEventListeners() {
+        const toggleBtn = document.getElementById('collab-toggle');
+
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.showDialog());
+        }
+
+        if (!this.modal) return;
+
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.hideDialog());
+
+        document.getElementById('collab-connect').addEventListener('click', () => {
+            const options = {
+                url: document.getElementById('collab-url').value.trim(),
+                room: document.getElementById('collab-room').value.trim(),
+                name: document.getElementById('collab-name').value.trim()
+            };
+
+            if (!options.url || !options.room) {
+                alert('Enter a server address and a room name.');
+                return;
+            }
+
+            if (!this.canvasManager.scene.isEmpty() &&
+                !confirm('If the room already has a board, it will replace this board. Continue?')) {
+                return;
+            }
+
+            Utils.Storage.save('whiteboard_collaboration', options);
+            this.connect(options);
+        });
+
+        document.getElementById('collab-disconnect').addEventListener('click', () => this.disconnect());
+        document.getElementById('collab-copy-link').addEventListener('click', () => this.copyRoomLink());
+    }
+
+    /**
+     * Open the dialog if the page was opened with a ?room= link
+     */
+    checkRoomLink() {
+        const room = new URLSearchParams(window.location.search).get('room');
+        if (room) {
+            this.showDialog(room);
+        }
+    }
+
+    /**
+     * Get the default relay address (the relay also serves the app)
+     * @returns {string} WebSocket URL
+     */
+    getDefaultUrl() {
+        const { protocol, host } = window.location;
+        if (protocol === 'http:' || protocol === 'https:') {
+            return `${protocol === 'https:' ? 'wss' : 'ws'}://${host}/sync`;
+        }
+        return 'ws://localhost:8080/sync';
+    }
+
+    /**
+     * Show the collaboration dialog
+     * @param {string} room - Room to prefill
+     */
+    showDialog(room = null) {
+        if (!this.modal) return;
+
+        const saved = Utils.Storage.load('whiteboard_collaboration', {});
+        document.getElementById('collab-url').value = saved.url || this.getDefaultUrl();
+        document.getElementById('collab-room').value = room || this.room || saved.room || Utils.generateId();
+        document.getElementById('collab-name').value = saved.name || '';
+
+        this.updateStatus();
+        this.modal.classList.add('show');
+    }
+
+    /**
+     * Hide the collaboration dialog
+     */
+    hideDialog() {
+        if (this.modal) {
+            this.modal.classList.remove('show');
+        }
+    }
+
+    /**
+     * Join a room
+     * @param {Object} options - Connection options
+     * @param {string} options.url - Relay URL (used when no transport is given)
+     * @param {string} options.room - Room name
+     * @param {string} options.name - Display name shown to peers
+     * @param {Object} options.transport - Transport to use instead of a WebSocket
+     */
+    connect(options) {
+        this.disconnect();
+
+        this.room = options.room;
+        this.name = options.name || 'Guest';
+        this.seq = null;
+        this.roomId = null;
+        this.pending = [];
+        this.transport = options.transport || new WebSocketTransport(options.url);
+
+        this.transport.onOpen = () => {
+            // Rejoining after a dropped connection asks only for what was missed
+            this.transport.send({ type: 'join', room: this.room, name: this.name, since: this.seq, roomId: this.roomId });
+        };
+        this.transport.onMessage = (message) => this.handleMessage(message);
+        this.transport.onClose = () => {
+            this.clientId = null;
+            this.peers.clear();
+            this.updateStatus();
+        };
+
+        this.transport.connect();
+        this.updateStatus();
+    }
+
+    /**
+     * Leave the room
+     */
+    disconnect() {
+        if (!this.transport) return;
+
+        const transport = this.transport;
+        this.transport = null;
+        transport.onClose = null;
+        transport.close();
+
+        this.room = null;
+        this.clientId = null;
+        this.roomId = null;
+        this.seq = null;
+        this.pending = [];
+        this.peers.clear();
+        this.updateStatus();
+    }
+
+    /**
+     * Whether the room has been joined and is in sync
+     * @returns {boolean} True if connected
+     */
+    isConnected() {
+        return this.transport !== null && this.clientId !== null;
+    }
+
+    /**
+     * Handle a message from the relay
+     * @param {Object} message - Message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.handleWelcome({ ...message, ops: this.dropInvalidOperations(message.ops) });
+                break;
+            case 'op':
+                this.receiveOperations(this.dropInvalidOperations([message]));
+                this.seq = message.seq;
+                break;
+            case 'peer-joined':
+                this.peers.set(message.clientId, { name: message.name, presence: null });
+                this.updateStatus();
+                break;
+            case 'peer-left':
+                this.peers.delete(message.clientId);
+                this.updateStatus();
+                break;
+            case 'presence':
+                if (this.peers.has(message.clientId)) {
+                    this.peers.get(message.clientId).presence = message.presence;
+                    if (this.onPresence) this.onPresence(message.clientId);
+                }
+                break;
+            case 'duplicate':
+                // Resent after a reconnect, but the relay already had it: it is part of the room's board
+                this.pending = this.pending.filter(operation => operation.opId !== message.opId);
+                break;
+            case 'snapshot-request':
+                this.sendSnapshot();
+                break;
+            case 'error':
+                console.warn('Collaboration error:', message.message);
+                break;
+        }
+    }
+
+    /**
+     * Handle the relay's reply to a join
+     * @param {Object} message - {clientId, roomId, seq, snapshot, ops, peers}
+     */
+    handleWelcome(message) {
+        const isFirstJoin = this.seq === null;
+        const roomIsEmpty = !message.snapshot && message.ops.length === 0;
+        // The relay restarted or dropped the room meanwhile, so it has none of what this board is based on
+        const roomWasLost = !isFirstJoin && (message.roomId !== this.roomId || message.seq < this.seq);
+
+        this.clientId = message.clientId;
+        this.roomId = message.roomId;
+        this.peers = new Map(message.peers.map(peer => [
+            peer.clientId,
+            { name: peer.name, presence: peer.presence || null }
+        ]));
+
+        if ((isFirstJoin || roomWasLost) && roomIsEmpty) {
+            // First one here: share this board (including anything unconfirmed) with the room
+            this.seq = message.seq;
+            this.pending = [];
+            this.handleLocalCommand(this.getBoardCommand());
+        } else if (isFirstJoin || roomWasLost) {
+            // Take over the room's board; local undo history no longer applies to it
+            if (historyManager) {
+                historyManager.clear();
+            }
+            this.pending = [];
+            this.loadRoomState(message);
+        } else {
+            // Back after a dropped connection: catch up, then resend what was not confirmed
+            this.rollbackPending();
+            if (message.snapshot) {
+                this.canvasManager.scene.loadState(message.snapshot);
+            }
+            message.ops.forEach(op => this.applyRemote(op));
+            this.seq = message.seq;
+            this.reapplyPending();
+            this.pending.forEach(operation => {
+                this.transport.send({ type: 'op', opId: operation.opId, command: operation.command });
+            });
+            this.shareBoardWithTabs();
+            this.afterRemoteChange();
+        }
+
+        this.updateStatus();
+    }
+
+    /**
+     * Replace the board with the room's state
+     * @param {Object} message - Welcome message with snapshot and operations
+     */
+    loadRoomState(message) {
+        const scene = this.canvasManager.scene;
+        scene.loadState(message.snapshot || { elements: [], layers: null });
+        message.ops.forEach(op => scene.merge(op.command));
+        this.seq = message.seq;
+        this.shareBoardWithTabs();
+        this.afterRemoteChange();
+    }
+
+    /**
+     * Send a local command to the room
+     * @param {Object} command - Command that was just applied to the scene
+     * @param {Object} inverse - Command that reverts exactly what was applied
+     */
+    handleLocalCommand(command, inverse = Scene.invertCommand(command)) {
+        if (!this.transport || this.seq === null) return;
+
+        const operation = {
+            opId: `${this.clientId || 'local'}:${Utils.generateId()}`,
+            command: Utils.deepClone(command),
+            inverse
+        };
+        this.pending.push(operation);
+
+        // While disconnected, pending operations are sent after rejoining
+        this.transport.send({ type: 'op', opId: operation.opId, command: operation.command });
+    }
+
+    /**
+     * Apply operations from the relay
+     * @param {Array} ops - Operations in sequence order [{seq, opId, command}]
+     */
+    receiveOperations(ops) {
+        let changed = false;
+
+        ops.forEach(op => {
+            if (this.pending.length > 0 && this.pending[0].opId === op.opId) {
+                // Our own operation, confirmed: it is already on the board
+                this.pending.shift();
+                return;
+            }
+
+            this.rollbackPending();
+            this.canvasManager.scene.merge(op.command);
+            this.reapplyPending();
+            this.shareWithTabs(op.command);
+            changed = true;
+        });
+
+        if (changed) {
+            this.afterRemoteChange();
+        }
+    }
+
+    /**
+     * Leave out operations whose command cannot be applied (a peer may send anything)
+     * @param {Array} ops - Operations from the relay
+     * @returns {Array} Operations that are safe to apply
+     */
+    dropInvalidOperations(ops) {
+        return (Array.isArray(ops) ? ops : []).filter(op => {
+            if (op && Scene.isValidCommand(op.command)) return true;
+
+            console.warn('Ignoring invalid operation:', op && op.opId);
+            return false;
+        });
+    }
+
+    /**
+     * Apply an operation during catch-up (pending operations are rolled back)
+     * @param {Object} op - Operation {seq, opId, command}
+     */
+    applyRemote(op) {
+        const index = this.pending.findIndex(operation => operation.opId === op.opId);
+        if (index !== -1) {
+            // The relay got it before the connection dropped
+            this.pending.splice(index, 1);
+        }
+        this.canvasManager.scene.merge(op.command);
+    }
+
+    /**
+     * Undo pending local operations, newest first
+     */
+    rollbackPending() {
+        for (let i = this.pending.length - 1; i >= 0; i--) {
+            this.canvasManager.scene.apply(this.pending[i].inverse);
+        }
+    }
+
+    /**
+     * Apply pending local operations again on top of the current board
+     */
+    reapplyPending() {
+        this.pending.forEach(operation => {
+            operation.inverse = this.canvasManager.scene.merge(operation.command);
+        });
+    }
+
+    /**
+     * Send this user's cursor and viewport to the room (not sequenced or stored in the log)
+     * @param {Object} presence - Presence {cursor, viewport}
+     */
+    sendPresence(presence) {
+        if (!this.isConnected()) return;
+
+        this.transport.send({ type: 'presence', presence });
+    }
+
+    /**
+     * Send the confirmed board (without pending operations) so the relay can trim its log
+     */
+    sendSnapshot() {
+        if (!this.isConnected()) return;
+
+        this.rollbackPending();
+        const state = this.canvasManager.scene.getState();
+        this.reapplyPending();
+
+        this.transport.send({ type: 'snapshot', seq: this.seq, elements: state.elements, layers: state.layers });
+    }
+
+    /**
+     * Pass a peer's command on to other tabs with this board open
+     * @param {Object} command - Command from the room
+     */
+    shareWithTabs(command) {
+        if (this.canvasManager.tabSync) {
+            this.canvasManager.tabSync.broadcastCommand(command, this.room);
+        }
+    }
+
+    /**
+     * Send the whole board to other tabs (after it was loaded from the room)
+     */
+    shareBoardWithTabs() {
+        this.shareWithTabs(this.getBoardCommand());
+    }
+
+    /**
+     * Get a command that replaces a board with this one (elements and layers)
+     * @returns {Object} Command
+     */
+    getBoardCommand() {
+        const state = this.canvasManager.scene.getState();
+        return {
+            type: 'batch',
+            commands: [
+                { type: 'replace', target: 'layers', before: [], after: state.layers },
+                { type: 'replace', before: [], after: state.elements }
+            ]
+        };
+    }
+
+    /**
+     * Redraw and persist after the board changed remotely
+     */
+    afterRemoteChange() {
+        this.canvasManager.redrawCanvas();
+
+        if (this.canvasManager.persistSessionLater) {
+            this.canvasManager.persistSessionLater();
+        }
+    }
+
+    /**
+     * Copy a link that opens the dialog for the current room
+     */
+    copyRoomLink() {
+        const room = document.getElementById('collab-room').value.trim();
+        if (!room) return;
+
+        const link = `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(room)}`;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link).catch(() => prompt('Copy this link:', link));
+        } else {
+            prompt('Copy this link:', link);
+        }
+    }
+
+    /**
+     * Show the connection state in the header button and dialog
+     */
+    updateStatus() {
+        const toggleBtn = document.getElementById('collab-toggle');
+        const status = document.getElementById('collab-status');
+        const connectBtn = document.getElementById('collab-connect');
+        const disconnectBtn = document.getElementById('collab-disconnect');
+
+        let text = 'Not connected';
+        if (this.isConnected()) {
+            const others = this.peers.size;
+            text = `Connected to "${this.room}" · ${others === 0 ? 'no one else here' : `${others} ${others === 1 ? 'other person' : 'other people'}`}`;
+        } else if (this.transport) {
+            text = this.seq === null ? 'Connecting…' : 'Connection lost, reconnecting…';
+        }
+
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', this.isConnected());
+            toggleBtn.title = `Collaborate (${text})`;
+        }
+        if (status) {
+            status.textContent = text;
+        }
+        if (connectBtn) {
+            connectBtn.hidden = this.transport !== null;
+        }
+        if (disconnectBtn) {
+            disconnectBtn.hidden = this.transport === null;
+        }
+
+        if (this.onStatusChange) {
+            this.onStatusChange();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollaborationManager;
+}
@@ -0,0 +1,459 @@
+/**
+ * Document management for the Online Whiteboard Tool
+ *
+ * Keeps several named boards in IndexedDB. Each document record holds the
+ * name, a thumbnail and dates; the board itself is stored as the session
+ * with the same ID, so every board keeps its own content, undo history and
+ * auto-save snapshots.
+ */
+
+class DocumentManager {
+    constructor(canvasManager, fileOperations) {
+        this.canvasManager = canvasManager;
+        this.fileOperations = fileOperations;
+        this.currentId = null;
+        this.currentDocument = null;
+        this.savedState = null;
+
+        this.modal = document.getElementById('documents-modal');
+        this.list = document.getElementById('documents-list');
+        this.titleInput = document.getElementById('document-title');
+
+        this.fileOperations.documentManager = this;
+        this.fileOperations.onFileNameChange = (name) => this.renameDocument(this.currentId, name);
+
+        this.touchDocumentLater = Utils.debounce(() => this.touchDocument(), 1000);
+        this.setupEventListeners();
+
+        if (historyManager) {
+            historyManager.addChangeListener(this.touchDocumentLater);
+        }
+    }
+
+    /**
+     * Setup browser and title event listeners
+     */
+    setupEventListeners() {
+        const toggleBtn = document.getElementById('documents-toggle');
+        const newBtn = document.getElementById('documents-new');
+        const snapshotsBtn = document.getElementById('documents-snapshots');
+
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.showBrowser());
+        }
+
+        if (snapshotsBtn) {
+            snapshotsBtn.addEventListener('click', () => {
+                this.hideBrowser();
+                this.fileOperations.loadAutoSave(true);
+            });
+        }
+
+        if (newBtn) {
+            newBtn.addEventListener('click', () => {
+                this.hideBrowser();
+                this.createDocument();
+            });
+        }
+
+        if (this.modal) {
+            this.modal.querySelector('.modal-close').addEventListener('click', () => this.hideBrowser());
+        }
+
+        if (this.list) {
+            this.list.addEventListener('click', (e) => this.handleListClick(e));
+        }
+
+        if (this.titleInput) {
+            this.titleInput.addEventListener('change', () => {
+                this.fileOperations.updateFileName(this.titleInput.value);
+            });
+            this.titleInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === 'Escape') {
+                    if (e.key === 'Escape') {
+                        this.titleInput.value = this.fileOperations.fileName;
+                    }
+                    this.titleInput.blur();
+                }
+            });
+        }
+    }
+
+    /**
+     * Open the last used document (creating the first one if needed)
+     * @returns {Promise<boolean>} True if the opened board had content
+     */
+    init() {
+        return Utils.Database.getAll('documents')
+            .then(documents => {
+                const lastId = Utils.Storage.load('whiteboard_current_document');
+                const last = documents.find(doc => doc.id === lastId) ||
+                    documents.sort((a, b) => b.modifiedAt - a.modifiedAt)[0];
+
+                return last || this.createFirstDocument();
+            })
+            .then(doc => {
+                this.showDocument(doc);
+                this.canvasManager.sessionId = doc.id;
+                return this.canvasManager.restoreSession();
+            })
+            .then(restored => {
+                this.savedState = this.getHistoryState();
+                return restored;
+            })
+            .catch(error => {
+                console.warn('Failed to open documents:', error);
+                return this.canvasManager.restoreSession();
+            });
+    }
+
+    /**
+     * Create the first document, adopting the board from before documents existed
+     * @returns {Promise<Object>} Document record
+     */
+    createFirstDocument() {
+        const doc = this.createRecord('Untitled');
+
+        return Utils.Database.get('sessions', 'current')
+            .then(session => {
+                if (!session) return null;
+
+                return Utils.Database.put('sessions', { ...session, id: doc.id })
+                    .then(() => Utils.Database.delete('sessions', 'current'));
+            })
+            .then(() => Utils.Database.put('documents', doc))
+            .then(() => doc);
+    }
+
+    /**
+     * Create a document record
+     * @param {string} name - Document name
+     * @returns {Object} Record {id, name, thumbnail, createdAt, modifiedAt, elementCount}
+     */
+    createRecord(name) {
+        const now = Date.now();
+        return {
+            id: 'doc_' + Utils.generateId(),
+            name,
+            thumbnail: null,
+            createdAt: now,
+            modifiedAt: now,
+            elementCount: 0
+        };
+    }
+
+    /**
+     * Make a document current (its board is loaded separately)
+     * @param {Object} doc - Document record
+     */
+    showDocument(doc) {
+        this.currentId = doc.id;
+        this.currentDocument = doc;
+        this.fileOperations.projectCreated = new Date(doc.createdAt).toISOString();
+        this.fileOperations.updateFileName(doc.name, false);
+        Utils.Storage.save('whiteboard_current_document', doc.id);
+    }
+
+    /**
+     * Create a new empty document and open it
+     * @param {string} name - Document name
+     * @returns {Promise<Object>} Document record
+     */
+    createDocument(name = 'Untitled') {
+        const doc = this.createRecord(name);
+
+        return Utils.Database.put('documents', doc)
+            .then(() => this.openDocument(doc.id))
+            .then(() => doc)
+            .catch(error => {
+                console.error('Failed to create document:', error);
+                alert('Failed to create board: ' + error.message);
+            });
+    }
+
+    /**
+     * Save the current board and open another document
+     * @param {string} id - Document ID
+     * @returns {Promise<void>}
+     */
+    openDocument(id) {
+        return this.touchDocument()
+            .then(() => Utils.Database.get('documents', id))
+            .then(doc => {
+                if (!doc) throw new Error('Board not found');
+
+                return this.canvasManager.openSession(doc.id).then(() => this.showDocument(doc));
+            })
+            .then(() => {
+                this.savedState = this.getHistoryState();
+                this.renderList();
+            })
+            .catch(error => {
+                console.error('Failed to open document:', error);
+                alert('Failed to open board: ' + error.message);
+            });
+    }
+
+    /**
+     * Rename a document
+     * @param {string} id - Document ID
+     * @param {string} name - New name
+     * @returns {Promise<void>}
+     */
+    renameDocument(id, name) {
+        const trimmed = (name || '').trim();
+        if (!id || !trimmed) return Promise.resolve();
+
+        return Utils.Database.get('documents', id)
+            .then(doc => {
+                if (!doc) return null;
+
+                doc.name = trimmed;
+                if (id === this.currentId) {
+                    this.currentDocument = doc;
+                }
+                return Utils.Database.put('documents', doc);
+            })
+            .then(() => this.renderList())
+            .catch(error => console.warn('Failed to rename document:', error));
+    }
+
+    /**
+     * Copy a document and its board
+     * @param {string} id - Document ID
+     * @returns {Promise<Object>} New document record
+     */
+    duplicateDocument(id) {
+        // Make sure the stored board is up to date before copying it
+        const saved = id === this.currentId
+            ? this.canvasManager.persistSession().then(() => this.touchDocument(true))
+            : Promise.resolve();
+
+        return saved
+            .then(() => Promise.all([
+                Utils.Database.get('documents', id),
+                Utils.Database.get('sessions', id)
+            ]))
+            .then(([doc, session]) => {
+                if (!doc) throw new Error('Board not found');
+
+                const copy = {
+                    ...this.createRecord(`${doc.name} (copy)`),
+                    thumbnail: doc.thumbnail,
+                    elementCount: doc.elementCount
+                };
+                const writes = [Utils.Database.put('documents', copy)];
+                if (session) {
+                    writes.push(Utils.Database.put('sessions', { ...session, id: copy.id }));
+                }
+                return Promise.all(writes).then(() => copy);
+            })
+            .then(copy => {
+                this.renderList();
+                return copy;
+            })
+            .catch(error => {
+                console.error('Failed to duplicate document:', error);
+                alert('Failed to duplicate board: ' + error.message);
+            });
+    }
+
+    /**
+     * Delete a document and its board
+     * @param {string} id - Document ID
+     * @returns {Promise<void>}
+     */
+    deleteDocument(id) {
+        if (id === this.currentId) {
+            // Nothing may write the open board back while it is being deleted
+            this.canvasManager.isSessionRestored = false;
+            this.touchDocumentLater.cancel();
+            if (this.canvasManager.persistSessionLater) {
+                this.canvasManager.persistSessionLater.cancel();
+            }
+        }
+
+        return Promise.all([
+            Utils.Database.delete('documents', id),
+            Utils.Database.delete('sessions', id)
+        ])
+            .then(() => this.fileOperations.clearAutoSave(id))
+            .then(() => {
+                if (id !== this.currentId) return null;
+
+                // The open board was deleted: open the most recent one left, or a new one
+                return Utils.Database.getAll('documents').then(documents => {
+                    const next = documents.sort((a, b) => b.modifiedAt - a.modifiedAt)[0];
+                    return next ? this.openDocument(next.id) : this.createDocument();
+                });
+            })
+            .then(() => this.renderList())
+            .catch(error => {
+                console.error('Failed to delete document:', error);
+                alert('Failed to delete board: ' + error.message);
+            });
+    }
+
+    /**
+     * Update the current document's thumbnail and modified date after changes
+     * @param {boolean} force - Update even if history has not changed
+     * @returns {Promise<void>}
+     */
+    touchDocument(force = false) {
+        const state = this.getHistoryState();
+        if (!this.currentDocument || !this.canvasManager.isSessionRestored) return Promise.resolve();
+        if (!force && state === this.savedState) return Promise.resolve();
+
+        this.savedState = state;
+        const doc = this.currentDocument;
+        doc.modifiedAt = Date.now();
+        doc.thumbnail = this.canvasManager.createThumbnail(160, 120);
+        doc.elementCount = this.canvasManager.scene.elements.length;
+
+        return Utils.Database.put('documents', doc)
+            .then(() => this.renderList())
+            .catch(error => console.warn('Failed to update document:', error));
+    }
+
+    /**
+     * Get the history position, to detect real changes
+     * @returns {string} History state ID
+     */
+    getHistoryState() {
+        return historyManager ? historyManager.getStateId() : '';
+    }
+
+    /**
+     * Handle clicks in the document list (event delegation)
+     */
+    handleListClick(e) {
+        const item = e.target.closest('.document-item');
+        if (!item) return;
+
+        const id = item.dataset.id;
+        const action = e.target.closest('[data-action]');
+
+        switch (action ? action.dataset.action : 'open') {
+            case 'rename': {
+                const current = item.querySelector('.document-name').textContent;
+                const name = prompt('Board name:', current);
+                if (name !== null && name.trim()) {
+                    if (id === this.currentId) {
+                        this.fileOperations.updateFileName(name);
+                    } else {
+                        this.renameDocument(id, name);
+                    }
+                }
+                break;
+            }
+            case 'duplicate':
+                this.duplicateDocument(id);
+                break;
+            case 'delete': {
+                const name = item.querySelector('.document-name').textContent;
+                if (confirm(`Delete "${name}"? This cannot be undone.`)) {
+                    this.deleteDocument(id);
+                }
+                break;
+            }
+            default:
+                this.hideBrowser();
+                if (id !== this.currentId) {
+                    this.openDocument(id);
+                }
+        }
+    }
+
+    /**
+     * Show the document browser
+     */
+    showBrowser() {
+        if (!this.modal) return;
+
+        this.modal.classList.add('show');
+        this.touchDocument().then(() => this.renderList());
+    }
+
+    /**
+     * Hide the document browser
+     */
+    hideBrowser() {
+        if (this.modal) {
+            this.modal.classList.remove('show');
+        }
+    }
+
+    /**
+     * Rebuild the document list (only while the browser is open)
+     * @returns {Promise<void>}
+     */
+    renderList() {
+        if (!this.list || !this.modal || !this.modal.classList.contains('show')) {
+            return Promise.resolve();
+        }
+
+        return Utils.Database.getAll('documents').then(documents => {
+            this.list.innerHTML = '';
+
+            documents
+                .sort((a, b) => b.modifiedAt - a.modifiedAt)
+                .forEach(doc => this.list.appendChild(this.createItem(doc)));
+        });
+    }
+
+    /**
+     * Create a list item for a document
+     * @param {Object} doc - Document record
+     * @returns {HTMLElement} List item
+     */
+    createItem(doc) {
+        const item = document.createElement('li');
+        item.className = 'document-item';
+        item.dataset.id = doc.id;
+        if (doc.id === this.currentId) {
+            item.classList.add('current');
+        }
+
+        if (doc.thumbnail) {
+            const img = document.createElement('img');
+            img.className = 'document-thumbnail';
+            img.src = doc.thumbnail;
+            img.alt = '';
+            item.appendChild(img);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'document-thumbnail';
+            item.appendChild(placeholder);
+        }
+
+        const info = document.createElement('div');
+        info.className = 'document-info';
+
+        const name = document.createElement('span');
+        name.className = 'document-name';
+        name.textContent = doc.name;
+        info.appendChild(name);
+
+        const modified = document.createElement('span');
+        modified.className = 'document-modified';
+        modified.textContent = `Modified ${new Date(doc.modifiedAt).toLocaleString()}`;
+        info.appendChild(modified);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'document-actions';
+        actions.innerHTML =
+            '<button class="btn btn-icon" data-action="rename" title="Rename"><i class="fas fa-pen"></i></button>' +
+            '<button class="btn btn-icon" data-action="duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>' +
+            '<button class="btn btn-icon" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>';
+        item.appendChild(actions);
+
+        return item;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentManager;
+}
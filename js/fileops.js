@@ -8,8 +8,37 @@ class FileOperations {
         this.canvas = canvasManager.canvas;
         this.ctx = canvasManager.ctx;
         
+        // Project file format written by createProjectData(); the version goes up
+        // whenever files gain content older versions cannot show:
+        //   2.2 sticky notes
+        //   2.3 connectors
+        //   2.4 rich text runs and wrapping text (wrapWidth)
+        //   2.5 ink strokes (points with pressure)
+        this.projectFormat = 'whiteboard-project';
+        this.projectVersion = '2.5';
+        this.projectCreated = null;
+        
+        // Board name shown in the header and used for downloads
+        this.fileName = 'Untitled';
+        this.onFileNameChange = null;
+        
+        // Set when named documents are managed in the browser (DocumentManager)
+        this.documentManager = null;
+        
+        // Auto-save keeps this many snapshots per board (IndexedDB 'snapshots' store)
+        this.maxSnapshots = 10;
+        this.autoSaveState = null;
+        this.recoveryDialog = new RecoveryDialog();
+        
         this.setupFileInputs();
         this.setupEventListeners();
+        
+        // Show unsaved changes in the title whenever history changes
+        if (historyManager) {
+            historyManager.addChangeListener(() => this.updateTitle());
+        }
+        this.setupExportModal();
+        this.setupPDFModal();
     }
 
     /**
@@ -84,12 +113,19 @@ class FileOperations {
      * Create a new file
      */
     newFile() {
+        // With named documents the current board is kept and a new one is opened
+        if (this.documentManager) {
+            this.documentManager.createDocument();
+            return;
+        }
+        
         if (this.hasUnsavedChanges()) {
             const confirmed = confirm('You have unsaved changes. Are you sure you want to create a new file?');
             if (!confirmed) return;
         }
         
         this.canvasManager.reset();
+        this.projectCreated = null;
         this.updateFileName('Untitled');
     }
 
@@ -114,12 +150,30 @@ class FileOperations {
             case 'jpeg':
                 this.loadImageFile(file);
                 break;
+            case 'svg':
+                this.loadSVGFile(file);
+                break;
             case 'json':
                 this.loadProjectFile(file);
                 break;
             default:
-                alert('Unsupported file format. Please use PNG, JPG, or JSON files.');
+                alert('Unsupported file format. Please use PNG, JPG, SVG, or JSON files.');
+        }
+    }
+
+    /**
+     * Get a board ready for an opened file: a new one, so the open board is neither
+     * overwritten nor renamed (a board that was never drawn on is used as it is)
+     * @returns {Promise<boolean>} True if the file can be loaded onto the open board
+     */
+    openBoardForFile() {
+        const isUnused = this.canvasManager.scene.isEmpty() && !(historyManager && historyManager.canUndo());
+        // Without document storage there is only the one board
+        if (!this.documentManager || !this.documentManager.currentDocument || isUnused) {
+            return Promise.resolve(true);
         }
+        
+        return this.documentManager.createDocument().then(doc => !!doc);
     }
 
     /**
@@ -130,8 +184,11 @@ class FileOperations {
         reader.onload = (e) => {
             const img = new Image();
             img.onload = () => {
-                this.drawImageOnCanvas(img);
-                this.updateFileName(file.name);
+                this.openBoardForFile().then(ready => {
+                    if (!ready) return;
+                    this.drawImageOnCanvas(img);
+                    this.updateFileName(file.name);
+                });
             };
             img.onerror = () => {
                 alert('Failed to load image file.');
@@ -144,20 +201,104 @@ class FileOperations {
         reader.readAsDataURL(file);
     }
 
+    /**
+     * Load SVG file as editable board content
+     */
+    loadSVGFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result;
+            let result;
+            
+            try {
+                result = new SVGImporter().import(text);
+            } catch (error) {
+                alert('Failed to parse SVG file.');
+                console.error('SVG parse error:', error);
+                return;
+            }
+            
+            if (result.warnings.length > 0) {
+                console.warn('SVG import warnings:', result.warnings);
+                
+                const editable = result.elements.length > 0 && confirm(
+                    'Some features of this SVG are not supported:\n\n- ' +
+                    result.warnings.join('\n- ') +
+                    '\n\nPress OK to import editable shapes anyway, or Cancel to import the SVG as an image.'
+                );
+                
+                if (!editable) {
+                    this.loadSVGAsImage(text, file.name);
+                    return;
+                }
+            } else if (result.elements.length === 0) {
+                alert('The SVG file does not contain any shapes that can be imported.');
+                return;
+            }
+            
+            this.openBoardForFile().then(ready => {
+                if (!ready) return;
+                this.canvasManager.replaceScene(result.elements.map(element => ({
+                    id: Utils.generateId(),
+                    ...element
+                })), 'Load SVG', result.layers || Scene.createDefaultLayers());
+                this.canvasManager.zoomFit();
+                this.updateFileName(file.name);
+            });
+        };
+        reader.onerror = () => {
+            alert('Failed to read SVG file.');
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Load SVG markup rasterized as a single image
+     * @param {string} text - SVG markup
+     * @param {string} fileName - Source file name
+     */
+    loadSVGAsImage(text, fileName) {
+        const img = new Image();
+        img.onload = () => {
+            this.openBoardForFile().then(ready => {
+                if (!ready) return;
+                this.drawImageOnCanvas(img);
+                this.updateFileName(fileName);
+            });
+        };
+        img.onerror = () => {
+            alert('Failed to load SVG file as an image.');
+        };
+        img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(text);
+    }
+
     /**
      * Load project file (JSON)
      */
     loadProjectFile(file) {
         const reader = new FileReader();
         reader.onload = (e) => {
+            let project;
             try {
-                const projectData = JSON.parse(e.target.result);
-                this.loadProjectData(projectData);
-                this.updateFileName(file.name);
+                project = this.checkProjectData(JSON.parse(e.target.result));
             } catch (error) {
                 alert('Failed to parse project file.');
                 console.error('Project file parse error:', error);
+                return;
             }
+            if (!project) return;
+            
+            this.openBoardForFile()
+                .then(ready => {
+                    if (!ready) return;
+                    this.applyProjectData(project);
+                    this.updateFileName(file.name);
+                    this.markSaved();
+                })
+                .catch(error => {
+                    alert('Failed to open project file.');
+                    console.error('Project file load error:', error);
+                });
         };
         reader.onerror = () => {
             alert('Failed to read project file.');
@@ -169,71 +310,160 @@ class FileOperations {
      * Draw image on canvas
      */
     drawImageOnCanvas(img) {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Calculate image dimensions to fit canvas
-        const canvasRatio = this.canvas.width / this.canvas.height;
+        // Calculate image dimensions to fit the visible area
+        const view = this.canvasManager.getViewportSize();
+        const center = this.canvasManager.getViewportCenter();
+        const canvasRatio = view.width / view.height;
         const imageRatio = img.width / img.height;
         
         let drawWidth, drawHeight;
         
         if (imageRatio > canvasRatio) {
-            drawWidth = this.canvas.width;
-            drawHeight = this.canvas.width / imageRatio;
+            drawWidth = view.width;
+            drawHeight = view.width / imageRatio;
         } else {
-            drawHeight = this.canvas.height;
-            drawWidth = this.canvas.height * imageRatio;
+            drawHeight = view.height;
+            drawWidth = view.height * imageRatio;
         }
         
-        const x = (this.canvas.width - drawWidth) / 2;
-        const y = (this.canvas.height - drawHeight) / 2;
+        const x = center.x - drawWidth / 2;
+        const y = center.y - drawHeight / 2;
         
-        this.ctx.drawImage(img, x, y, drawWidth, drawHeight);
+        // The image becomes the board's content
+        this.canvasManager.replaceScene([{
+            id: Utils.generateId(),
+            type: 'image',
+            x,
+            y,
+            width: drawWidth,
+            height: drawHeight,
+            src: img.src
+        }], 'Load Image', Scene.createDefaultLayers());
+    }
+
+    /**
+     * Load project data onto the open board
+     * @returns {boolean} True if the project was loaded (false after an error was shown)
+     */
+    loadProjectData(projectData, description = 'Load Project') {
+        const project = this.checkProjectData(projectData);
+        if (!project) return false;
         
-        // Add to history
-        if (historyManager && !historyManager.isUndoRedoInProgress()) {
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            historyManager.addState({ imageData }, 'Load Image');
+        this.applyProjectData(project, description);
+        return true;
+    }
+
+    /**
+     * Check that project data can be opened, telling the user why not
+     * @param {Object} projectData - Parsed project file
+     * @returns {Object|null} Project data in the current format, or null if it cannot be opened
+     */
+    checkProjectData(projectData) {
+        const project = this.migrateProjectData(projectData);
+        
+        if (!project) {
+            alert('Invalid project file format.');
+            return null;
         }
+        
+        if (Utils.compareVersions(project.version, this.projectVersion) > 0) {
+            alert('This project was saved by a newer version of the whiteboard and cannot be opened.');
+            return null;
+        }
+        
+        return project;
     }
 
     /**
-     * Load project data
+     * Replace the open board with a project
+     * @param {Object} project - Project data from checkProjectData()
+     * @param {string} description - History description
      */
-    loadProjectData(projectData) {
-        if (projectData.version && projectData.canvasData) {
-            // Load canvas data
-            if (projectData.canvasData.imageData) {
-                const imageData = new ImageData(
-                    new Uint8ClampedArray(projectData.canvasData.imageData),
-                    projectData.canvasData.width,
-                    projectData.canvasData.height
-                );
-                
-                // Resize canvas if needed
-                if (this.canvas.width !== imageData.width || this.canvas.height !== imageData.height) {
-                    this.canvas.width = imageData.width;
-                    this.canvas.height = imageData.height;
-                    this.canvasManager.updateCanvasSizeDisplay();
-                }
-                
-                this.ctx.putImageData(imageData, 0, 0);
-            }
+    applyProjectData(project, description = 'Load Project') {
+        const assets = project.assets || {};
+        const elements = Scene.unpackAssets(project.scene.elements || [], assets).map(element => ({
+            ...element,
+            id: element.id || Utils.generateId()
+        }));
+        
+        // Replace the board (recorded in history); projects from before layers have one
+        this.canvasManager.replaceScene(elements, description, project.scene.layers || Scene.createDefaultLayers());
+        
+        if (project.viewport) {
+            this.canvasManager.setViewport(project.viewport);
+        }
+        
+        // Load settings if available
+        if (project.settings) {
+            this.loadSettings(project.settings);
+        }
+        
+        this.projectCreated = project.metadata && project.metadata.created ? project.metadata.created : null;
+    }
+
+    /**
+     * Bring project data from older versions up to the current format
+     * @param {Object} projectData - Parsed project file
+     * @returns {Object|null} Project data in the current format, or null if unrecognized
+     */
+    migrateProjectData(projectData) {
+        if (!projectData || !projectData.version) return null;
+        
+        if (projectData.format === this.projectFormat && projectData.scene) {
+            return projectData;
+        }
+        
+        // Version 1.0 stored the visible canvas as a raw RGBA pixel array
+        if (projectData.version === '1.0' && projectData.canvasData) {
+            return this.migrateProjectDataV1(projectData);
+        }
+        
+        return null;
+    }
+
+    /**
+     * Convert a version 1.0 project (pixel array) into a board with a single image
+     * @param {Object} projectData - Version 1.0 project data
+     * @returns {Object} Project data in the current format
+     */
+    migrateProjectDataV1(projectData) {
+        const elements = [];
+        const canvasData = projectData.canvasData;
+        
+        if (canvasData.imageData) {
+            const imageData = new ImageData(
+                new Uint8ClampedArray(canvasData.imageData),
+                canvasData.width,
+                canvasData.height
+            );
             
-            // Load settings if available
-            if (projectData.settings) {
-                this.loadSettings(projectData.settings);
-            }
+            const pixelCanvas = document.createElement('canvas');
+            pixelCanvas.width = imageData.width;
+            pixelCanvas.height = imageData.height;
+            pixelCanvas.getContext('2d').putImageData(imageData, 0, 0);
             
-            // Add to history
-            if (historyManager && !historyManager.isUndoRedoInProgress()) {
-                const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                historyManager.addState({ imageData }, 'Load Project');
-            }
-        } else {
-            alert('Invalid project file format.');
+            elements.push({
+                id: Utils.generateId(),
+                type: 'image',
+                x: 0,
+                y: 0,
+                width: imageData.width,
+                height: imageData.height,
+                src: pixelCanvas.toDataURL('image/png')
+            });
         }
+        
+        return {
+            format: this.projectFormat,
+            version: this.projectVersion,
+            name: projectData.name,
+            scene: { elements },
+            assets: {},
+            // The pixels were captured from the screen, so show them unzoomed
+            viewport: { zoom: 1, panX: 0, panY: 0 },
+            settings: projectData.settings ? { tools: projectData.settings.tools } : null,
+            metadata: projectData.metadata || {}
+        };
     }
 
     /**
@@ -283,7 +513,7 @@ class FileOperations {
      */
     saveFile() {
         const projectData = this.createProjectData();
-        const blob = new Blob([JSON.stringify(projectData, null, 2)], { type: 'application/json' });
+        const blob = new Blob([JSON.stringify(projectData)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
         const link = document.createElement('a');
@@ -292,6 +522,7 @@ class FileOperations {
         link.click();
         
         URL.revokeObjectURL(url);
+        this.markSaved();
     }
 
     /**
@@ -300,37 +531,219 @@ class FileOperations {
     exportFile(format) {
         switch (format) {
             case 'png':
-                this.exportAsPNG();
-                break;
             case 'jpeg':
-                this.exportAsJPEG();
+            case 'webp':
+                this.showExportModal(format);
                 break;
             case 'svg':
                 this.exportAsSVG();
                 break;
+            case 'pdf':
+                this.showPDFModal();
+                break;
             default:
                 alert('Unsupported export format.');
         }
     }
 
     /**
-     * Export as PNG
+     * Setup the image export dialog
      */
-    exportAsPNG() {
+    setupExportModal() {
+        this.exportModal = document.getElementById('export-modal');
+        if (!this.exportModal) return;
+
+        const inputs = ['export-region', 'export-scale', 'export-background', 'export-background-color',
+            'export-padding', 'export-quality'];
+        inputs.forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateExportModal());
+        });
+
+        document.getElementById('export-apply').addEventListener('click', () => {
+            const settings = this.getExportModalSettings();
+            Utils.Storage.save('whiteboard_export_settings', settings);
+
+            if (this.exportImage(this.exportFormat, settings)) {
+                this.hideExportModal();
+            }
+        });
+
+        document.getElementById('export-cancel').addEventListener('click', () => this.hideExportModal());
+        this.exportModal.querySelector('.modal-close').addEventListener('click', () => this.hideExportModal());
+    }
+
+    /**
+     * Get the remembered image export settings
+     * @returns {Object} Settings {region, scale, background, backgroundColor, padding, quality}
+     */
+    getExportSettings() {
+        return {
+            region: 'content',
+            scale: 1,
+            background: 'solid',
+            backgroundColor: '#ffffff',
+            padding: 20,
+            quality: 0.9,
+            ...Utils.Storage.load('whiteboard_export_settings', {})
+        };
+    }
+
+    /**
+     * Show the image export dialog with the remembered settings
+     * @param {string} format - 'png', 'jpeg' or 'webp'
+     */
+    showExportModal(format) {
+        if (!this.exportModal) {
+            this.exportImage(format, this.getExportSettings());
+            return;
+        }
+
+        const settings = this.getExportSettings();
+        this.exportFormat = format;
+
+        document.getElementById('export-title').textContent = `Export ${format === 'jpeg' ? 'JPEG' : format.toUpperCase()}`;
+        document.getElementById('export-region').value = settings.region;
+        document.getElementById('export-scale').value = String(settings.scale);
+        document.getElementById('export-background').value = settings.background;
+        document.getElementById('export-background-color').value = settings.backgroundColor;
+        document.getElementById('export-padding').value = settings.padding;
+        document.getElementById('export-quality').value = Math.round(settings.quality * 100);
+
+        this.updateExportModal();
+        this.exportModal.classList.add('show');
+    }
+
+    /**
+     * Hide the image export dialog
+     */
+    hideExportModal() {
+        if (this.exportModal) {
+            this.exportModal.classList.remove('show');
+        }
+    }
+
+    /**
+     * Read settings from the image export dialog
+     * @returns {Object} Export settings
+     */
+    getExportModalSettings() {
+        return {
+            region: document.getElementById('export-region').value,
+            scale: parseFloat(document.getElementById('export-scale').value),
+            background: document.getElementById('export-background').value,
+            backgroundColor: document.getElementById('export-background-color').value,
+            padding: parseInt(document.getElementById('export-padding').value),
+            quality: parseInt(document.getElementById('export-quality').value) / 100
+        };
+    }
+
+    /**
+     * Refresh the dialog for the current format and settings
+     */
+    updateExportModal() {
+        const settings = this.getExportModalSettings();
+        const isPNG = this.exportFormat === 'png';
+        const background = document.getElementById('export-background');
+
+        // JPEG has no alpha channel
+        background.disabled = this.exportFormat === 'jpeg';
+        if (background.disabled) {
+            background.value = 'solid';
+        }
+
+        document.getElementById('export-background-color').disabled = background.value === 'transparent';
+        document.getElementById('export-quality-group').hidden = isPNG;
+        document.getElementById('export-padding').disabled = settings.region === 'viewport' || settings.region === 'board';
+        document.getElementById('export-padding-value').textContent = `${settings.padding}px`;
+        document.getElementById('export-quality-value').textContent = `${Math.round(settings.quality * 100)}%`;
+
+        const bounds = this.canvasManager.getExportBounds(settings.region, settings.padding);
+        const size = bounds ? this.getExportSize(bounds, settings.scale) : null;
+        document.getElementById('export-size').textContent = size
+            ? `${size.width} × ${size.height} px`
+            : 'Nothing to export in this region';
+        document.getElementById('export-apply').disabled = !size;
+    }
+
+    /**
+     * Get the output size in pixels, limited to what browsers can allocate
+     * @param {Object} bounds - World rectangle
+     * @param {number} scale - Output pixels per world unit
+     * @returns {Object} Size {width, height, scale}
+     */
+    getExportSize(bounds, scale) {
+        const maxSide = 16384;
+        const maxArea = 16384 * 16384 / 4;
+        const limit = Math.min(
+            1,
+            maxSide / (bounds.width * scale),
+            maxSide / (bounds.height * scale),
+            Math.sqrt(maxArea / (bounds.width * bounds.height * scale * scale))
+        );
+        const finalScale = scale * limit;
+
+        return {
+            width: Math.max(1, Math.round(bounds.width * finalScale)),
+            height: Math.max(1, Math.round(bounds.height * finalScale)),
+            scale: finalScale
+        };
+    }
+
+    /**
+     * Export the board as a raster image
+     * @param {string} format - 'png', 'jpeg' or 'webp'
+     * @param {Object} settings - Export settings (see getExportSettings)
+     * @returns {boolean} True if the image was exported
+     */
+    exportImage(format, settings) {
+        const bounds = this.canvasManager.getExportBounds(settings.region, settings.padding);
+        if (!bounds) {
+            alert(settings.region === 'selection' ? 'Select something to export first.' : 'The board is empty.');
+            return false;
+        }
+
+        const size = this.getExportSize(bounds, settings.scale);
+        if (size.scale < settings.scale) {
+            console.warn(`Export scale reduced to ${size.scale.toFixed(2)} to stay within canvas limits`);
+        }
+
+        // Only the selected objects when exporting a selection (erasers still apply)
+        let elements = null;
+        const tools = this.canvasManager.drawingTools;
+        if (settings.region === 'selection' && tools && tools.selectedIds.length > 0) {
+            elements = this.canvasManager.scene.elements.filter(element =>
+                element.erase || tools.selectedIds.includes(element.id));
+        }
+
+        const transparent = settings.background === 'transparent' && format !== 'jpeg';
+        const canvas = this.canvasManager.renderToCanvas(bounds, {
+            scale: size.scale,
+            background: transparent ? null : settings.backgroundColor,
+            elements
+        });
+
+        const extension = format === 'jpeg' ? 'jpg' : format;
         const link = document.createElement('a');
-        link.href = this.canvas.toDataURL('image/png');
-        link.download = this.getCurrentFileName() + '.png';
+        link.href = canvas.toDataURL(`image/${format}`, settings.quality);
+        link.download = `${this.getCurrentFileName()}.${extension}`;
         link.click();
+        
+        this.markSaved();
+        return true;
+    }
+
+    /**
+     * Export as PNG with the remembered settings
+     */
+    exportAsPNG() {
+        return this.exportImage('png', this.getExportSettings());
     }
 
     /**
-     * Export as JPEG
+     * Export as JPEG with the remembered settings
      */
     exportAsJPEG() {
-        const link = document.createElement('a');
-        link.href = this.canvas.toDataURL('image/jpeg', 0.9);
-        link.download = this.getCurrentFileName() + '.jpg';
-        link.click();
+        return this.exportImage('jpeg', this.getExportSettings());
     }
 
     /**
@@ -338,28 +751,121 @@ class FileOperations {
      */
     exportAsSVG() {
         this.canvasManager.exportAsSVG();
+        this.markSaved();
+    }
+
+    /**
+     * Setup the PDF export dialog
+     */
+    setupPDFModal() {
+        this.pdfModal = document.getElementById('pdf-modal');
+        if (!this.pdfModal) return;
+
+        const pageSize = document.getElementById('pdf-page-size');
+        const customSize = document.getElementById('pdf-custom-size');
+
+        pageSize.addEventListener('change', () => {
+            customSize.hidden = pageSize.value !== 'custom';
+        });
+
+        document.getElementById('pdf-export').addEventListener('click', () => {
+            const options = this.getPDFOptions();
+            this.hidePDFModal();
+            this.exportAsPDF(options);
+        });
+
+        document.getElementById('pdf-cancel').addEventListener('click', () => this.hidePDFModal());
+        this.pdfModal.querySelector('.modal-close').addEventListener('click', () => this.hidePDFModal());
+    }
+
+    /**
+     * Show the PDF export dialog
+     */
+    showPDFModal() {
+        if (this.pdfModal) {
+            this.pdfModal.classList.add('show');
+        } else {
+            this.exportAsPDF();
+        }
+    }
+
+    /**
+     * Hide the PDF export dialog
+     */
+    hidePDFModal() {
+        if (this.pdfModal) {
+            this.pdfModal.classList.remove('show');
+        }
+    }
+
+    /**
+     * Read PDF options from the dialog
+     * @returns {Object} Options for PDFExporter.export()
+     */
+    getPDFOptions() {
+        return {
+            pageSize: document.getElementById('pdf-page-size').value,
+            customWidth: parseFloat(document.getElementById('pdf-width').value),
+            customHeight: parseFloat(document.getElementById('pdf-height').value),
+            orientation: document.getElementById('pdf-orientation').value,
+            layout: document.getElementById('pdf-layout').value
+        };
+    }
+
+    /**
+     * Export as PDF
+     * @param {Object} options - Page options (see PDFExporter.export)
+     * @returns {Promise<void>}
+     */
+    exportAsPDF(options = {}) {
+        const exporter = new PDFExporter(this.canvasManager.scene);
+
+        return exporter.export(options)
+            .then(blob => {
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = this.getCurrentFileName() + '.pdf';
+                link.click();
+
+                URL.revokeObjectURL(url);
+                this.markSaved();
+            })
+            .catch(error => {
+                console.error('Error exporting PDF:', error);
+                alert('Error exporting PDF: ' + error.message);
+            });
     }
 
     /**
      * Create project data for saving
+     *
+     * Elements are stored as objects; image data URLs are moved into `assets`
+     * so each image is embedded once.
      */
     createProjectData() {
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        const assets = {};
+        const elements = Scene.packAssets(this.canvasManager.scene.elements, assets);
+        const now = new Date().toISOString();
+        
+        if (!this.projectCreated) {
+            this.projectCreated = now;
+        }
         
         return {
-            version: '1.0',
-            name: this.getCurrentFileName(),
+            format: this.projectFormat,
+            version: this.projectVersion,
+            name: this.fileName,
             timestamp: Date.now(),
-            canvasData: {
-                width: this.canvas.width,
-                height: this.canvas.height,
-                imageData: Array.from(imageData.data)
-            },
+            scene: { elements, layers: Utils.deepClone(this.canvasManager.scene.layers) },
+            assets,
+            viewport: this.canvasManager.getViewport(),
             settings: this.getCurrentSettings(),
             metadata: {
-                created: new Date().toISOString(),
-                modified: new Date().toISOString(),
-                tool: 'Online Whiteboard Tool'
+                created: this.projectCreated,
+                modified: now,
+                tool: 'Online Whiteboard Tool',
+                elementCount: elements.length
             }
         };
     }
@@ -371,12 +877,7 @@ class FileOperations {
         if (!this.canvasManager.drawingTools) return {};
         
         return {
-            tools: { ...this.canvasManager.drawingTools.settings },
-            canvas: {
-                zoom: this.canvasManager.zoom,
-                panX: this.canvasManager.panX,
-                panY: this.canvasManager.panY
-            }
+            tools: { ...this.canvasManager.drawingTools.settings }
         };
     }
 
@@ -384,16 +885,11 @@ class FileOperations {
      * Clear canvas
      */
     clearCanvas() {
-        const confirmed = confirm('Are you sure you want to clear the canvas? This action cannot be undone.');
+        const confirmed = confirm('Are you sure you want to clear the canvas? You can undo this with Ctrl+Z.');
         if (!confirmed) return;
         
-        this.canvasManager.clearCanvas();
-        
-        // Add to history
-        if (historyManager && !historyManager.isUndoRedoInProgress()) {
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            historyManager.addState({ imageData }, 'Clear Canvas');
-        }
+        // Replace the board with an empty one (recorded in history)
+        this.canvasManager.replaceScene([], 'Clear Canvas');
     }
 
     /**
@@ -411,37 +907,61 @@ class FileOperations {
     }
 
     /**
-     * Check if there are unsaved changes
+     * Check if there are changes since the last save or export
      */
     hasUnsavedChanges() {
-        // Simple check - if there's any non-white pixels
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        const data = imageData.data;
-        
-        for (let i = 0; i < data.length; i += 4) {
-            // Check if pixel is not white (255, 255, 255)
-            if (data[i] !== 255 || data[i + 1] !== 255 || data[i + 2] !== 255) {
-                return true;
-            }
+        return historyManager ? !historyManager.isClean() : false;
+    }
+
+    /**
+     * Mark the board as saved (after a save or export)
+     */
+    markSaved() {
+        if (historyManager) {
+            historyManager.markClean();
         }
+    }
+
+    /**
+     * Show the file name and unsaved state in the window title and header
+     */
+    updateTitle() {
+        const unsaved = this.hasUnsavedChanges();
+        document.title = `${unsaved ? '• ' : ''}${this.fileName} - Online Whiteboard Tool`;
         
-        return false;
+        const indicator = document.getElementById('unsaved-indicator');
+        if (indicator) {
+            indicator.hidden = !unsaved;
+        }
     }
 
     /**
-     * Get current file name
+     * Get current file name, safe to use for downloads
      */
     getCurrentFileName() {
-        // This could be enhanced to track the actual file name
-        return 'whiteboard';
+        const name = this.fileName.replace(/[\\/:*?"<>|]+/g, '-').trim();
+        return name || 'whiteboard';
     }
 
     /**
-     * Update file name display
+     * Update the file name and its display
+     * @param {string} name - File or board name (a file extension is dropped)
+     * @param {boolean} notify - Whether to report the change (renames the open document)
      */
-    updateFileName(name) {
-        // This could be used to update the UI with the current file name
-        console.log('Current file:', name);
+    updateFileName(name, notify = true) {
+        const trimmed = (name || '').replace(/\.(json|png|jpe?g|svg)$/i, '').trim();
+        this.fileName = trimmed || 'Untitled';
+        
+        const titleInput = document.getElementById('document-title');
+        if (titleInput) {
+            titleInput.value = this.fileName;
+        }
+        
+        this.updateTitle();
+        
+        if (notify && this.onFileNameChange) {
+            this.onFileNameChange(this.fileName);
+        }
     }
 
     /**
@@ -466,42 +986,121 @@ class FileOperations {
     }
 
     /**
-     * Auto-save to localStorage
+     * Store a snapshot of the board, keeping the newest `maxSnapshots` per board
+     * @returns {Promise<void>}
      */
     autoSave() {
-        try {
-            const projectData = this.createProjectData();
-            Utils.Storage.save('whiteboard_autosave', projectData);
-            console.log('Auto-saved at', new Date().toLocaleTimeString());
-        } catch (error) {
-            console.warn('Auto-save failed:', error);
+        // Another tab with this board open keeps its snapshots
+        const tabSync = this.canvasManager.tabSync;
+        if (tabSync && !tabSync.canPersist()) {
+            return Promise.resolve();
+        }
+        
+        // Nothing new since the last snapshot
+        const state = historyManager ? historyManager.getStateId() : null;
+        if (state !== null && state === this.autoSaveState) {
+            return Promise.resolve();
         }
+        this.autoSaveState = state;
+        
+        const snapshot = {
+            id: 'snap_' + Utils.generateId(),
+            documentId: this.canvasManager.sessionId,
+            timestamp: Date.now(),
+            state,
+            thumbnail: this.canvasManager.createThumbnail(160, 120),
+            elementCount: this.canvasManager.scene.elements.length,
+            project: this.createProjectData()
+        };
+        
+        return Utils.Database.put('snapshots', snapshot)
+            .then(() => this.getSnapshots(snapshot.documentId))
+            .then(snapshots => Promise.all(
+                snapshots.slice(this.maxSnapshots).map(old => Utils.Database.delete('snapshots', old.id))
+            ))
+            .then(() => {
+                console.log('Auto-saved at', new Date(snapshot.timestamp).toLocaleTimeString());
+            })
+            .catch(error => {
+                // Try again on the next interval
+                this.autoSaveState = null;
+                console.warn('Auto-save failed:', error);
+            });
     }
 
     /**
-     * Load auto-saved file
+     * Get the auto-save snapshots of a board
+     * @param {string} documentId - Board (session) ID, defaults to the open board
+     * @returns {Promise<Array>} Snapshots, newest first
      */
-    loadAutoSave() {
-        try {
-            const autoSaveData = Utils.Storage.load('whiteboard_autosave');
-            if (autoSaveData) {
-                const confirmed = confirm('An auto-saved file was found. Would you like to restore it?');
-                if (confirmed) {
-                    this.loadProjectData(autoSaveData);
-                    return true;
+    getSnapshots(documentId = this.canvasManager.sessionId) {
+        return this.migrateLegacyAutoSave(documentId)
+            .then(() => Utils.Database.getAll('snapshots'))
+            .then(snapshots => snapshots
+                .filter(snapshot => snapshot.documentId === documentId)
+                .sort((a, b) => b.timestamp - a.timestamp));
+    }
+
+    /**
+     * Move the auto-save from localStorage (older versions) into a snapshot
+     * @returns {Promise<void>}
+     */
+    migrateLegacyAutoSave(documentId) {
+        const legacy = Utils.Storage.load('whiteboard_autosave');
+        if (!legacy) return Promise.resolve();
+        
+        const timestamp = legacy.timestamp || Date.now();
+        return Utils.Database.put('snapshots', {
+            id: 'snap_' + Utils.generateId(),
+            documentId,
+            timestamp,
+            state: null,
+            thumbnail: null,
+            elementCount: legacy.metadata && legacy.metadata.elementCount !== undefined ? legacy.metadata.elementCount : 0,
+            project: legacy
+        }).then(() => Utils.Storage.remove('whiteboard_autosave'));
+    }
+
+    /**
+     * Offer to restore an auto-save snapshot
+     * @param {boolean} force - Show the dialog even if the newest snapshot matches the current board
+     * @returns {Promise<boolean>} True if a snapshot was restored
+     */
+    loadAutoSave(force = false) {
+        const state = historyManager ? historyManager.getStateId() : null;
+        
+        return this.getSnapshots()
+            .then(snapshots => {
+                if (force && snapshots.length === 0) {
+                    alert('No auto-saved versions of this board yet.');
+                    return null;
                 }
-            }
-        } catch (error) {
-            console.warn('Failed to load auto-save:', error);
-        }
-        return false;
+                // Nothing to recover if the newest snapshot is the board as it is
+                if (!force && (snapshots.length === 0 || snapshots[0].state === state)) {
+                    return null;
+                }
+                return this.recoveryDialog.show(snapshots);
+            })
+            .then(snapshot => {
+                if (!snapshot) return false;
+                
+                return this.loadProjectData(snapshot.project, 'Restore Snapshot');
+            })
+            .catch(error => {
+                console.warn('Failed to load auto-save:', error);
+                return false;
+            });
     }
 
     /**
-     * Clear auto-save
+     * Clear auto-save snapshots of a board
+     * @param {string} documentId - Board (session) ID, defaults to the open board
+     * @returns {Promise<void>}
      */
-    clearAutoSave() {
-        Utils.Storage.remove('whiteboard_autosave');
+    clearAutoSave(documentId = this.canvasManager.sessionId) {
+        return this.getSnapshots(documentId)
+            .then(snapshots => Promise.all(snapshots.map(snapshot => Utils.Database.delete('snapshots', snapshot.id))))
+            .catch(error => console.warn('Failed to clear auto-save:', error));
     }
 
     /**
@@ -1,32 +1,50 @@
 /**
  * History management for undo/redo functionality
+ *
+ * Each entry stores a command describing the change and its inverse, rather
+ * than a snapshot of the board, so undo/redo stays cheap and history can be deep.
+ *
+ * `history` is the active timeline. Recording a new action after undoing keeps
+ * the undone entries as a branch that forks from the entry before them
+ * (`forkId`, or null for the initial state) and can be switched back to.
  */
 
 class HistoryManager {
-    constructor(maxHistorySize = 50) {
+    constructor(maxHistorySize = 500, maxBranches = 20) {
         this.history = [];
+        this.branches = [];
         this.currentIndex = -1;
         this.maxHistorySize = maxHistorySize;
+        this.maxBranches = maxBranches;
         this.isUndoRedoAction = false;
+        this.changeListeners = [];
+        
+        // State at the last save or export (see markClean)
+        this.cleanState = this.getStateId();
     }
 
     /**
-     * Add a new state to history
-     * @param {Object} state - State to save
+     * Add a command to history
+     * @param {Object} command - Command that was applied
+     * @param {Object} inverse - Command that reverts it
      * @param {string} description - Description of the action
+     * @param {string} thumbnail - Preview of the board after the action (data URL)
      */
-    addState(state, description = '') {
-        // If we're in the middle of history, remove all future states
+    addCommand(command, inverse, description = '', thumbnail = null) {
+        // If we're in the middle of history, keep the future entries as a branch
         if (this.currentIndex < this.history.length - 1) {
+            this.addBranch(this.getForkId(this.currentIndex), this.history.slice(this.currentIndex + 1));
             this.history = this.history.slice(0, this.currentIndex + 1);
         }
 
-        // Add new state
         const historyItem = {
             id: Utils.generateId(),
-            state: Utils.deepClone(state),
+            command,
+            inverse,
             description,
-            timestamp: Date.now()
+            thumbnail,
+            timestamp: Date.now(),
+            size: HistoryManager.estimateSize(command) + HistoryManager.estimateSize(inverse)
         };
 
         this.history.push(historyItem);
@@ -34,41 +52,117 @@ class HistoryManager {
 
         // Limit history size
         if (this.history.length > this.maxHistorySize) {
-            this.history.shift();
+            const removed = this.history.shift();
             this.currentIndex--;
+            
+            // The initial state is no longer reachable; the removed entry's state becomes it
+            this.branches = this.branches
+                .filter(branch => branch.forkId !== null)
+                .map(branch => branch.forkId === removed.id ? { ...branch, forkId: null } : branch);
         }
 
         this.updateUI();
     }
 
+    /**
+     * Get the ID branches use to refer to the state after a history index
+     * @param {number} index - History index (-1 for the initial state)
+     * @returns {string|null} Entry ID, or null for the initial state
+     */
+    getForkId(index) {
+        return index >= 0 ? this.history[index].id : null;
+    }
+
+    /**
+     * Keep entries that are leaving the active timeline as a branch
+     * @param {string|null} forkId - Entry the branch continues from
+     * @param {Array} entries - Branch entries in order
+     */
+    addBranch(forkId, entries) {
+        this.branches.push({
+            id: Utils.generateId(),
+            forkId,
+            entries,
+            timestamp: Date.now()
+        });
+
+        // Drop the oldest branches beyond the limit
+        if (this.branches.length > this.maxBranches) {
+            this.branches.splice(0, this.branches.length - this.maxBranches);
+        }
+    }
+
+    /**
+     * Get branches that fork from the active timeline
+     * @returns {Array} Branches with their fork index ({...branch, forkIndex})
+     */
+    getBranches() {
+        const indexById = new Map(this.history.map((item, index) => [item.id, index]));
+        
+        return this.branches
+            .filter(branch => branch.forkId === null || indexById.has(branch.forkId))
+            .map(branch => ({
+                ...branch,
+                forkIndex: branch.forkId === null ? -1 : indexById.get(branch.forkId)
+            }));
+    }
+
+    /**
+     * Make a branch the active timeline
+     *
+     * The entries after the fork point on the current timeline become a branch
+     * in its place, so nothing is lost.
+     * @param {string} branchId - Branch ID
+     * @param {string} entryId - Entry in the branch to move to (defaults to its last)
+     * @returns {Array|null} Commands to apply in order, or null if the branch is not reachable
+     */
+    switchBranch(branchId, entryId = null) {
+        const branch = this.getBranches().find(item => item.id === branchId);
+        if (!branch) return null;
+        
+        // Go back to the fork point along the current timeline
+        const commands = this.jumpToIndex(branch.forkIndex);
+        
+        const tail = this.history.slice(branch.forkIndex + 1);
+        this.branches = this.branches.filter(item => item.id !== branchId);
+        if (tail.length > 0) {
+            this.addBranch(branch.forkId, tail);
+        }
+        this.history = this.history.slice(0, branch.forkIndex + 1).concat(branch.entries);
+        
+        // Then forward along the branch
+        const targetIndex = entryId ? this.history.findIndex(item => item.id === entryId) : -1;
+        return commands.concat(this.jumpToIndex(targetIndex >= 0 ? targetIndex : this.history.length - 1));
+    }
+
     /**
      * Undo the last action
-     * @returns {Object|null} Previous state or null if no undo available
+     * @returns {Object|null} Command that reverts the action, or null if no undo available
      */
     undo() {
         if (this.canUndo()) {
             this.isUndoRedoAction = true;
+            const command = this.history[this.currentIndex].inverse;
             this.currentIndex--;
-            const state = Utils.deepClone(this.history[this.currentIndex].state);
             this.updateUI();
             this.isUndoRedoAction = false;
-            return state;
+            return command;
         }
         return null;
     }
 
     /**
      * Redo the last undone action
-     * @returns {Object|null} Next state or null if no redo available
+     * @returns {Object|null} Command to re-apply, or null if no redo available
      */
     redo() {
         if (this.canRedo()) {
             this.isUndoRedoAction = true;
             this.currentIndex++;
-            const state = Utils.deepClone(this.history[this.currentIndex].state);
+            const command = this.history[this.currentIndex].command;
             this.updateUI();
             this.isUndoRedoAction = false;
-            return state;
+            return command;
         }
         return null;
     }
@@ -78,7 +172,7 @@ class HistoryManager {
      * @returns {boolean} True if undo is available
      */
     canUndo() {
-        return this.currentIndex > 0;
+        return this.currentIndex >= 0;
     }
 
     /**
@@ -89,17 +183,6 @@ class HistoryManager {
         return this.currentIndex < this.history.length - 1;
     }
 
-    /**
-     * Get current state
-     * @returns {Object|null} Current state or null if no history
-     */
-    getCurrentState() {
-        if (this.currentIndex >= 0 && this.currentIndex < this.history.length) {
-            return Utils.deepClone(this.history[this.currentIndex].state);
-        }
-        return null;
-    }
-
     /**
      * Get history information
      * @returns {Object} History information
@@ -120,12 +203,81 @@ class HistoryManager {
      */
     clear() {
         this.history = [];
+        this.branches = [];
         this.currentIndex = -1;
+        this.cleanState = this.getStateId();
         this.updateUI();
     }
 
     /**
-     * Update UI elements (undo/redo buttons)
+     * Register a callback that runs whenever history changes
+     * @param {Function} listener - Callback
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    /**
+     * Get history in a serializable form (without thumbnails, which are only previews)
+     * @returns {Object} History data {history, branches, currentIndex}
+     */
+    serialize() {
+        const withoutThumbnail = item => ({ ...item, thumbnail: null });
+        return {
+            history: this.history.map(withoutThumbnail),
+            branches: this.branches.map(branch => ({ ...branch, entries: branch.entries.map(withoutThumbnail) })),
+            currentIndex: this.currentIndex,
+            cleanState: this.cleanState
+        };
+    }
+
+    /**
+     * Restore history from serialize() output
+     * @param {Object} data - History data
+     */
+    restore(data) {
+        data = data || {};
+        const history = Array.isArray(data.history) ? data.history : [];
+        
+        this.history = history.filter(item => item.command && item.inverse);
+        this.branches = Array.isArray(data.branches) ? data.branches : [];
+        this.currentIndex = Utils.clamp(
+            typeof data.currentIndex === 'number' ? data.currentIndex : this.history.length - 1,
+            -1,
+            this.history.length - 1
+        );
+        this.cleanState = typeof data.cleanState === 'string' ? data.cleanState : this.getStateId(-1);
+        this.updateUI();
+    }
+
+    /**
+     * Get an ID for a position in history; it changes with every edit, undo or redo
+     * @param {number} index - History index (defaults to the current one)
+     * @returns {string} State ID
+     */
+    getStateId(index = this.currentIndex) {
+        const item = this.history[index];
+        return item ? item.id : 'initial';
+    }
+
+    /**
+     * Mark the current state as saved
+     */
+    markClean() {
+        this.cleanState = this.getStateId();
+        this.updateUI();
+    }
+
+    /**
+     * Check whether the board is unchanged since the last markClean()
+     * @returns {boolean} True if there are no unsaved changes
+     */
+    isClean() {
+        return this.getStateId() === this.cleanState;
+    }
+
+    /**
+     * Update UI elements (undo/redo buttons) and notify change listeners
      */
     updateUI() {
         const undoBtn = document.getElementById('undo');
@@ -141,6 +293,8 @@ class HistoryManager {
 
         // Update status info if available
         this.updateStatusInfo();
+        
+        this.changeListeners.forEach(listener => listener(this));
     }
 
     /**
@@ -185,17 +339,41 @@ class HistoryManager {
     estimateMemoryUsage() {
         let totalSize = 0;
         
-        for (const item of this.history) {
-            // Rough estimation: JSON string length * 2 (for object overhead)
-            const stateSize = JSON.stringify(item.state).length * 2;
-            const descriptionSize = item.description.length;
+        const items = this.history.concat(...this.branches.map(branch => branch.entries));
+        
+        for (const item of items) {
+            const descriptionSize = item.description.length * 2;
             const metadataSize = 100; // ID, timestamp, etc.
-            totalSize += stateSize + descriptionSize + metadataSize;
+            const thumbnailSize = item.thumbnail ? item.thumbnail.length * 2 : 0;
+            totalSize += (item.size || 0) + descriptionSize + metadataSize + thumbnailSize;
         }
         
         return totalSize;
     }
 
+    /**
+     * Roughly estimate the in-memory size of a value without serializing it
+     * @param {any} value - Value to measure
+     * @returns {number} Estimated size in bytes
+     */
+    static estimateSize(value) {
+        if (value === null || value === undefined) return 0;
+        if (typeof value === 'string') return value.length * 2;
+        if (typeof value !== 'object') return 8;
+        
+        let size = 0;
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                size += HistoryManager.estimateSize(item);
+            }
+        } else {
+            for (const key in value) {
+                size += key.length * 2 + HistoryManager.estimateSize(value[key]);
+            }
+        }
+        return size;
+    }
+
     /**
      * Export history for debugging
      * @returns {Object} Exported history data
@@ -206,7 +384,13 @@ class HistoryManager {
                 id: item.id,
                 description: item.description,
                 timestamp: item.timestamp,
-                stateSize: JSON.stringify(item.state).length
+                commandType: item.command.type,
+                size: item.size
+            })),
+            branches: this.branches.map(branch => ({
+                id: branch.id,
+                forkId: branch.forkId,
+                length: branch.entries.length
             })),
             currentIndex: this.currentIndex,
             maxHistorySize: this.maxHistorySize,
@@ -233,44 +417,75 @@ class HistoryManager {
         // Perform the actions
         actionCallback();
         
-        // If multiple states were added, combine them
+        // If multiple entries were added, combine them into one batch command
         if (this.currentIndex > startIndex + 1) {
-            const statesToCombine = this.history.slice(startIndex + 1, this.currentIndex + 1);
-            const lastState = statesToCombine[statesToCombine.length - 1];
+            const itemsToCombine = this.history.slice(startIndex + 1, this.currentIndex + 1);
+            const combined = {
+                ...itemsToCombine[itemsToCombine.length - 1],
+                command: {
+                    type: 'batch',
+                    commands: itemsToCombine.map(item => item.command)
+                },
+                inverse: {
+                    type: 'batch',
+                    commands: itemsToCombine.map(item => item.inverse).reverse()
+                },
+                size: itemsToCombine.reduce((total, item) => total + (item.size || 0), 0),
+                description
+            };
             
-            // Remove intermediate states
-            this.history.splice(startIndex + 1, statesToCombine.length - 1);
+            this.history.splice(startIndex + 1, itemsToCombine.length, combined);
             this.currentIndex = startIndex + 1;
-            
-            // Update description
-            this.history[this.currentIndex].description = description;
         }
         
         this.updateUI();
     }
 
     /**
-     * Add a checkpoint (important state that should be preserved)
-     * @param {Object} state - State to save
+     * Mark an entry as a checkpoint (important state that should be preserved)
      * @param {string} description - Description of the checkpoint
+     * @param {number} index - History index (defaults to the current entry)
      */
-    addCheckpoint(state, description = 'Checkpoint') {
-        this.addState(state, `🔖 ${description}`);
+    addCheckpoint(description = 'Checkpoint', index = this.currentIndex) {
+        if (index >= 0 && index < this.history.length) {
+            this.history[index].checkpoint = description;
+            this.updateUI();
+        }
+    }
+
+    /**
+     * Remove the checkpoint mark from an entry
+     * @param {number} index - History index
+     */
+    removeCheckpoint(index) {
+        if (index >= 0 && index < this.history.length && this.history[index].checkpoint) {
+            delete this.history[index].checkpoint;
+            this.updateUI();
+        }
     }
 
     /**
      * Jump to a specific history index
-     * @param {number} index - History index to jump to
-     * @returns {Object|null} State at the specified index
+     * @param {number} index - History index to jump to (-1 for before the first entry)
+     * @returns {Array|null} Commands to apply in order, or null if the index is invalid
      */
     jumpToIndex(index) {
-        if (index >= 0 && index < this.history.length) {
+        if (index >= -1 && index < this.history.length) {
             this.isUndoRedoAction = true;
-            this.currentIndex = index;
-            const state = Utils.deepClone(this.history[index].state);
+            const commands = [];
+            
+            while (this.currentIndex > index) {
+                commands.push(this.history[this.currentIndex].inverse);
+                this.currentIndex--;
+            }
+            while (this.currentIndex < index) {
+                this.currentIndex++;
+                commands.push(this.history[this.currentIndex].command);
+            }
+            
             this.updateUI();
             this.isUndoRedoAction = false;
-            return state;
+            return commands;
         }
         return null;
     }
@@ -294,26 +509,12 @@ class HistoryManager {
 let historyManager;
 
 // Initialize history manager when DOM is loaded
+// (history is persisted to IndexedDB together with the board, see CanvasManager.persistSession)
 document.addEventListener('DOMContentLoaded', () => {
     historyManager = new HistoryManager();
     
-    // Load saved history if available
-    const savedHistory = Utils.Storage.load('whiteboard_history');
-    if (savedHistory && savedHistory.history && savedHistory.history.length > 0) {
-        historyManager.history = savedHistory.history;
-        historyManager.currentIndex = savedHistory.currentIndex || -1;
-        historyManager.updateUI();
-    }
-    
-    // Save history periodically
-    setInterval(() => {
-        if (historyManager && historyManager.history.length > 0) {
-            Utils.Storage.save('whiteboard_history', {
-                history: historyManager.history,
-                currentIndex: historyManager.currentIndex
-            });
-        }
-    }, 30000); // Save every 30 seconds
+    // Older versions kept snapshot history in localStorage; it cannot be restored
+    Utils.Storage.remove('whiteboard_history');
 });
 
 // Export for use in other modules
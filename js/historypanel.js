@@ -0,0 +1,273 @@
+/**
+ * History panel for the Online Whiteboard Tool
+ *
+ * Lists the active history timeline with thumbnails and timestamps, shows
+ * checkpoints as bookmarks and branches under the entry they fork from.
+ */
+
+class HistoryPanel {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.historyPanel = this;
+        this.panel = document.getElementById('history-panel');
+        this.list = document.getElementById('history-list');
+        this.isOpen = false;
+
+        this.setupEventListeners();
+
+        if (historyManager) {
+            historyManager.addChangeListener(() => this.render());
+        }
+    }
+
+    /**
+     * Setup panel event listeners
+     */
+    setupEventListeners() {
+        const toggleBtn = document.getElementById('history-toggle');
+        const closeBtn = document.getElementById('history-close');
+        const bookmarkBtn = document.getElementById('history-bookmark');
+
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggle());
+        }
+
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        if (bookmarkBtn) {
+            bookmarkBtn.addEventListener('click', () => this.toggleCheckpoint(historyManager.currentIndex));
+        }
+
+        if (this.list) {
+            this.list.addEventListener('click', (e) => this.handleListClick(e));
+        }
+    }
+
+    /**
+     * Handle clicks on list items (event delegation)
+     */
+    handleListClick(e) {
+        const bookmark = e.target.closest('.history-item-bookmark');
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+
+        if (bookmark) {
+            this.toggleCheckpoint(parseInt(item.dataset.index));
+        } else if (item.dataset.branchId) {
+            this.canvasManager.switchHistoryBranch(item.dataset.branchId, item.dataset.entryId);
+        } else {
+            this.canvasManager.jumpToHistory(parseInt(item.dataset.index));
+        }
+    }
+
+    /**
+     * Add or remove the checkpoint on a history entry
+     * @param {number} index - History index
+     */
+    toggleCheckpoint(index) {
+        if (!historyManager || index < 0) return;
+
+        const item = historyManager.history[index];
+        if (!item) return;
+
+        if (item.checkpoint) {
+            historyManager.removeCheckpoint(index);
+        } else {
+            const name = prompt('Bookmark name:', item.description || 'Checkpoint');
+            if (name !== null) {
+                historyManager.addCheckpoint(name.trim() || 'Checkpoint', index);
+            }
+        }
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        if (!this.panel) return;
+
+        this.isOpen = true;
+        this.panel.classList.add('show');
+
+        // Entries recorded while the panel was closed have no thumbnail; the board shows the current one
+        const current = historyManager ? historyManager.history[historyManager.currentIndex] : null;
+        if (current && !current.thumbnail) {
+            current.thumbnail = this.canvasManager.createThumbnail();
+        }
+
+        this.render();
+        this.canvasManager.handleResize();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (!this.panel) return;
+
+        this.isOpen = false;
+        this.panel.classList.remove('show');
+        this.canvasManager.handleResize();
+    }
+
+    /**
+     * Rebuild the list from history
+     */
+    render() {
+        if (!this.isOpen || !this.list || !historyManager) return;
+
+        const branchesByFork = new Map();
+        historyManager.getBranches().forEach(branch => {
+            if (!branchesByFork.has(branch.forkIndex)) {
+                branchesByFork.set(branch.forkIndex, []);
+            }
+            branchesByFork.get(branch.forkIndex).push(branch);
+        });
+
+        this.list.innerHTML = '';
+        this.list.appendChild(this.createItem({ description: 'Initial State' }, -1));
+        this.appendBranches(branchesByFork.get(-1));
+
+        historyManager.history.forEach((entry, index) => {
+            this.list.appendChild(this.createItem(entry, index));
+            this.appendBranches(branchesByFork.get(index));
+        });
+
+        const current = this.list.querySelector('.history-item.current');
+        if (current && current.scrollIntoView) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Append branch groups to the list
+     * @param {Array} branches - Branches forking at the same entry
+     */
+    appendBranches(branches) {
+        if (!branches) return;
+
+        branches.forEach(branch => {
+            const group = document.createElement('li');
+            group.className = 'history-branch';
+
+            const title = document.createElement('div');
+            title.className = 'history-branch-title';
+            title.innerHTML = '<i class="fas fa-code-branch"></i> ';
+            title.appendChild(document.createTextNode(
+                `Branch (${branch.entries.length} ${branch.entries.length === 1 ? 'action' : 'actions'})`
+            ));
+            group.appendChild(title);
+
+            const entries = document.createElement('ol');
+            entries.className = 'history-branch-list';
+            branch.entries.forEach(entry => {
+                const item = this.createItem(entry, null);
+                item.dataset.branchId = branch.id;
+                item.dataset.entryId = entry.id;
+                entries.appendChild(item);
+            });
+            group.appendChild(entries);
+
+            this.list.appendChild(group);
+        });
+    }
+
+    /**
+     * Create a list item for a history entry
+     * @param {Object} entry - History entry
+     * @param {number|null} index - Index in the active timeline (null for branch entries)
+     * @returns {HTMLElement} List item
+     */
+    createItem(entry, index) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        if (index !== null) {
+            item.dataset.index = index;
+            if (index === historyManager.currentIndex) {
+                item.classList.add('current');
+            } else if (index > historyManager.currentIndex) {
+                item.classList.add('future');
+            }
+        }
+
+        if (entry.checkpoint) {
+            item.classList.add('checkpoint');
+        }
+
+        if (entry.thumbnail) {
+            const img = document.createElement('img');
+            img.className = 'history-thumbnail';
+            img.src = entry.thumbnail;
+            img.alt = '';
+            item.appendChild(img);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'history-thumbnail';
+            item.appendChild(placeholder);
+        }
+
+        const info = document.createElement('div');
+        info.className = 'history-item-info';
+
+        const title = document.createElement('span');
+        title.className = 'history-item-title';
+        title.textContent = entry.description || 'Action';
+        info.appendChild(title);
+
+        if (entry.checkpoint) {
+            const checkpoint = document.createElement('span');
+            checkpoint.className = 'history-item-checkpoint';
+            checkpoint.textContent = entry.checkpoint;
+            info.appendChild(checkpoint);
+        }
+
+        if (entry.timestamp) {
+            const time = document.createElement('span');
+            time.className = 'history-item-time';
+            time.textContent = this.formatTime(entry.timestamp);
+            info.appendChild(time);
+        }
+
+        item.appendChild(info);
+
+        if (index !== null && index >= 0) {
+            const bookmark = document.createElement('button');
+            bookmark.className = 'history-item-bookmark';
+            bookmark.title = entry.checkpoint ? 'Remove Bookmark' : 'Bookmark';
+            bookmark.innerHTML = entry.checkpoint ? '<i class="fas fa-bookmark"></i>' : '<i class="far fa-bookmark"></i>';
+            item.appendChild(bookmark);
+        }
+
+        return item;
+    }
+
+    /**
+     * Format an entry timestamp (time only for today)
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @returns {string} Formatted time
+     */
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday ? date.toLocaleTimeString() : date.toLocaleString();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryPanel;
+}
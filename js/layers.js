@@ -0,0 +1,367 @@
+/**
+ * Layers panel for the Online Whiteboard Tool
+ *
+ * Lists the board's layers top first. Layers can be added, renamed, hidden,
+ * locked, reordered, merged and deleted, and each has its own opacity and
+ * blend mode. Every change is recorded in history like any other edit.
+ */
+
+class LayersPanel {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.scene = canvasManager.scene;
+        this.list = document.getElementById('layer-list');
+        this.opacityInput = document.getElementById('layer-opacity');
+        this.opacityValue = document.getElementById('layer-opacity-value');
+        this.blendSelect = document.getElementById('layer-blend');
+
+        // Active layer as it was when the opacity slider started moving
+        this.opacityBefore = null;
+
+        this.setupEventListeners();
+
+        this.scene.onLayersChange = () => this.handleLayersChange();
+
+        // Keep the element counts current
+        if (historyManager) {
+            historyManager.addChangeListener(() => this.render());
+        }
+        this.render();
+    }
+
+    /**
+     * Setup panel event listeners
+     */
+    setupEventListeners() {
+        const buttons = {
+            'layer-add': () => this.addLayer(),
+            'layer-up': () => this.moveLayer(1),
+            'layer-down': () => this.moveLayer(-1),
+            'layer-merge': () => this.mergeDown(),
+            'layer-delete': () => this.deleteLayer()
+        };
+
+        Object.keys(buttons).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', buttons[id]);
+            }
+        });
+
+        if (this.list) {
+            this.list.addEventListener('click', (e) => this.handleListClick(e));
+            this.list.addEventListener('dblclick', (e) => this.handleListDoubleClick(e));
+        }
+
+        if (this.opacityInput) {
+            // Preview while dragging, record once when released
+            this.opacityInput.addEventListener('input', () => {
+                const layer = this.scene.getActiveLayer();
+                if (!this.opacityBefore) {
+                    this.opacityBefore = Utils.deepClone(layer);
+                }
+                layer.opacity = parseInt(this.opacityInput.value) / 100;
+                this.opacityValue.textContent = this.opacityInput.value + '%';
+                this.canvasManager.redrawCanvas();
+            });
+
+            this.opacityInput.addEventListener('change', () => {
+                const before = this.opacityBefore;
+                this.opacityBefore = null;
+                if (before) {
+                    this.recordLayerChange(before, this.scene.getLayer(before.id), 'Layer Opacity');
+                }
+            });
+        }
+
+        if (this.blendSelect) {
+            this.blendSelect.addEventListener('change', () => {
+                this.updateLayer(this.scene.getActiveLayer(), { blendMode: this.blendSelect.value }, 'Layer Blend Mode');
+            });
+        }
+    }
+
+    /**
+     * Handle clicks on list items (event delegation)
+     */
+    handleListClick(e) {
+        const item = e.target.closest('.layer-item');
+        if (!item) return;
+
+        const layer = this.scene.getLayer(item.dataset.layerId);
+        if (!layer) return;
+
+        if (e.target.closest('.layer-visibility')) {
+            this.updateLayer(layer, { visible: !layer.visible }, layer.visible ? 'Hide Layer' : 'Show Layer');
+        } else if (e.target.closest('.layer-lock')) {
+            this.updateLayer(layer, { locked: !layer.locked }, layer.locked ? 'Unlock Layer' : 'Lock Layer');
+        } else {
+            this.scene.setActiveLayer(layer.id);
+        }
+    }
+
+    /**
+     * Rename a layer when its name is double-clicked
+     */
+    handleListDoubleClick(e) {
+        const item = e.target.closest('.layer-item');
+        if (!item || !e.target.closest('.layer-name')) return;
+
+        const layer = this.scene.getLayer(item.dataset.layerId);
+        if (!layer) return;
+
+        const name = prompt('Layer name:', layer.name);
+        if (name !== null && name.trim() && name.trim() !== layer.name) {
+            this.updateLayer(layer, { name: name.trim() }, 'Rename Layer');
+        }
+    }
+
+    /**
+     * Add a new layer above the active one and make it active
+     */
+    addLayer() {
+        const numbers = this.scene.layers.map(layer => {
+            const match = /^Layer (\d+)$/.exec(layer.name);
+            return match ? parseInt(match[1]) : 0;
+        });
+        const layer = Scene.createLayer(`Layer ${Math.max(0, ...numbers) + 1}`);
+        const index = this.scene.layers.indexOf(this.scene.getActiveLayer()) + 1;
+
+        this.execute({ type: 'add', target: 'layers', entries: [{ element: layer, index }] }, 'Add Layer');
+        this.scene.setActiveLayer(layer.id);
+    }
+
+    /**
+     * Delete the active layer and everything on it
+     */
+    deleteLayer() {
+        const layer = this.scene.getActiveLayer();
+
+        if (this.scene.layers.length === 1) {
+            alert('A board needs at least one layer.');
+            return;
+        }
+
+        const elements = this.scene.getLayerElements(layer.id);
+        if (elements.length > 0 &&
+            !confirm(`Delete "${layer.name}" and the ${elements.length} ${elements.length === 1 ? 'element' : 'elements'} on it?`)) {
+            return;
+        }
+
+        this.execute({
+            type: 'batch',
+            commands: [
+                { type: 'remove', entries: this.getEntries(elements) },
+                { type: 'remove', target: 'layers', entries: [{ element: Utils.deepClone(layer), index: this.scene.layers.indexOf(layer) }] }
+            ]
+        }, 'Delete Layer');
+    }
+
+    /**
+     * Move the active layer up or down the stack
+     * @param {number} direction - 1 to move up, -1 to move down
+     */
+    moveLayer(direction) {
+        const layer = this.scene.getActiveLayer();
+        const index = this.scene.layers.indexOf(layer);
+        const target = index + direction;
+        if (target < 0 || target >= this.scene.layers.length) return;
+
+        const entry = { element: Utils.deepClone(layer) };
+        this.execute({
+            type: 'batch',
+            commands: [
+                { type: 'remove', target: 'layers', entries: [{ ...entry, index }] },
+                { type: 'add', target: 'layers', entries: [{ ...entry, index: target }] }
+            ]
+        }, direction > 0 ? 'Move Layer Up' : 'Move Layer Down');
+    }
+
+    /**
+     * Merge the active layer into the layer below it
+     *
+     * Its elements are placed on top of the lower layer's, with the layer's
+     * opacity folded into theirs; its blend mode is not kept.
+     */
+    mergeDown() {
+        const layer = this.scene.getActiveLayer();
+        const index = this.scene.layers.indexOf(layer);
+        if (index === 0) return;
+
+        const below = this.scene.layers[index - 1];
+        const elements = this.scene.getLayerElements(layer.id);
+        const remaining = this.scene.elements.length - elements.length;
+
+        const merged = elements.map((element, i) => {
+            const copy = Utils.deepClone(element);
+            copy.layerId = below.id;
+            if (layer.opacity < 1) {
+                const style = copy.style || {};
+                copy.style = { ...style, opacity: (style.opacity !== undefined ? style.opacity : 1) * layer.opacity };
+            }
+            return { element: copy, index: remaining + i };
+        });
+
+        this.execute({
+            type: 'batch',
+            commands: [
+                { type: 'remove', entries: this.getEntries(elements) },
+                { type: 'add', entries: merged },
+                { type: 'remove', target: 'layers', entries: [{ element: Utils.deepClone(layer), index }] }
+            ]
+        }, 'Merge Layer Down');
+        this.scene.setActiveLayer(below.id);
+    }
+
+    /**
+     * Change properties of a layer and record the change
+     * @param {Object} layer - Layer
+     * @param {Object} changes - Properties to assign
+     * @param {string} description - History description
+     */
+    updateLayer(layer, changes, description) {
+        const before = Utils.deepClone(layer);
+        this.recordLayerChange(before, { ...layer, ...changes }, description);
+    }
+
+    /**
+     * Record a layer going from one state to another
+     * @param {Object} before - Layer before the change
+     * @param {Object} after - Layer after the change
+     * @param {string} description - History description
+     */
+    recordLayerChange(before, after, description) {
+        if (!after) return;
+
+        this.execute({
+            type: 'update',
+            target: 'layers',
+            changes: [{ id: before.id, before, after: Utils.deepClone(after) }]
+        }, description);
+    }
+
+    /**
+     * Apply a command to the scene and record it
+     * @param {Object} command - Command
+     * @param {string} description - History description
+     */
+    execute(command, description) {
+        this.scene.apply(command);
+        this.canvasManager.recordCommand(command, description);
+        this.canvasManager.redrawCanvas();
+    }
+
+    /**
+     * Get command entries for elements at their current positions
+     * @param {Array} elements - Elements
+     * @returns {Array} Entries {element, index}
+     */
+    getEntries(elements) {
+        return elements.map(element => ({ element: Utils.deepClone(element), index: this.scene.indexOf(element.id) }));
+    }
+
+    /**
+     * Update the panel and the selection after layers changed
+     */
+    handleLayersChange() {
+        // Elements on hidden or locked layers cannot stay selected
+        const drawingTools = this.canvasManager.drawingTools;
+        if (drawingTools) {
+            const ids = drawingTools.selectedIds.filter(id => {
+                const element = this.scene.get(id);
+                return element && this.scene.isEditable(element);
+            });
+            if (ids.length !== drawingTools.selectedIds.length) {
+                drawingTools.setSelection(ids);
+            }
+            drawingTools.updateCursor();
+        }
+
+        this.render();
+    }
+
+    /**
+     * Rebuild the list and the active layer's controls
+     */
+    render() {
+        if (!this.list) return;
+
+        const active = this.scene.getActiveLayer();
+        const counts = new Map();
+        this.scene.elements.forEach(element => {
+            const layer = this.scene.getLayerOf(element);
+            counts.set(layer, (counts.get(layer) || 0) + 1);
+        });
+
+        this.list.innerHTML = '';
+        this.scene.layers.slice().reverse().forEach(layer => {
+            this.list.appendChild(this.createItem(layer, layer === active, counts.get(layer) || 0));
+        });
+
+        // A slider being dragged keeps its position
+        if (this.opacityInput && !this.opacityBefore) {
+            this.opacityInput.value = Math.round(active.opacity * 100);
+            this.opacityValue.textContent = this.opacityInput.value + '%';
+        }
+        if (this.blendSelect) {
+            this.blendSelect.value = active.blendMode || 'normal';
+        }
+
+        const index = this.scene.layers.indexOf(active);
+        const disable = {
+            'layer-up': index === this.scene.layers.length - 1,
+            'layer-down': index === 0,
+            'layer-merge': index === 0,
+            'layer-delete': this.scene.layers.length === 1
+        };
+        Object.keys(disable).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = disable[id];
+            }
+        });
+    }
+
+    /**
+     * Create a list item for a layer
+     * @param {Object} layer - Layer
+     * @param {boolean} isActive - Whether it is the active layer
+     * @param {number} count - Number of elements on it
+     * @returns {HTMLElement} List item
+     */
+    createItem(layer, isActive, count) {
+        const item = document.createElement('li');
+        item.className = 'layer-item';
+        item.dataset.layerId = layer.id;
+        item.classList.toggle('active', isActive);
+        item.classList.toggle('layer-hidden', !layer.visible);
+        item.classList.toggle('locked', layer.locked);
+
+        const visibility = document.createElement('button');
+        visibility.className = 'layer-visibility';
+        visibility.title = layer.visible ? 'Hide Layer' : 'Show Layer';
+        visibility.innerHTML = `<i class="fas ${layer.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>`;
+
+        const lock = document.createElement('button');
+        lock.className = 'layer-lock';
+        lock.title = layer.locked ? 'Unlock Layer' : 'Lock Layer';
+        lock.innerHTML = `<i class="fas ${layer.locked ? 'fa-lock' : 'fa-lock-open'}"></i>`;
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = 'Double-click to rename';
+
+        const countLabel = document.createElement('span');
+        countLabel.className = 'layer-count';
+        countLabel.textContent = count;
+
+        item.append(visibility, lock, name, countLabel);
+        return item;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayersPanel;
+}
@@ -0,0 +1,1069 @@
+/**
+ * PDF export for the Online Whiteboard Tool
+ *
+ * Writes PDF files in the browser. The board is drawn once into a form
+ * XObject in world coordinates, then placed on one page (fit) or on several
+ * clipped pages at a fixed scale (tile). Shapes, strokes and text are vector;
+ * images, and text the standard PDF fonts cannot encode, are embedded as pixels.
+ * Layers with an opacity or blend mode become transparency groups, and
+ * erasers become soft masks over what was drawn before them on their layer.
+ */
+
+class PDFExporter {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Page sizes in points (1/72 inch), portrait
+        this.pageSizes = {
+            a4: { width: 595.28, height: 841.89 },
+            letter: { width: 612, height: 792 }
+        };
+
+        // Canvas used to normalize colors and rasterize images
+        this.colorCtx = document.createElement('canvas').getContext('2d');
+
+        this.reset();
+    }
+
+    /**
+     * Clear state from a previous export
+     */
+    reset() {
+        this.objects = [];
+        this.fonts = {};
+        this.graphicStates = {};
+        this.xObjects = {};
+        this.imageCount = 0;
+        this.groupCount = 0;
+    }
+
+    /**
+     * Export the scene as a PDF
+     * @param {Object} options - Export options
+     * @param {string} options.pageSize - 'a4', 'letter' or 'custom'
+     * @param {number} options.customWidth - Custom page width in millimeters
+     * @param {number} options.customHeight - Custom page height in millimeters
+     * @param {string} options.orientation - 'portrait' or 'landscape'
+     * @param {string} options.layout - 'fit' (one page) or 'tile' (several pages at a fixed scale)
+     * @param {number} options.scale - Points per board pixel when tiling (0.75 prints at 96 DPI)
+     * @param {number} options.margin - Page margin in points
+     * @param {Object} options.bounds - World area to export (defaults to the content bounds)
+     * @param {string|null} options.background - Background color, or null for none
+     * @returns {Promise<Blob>} PDF file
+     */
+    export(options = {}) {
+        const settings = {
+            pageSize: 'a4',
+            orientation: 'portrait',
+            layout: 'fit',
+            scale: 0.75,
+            margin: 36,
+            padding: 20,
+            background: '#ffffff',
+            ...options
+        };
+
+        const page = this.getPageSize(settings);
+        const bounds = settings.bounds || this.getContentBounds(settings.padding);
+
+        return this.loadImages().then(() => {
+            this.reset();
+
+            const form = this.addFormXObject(bounds, settings.background);
+            const placements = settings.layout === 'tile'
+                ? this.getTilePlacements(bounds, page, settings.margin, settings.scale)
+                : [this.getFitPlacement(bounds, page, settings.margin)];
+
+            return this.build(page, form, placements);
+        });
+    }
+
+    /**
+     * Get the page size in points for the chosen options
+     * @returns {Object} Page size {width, height}
+     */
+    getPageSize(settings) {
+        let size = this.pageSizes[settings.pageSize];
+
+        if (settings.pageSize === 'custom') {
+            const toPoints = (mm) => mm * 72 / 25.4;
+            size = {
+                width: toPoints(Math.max(settings.customWidth || 210, 10)),
+                height: toPoints(Math.max(settings.customHeight || 297, 10))
+            };
+        }
+
+        size = size || this.pageSizes.a4;
+
+        // Sizes are listed portrait; landscape swaps the sides
+        return settings.orientation === 'landscape'
+            ? { width: size.height, height: size.width }
+            : size;
+    }
+
+    /**
+     * Get the padded bounds of all visible elements
+     */
+    getContentBounds(padding) {
+        const bounds = this.scene.getContentBounds();
+        if (!bounds) {
+            return { x: 0, y: 0, width: 800, height: 600 };
+        }
+
+        return {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2
+        };
+    }
+
+    /**
+     * Wait until every image element has loaded
+     * @returns {Promise<void>}
+     */
+    loadImages() {
+        const pending = this.scene.elements
+            .filter(element => element.type === 'image')
+            .map(element => this.scene.getImage(element.src))
+            .filter(img => !img.complete)
+            .map(img => new Promise(resolve => {
+                img.addEventListener('load', resolve, { once: true });
+                img.addEventListener('error', resolve, { once: true });
+            }));
+
+        return Promise.all(pending);
+    }
+
+    /**
+     * Place the whole board on one page, scaled to fit inside the margins
+     * @returns {Object} Placement {matrix, clip}
+     */
+    getFitPlacement(bounds, page, margin) {
+        const areaWidth = page.width - margin * 2;
+        const areaHeight = page.height - margin * 2;
+        const scale = Math.min(areaWidth / bounds.width, areaHeight / bounds.height);
+
+        const left = margin + (areaWidth - bounds.width * scale) / 2;
+        const top = margin + (areaHeight - bounds.height * scale) / 2;
+
+        return {
+            matrix: this.getPageMatrix(bounds.x, bounds.y, scale, left, top, page),
+            clip: null
+        };
+    }
+
+    /**
+     * Split the board across pages at a fixed scale
+     * @returns {Array} Placements {matrix, clip}, row by row
+     */
+    getTilePlacements(bounds, page, margin, scale) {
+        const areaWidth = page.width - margin * 2;
+        const areaHeight = page.height - margin * 2;
+        const tileWidth = areaWidth / scale;
+        const tileHeight = areaHeight / scale;
+        const columns = Math.max(1, Math.ceil(bounds.width / tileWidth - 1e-6));
+        const rows = Math.max(1, Math.ceil(bounds.height / tileHeight - 1e-6));
+        const placements = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                placements.push({
+                    matrix: this.getPageMatrix(
+                        bounds.x + column * tileWidth,
+                        bounds.y + row * tileHeight,
+                        scale, margin, margin, page
+                    ),
+                    clip: [margin, margin, areaWidth, areaHeight]
+                });
+            }
+        }
+
+        return placements;
+    }
+
+    /**
+     * Get the matrix that maps a world point to a position on the page.
+     * PDF pages have their origin at the bottom left, so the y axis is flipped.
+     * @param {number} worldX - World X shown at the left edge
+     * @param {number} worldY - World Y shown at the top edge
+     * @param {number} scale - Points per world unit
+     * @param {number} left - Left edge on the page (points from the left)
+     * @param {number} top - Top edge on the page (points from the top)
+     * @param {Object} page - Page size
+     * @returns {Array} Matrix [a, b, c, d, e, f]
+     */
+    getPageMatrix(worldX, worldY, scale, left, top, page) {
+        return [scale, 0, 0, -scale, left - worldX * scale, page.height - top + worldY * scale];
+    }
+
+    /**
+     * Draw the board into a form XObject
+     * @returns {number} Object number
+     */
+    addFormXObject(bounds, background) {
+        // Shared by the board and every group inside it
+        const resources = this.reserveObject();
+        let content = '';
+
+        if (background) {
+            const color = this.parseColor(background);
+            const rgb = [color.r, color.g, color.b].map(value => PDFExporter.formatNumber(value / 255)).join(' ');
+            content += `${rgb} rg ${this.formatRect(bounds.x, bounds.y, bounds.width, bounds.height)} re f\n`;
+        }
+
+        const groups = this.scene.groupByLayer(this.scene.elements);
+        for (const layer of this.scene.layers) {
+            if (layer.visible && groups.has(layer)) {
+                content += this.renderLayer(layer, groups.get(layer), bounds, resources);
+            }
+        }
+
+        const form = this.addStream({
+            Type: '/XObject',
+            Subtype: '/Form',
+            BBox: this.formatBBox(bounds),
+            Resources: `${resources} 0 R`
+        }, content);
+
+        this.setObject(resources, this.getResourceDictionary());
+        return form;
+    }
+
+    /**
+     * Render one layer's elements, as a transparency group if it has an opacity or blend mode
+     * @param {Object} layer - Layer
+     * @param {Array} elements - Elements on the layer
+     * @param {Object} bounds - Exported area
+     * @param {number} resources - Resource dictionary object number
+     * @returns {string} Content stream fragment
+     */
+    renderLayer(layer, elements, bounds, resources) {
+        let content = '';
+
+        for (const element of elements) {
+            if (element.erase) {
+                // Nothing below to erase
+                if (content) {
+                    content = this.renderErased(content, element, bounds, resources);
+                }
+            } else {
+                content += this.renderElement(element);
+            }
+        }
+
+        const blendMode = Scene.getCompositeOperation(layer.blendMode) === 'source-over' ? 'normal' : layer.blendMode;
+        if (!content || (layer.opacity >= 1 && blendMode === 'normal')) {
+            return content;
+        }
+
+        const group = this.addGroupXObject(content, bounds, resources);
+        return `q /${this.getGraphicState(layer.opacity, blendMode)} gs /${group} Do Q\n`;
+    }
+
+    /**
+     * Mask content with an eraser: a luminosity mask that is white except under the eraser
+     * @param {string} content - Content drawn before the eraser
+     * @param {Object} eraser - Eraser element
+     * @param {Object} bounds - Exported area
+     * @param {number} resources - Resource dictionary object number
+     * @returns {string} Content stream fragment
+     */
+    renderErased(content, eraser, bounds, resources) {
+        const group = this.addGroupXObject(content, bounds, resources);
+
+        const maskContent = `1 1 1 rg ${this.formatRect(bounds.x, bounds.y, bounds.width, bounds.height)} re f\n` +
+            this.renderElement({ ...eraser, erase: false, style: { ...eraser.style, color: '#000000', opacity: 1, lineStyle: 'solid' } });
+        const mask = this.addStream({
+            Type: '/XObject',
+            Subtype: '/Form',
+            BBox: this.formatBBox(bounds),
+            Group: '<< /S /Transparency /CS /DeviceRGB >>',
+            Resources: `${resources} 0 R`
+        }, maskContent);
+
+        const name = `GSMask${++this.groupCount}`;
+        this.graphicStates[name] = this.addObject(`<< /Type /ExtGState /SMask << /Type /Mask /S /Luminosity /G ${mask} 0 R >> >>`);
+
+        return `q /${name} gs /${group} Do Q\n`;
+    }
+
+    /**
+     * Wrap content in a transparency group form XObject
+     * @param {string} content - Content stream
+     * @param {Object} bounds - Exported area
+     * @param {number} resources - Resource dictionary object number
+     * @returns {string} Resource name
+     */
+    addGroupXObject(content, bounds, resources) {
+        const name = `Group${++this.groupCount}`;
+        this.xObjects[name] = this.addStream({
+            Type: '/XObject',
+            Subtype: '/Form',
+            BBox: this.formatBBox(bounds),
+            Group: '<< /S /Transparency >>',
+            Resources: `${resources} 0 R`
+        }, content);
+        return name;
+    }
+
+    /**
+     * Format a world rectangle as a PDF bounding box
+     * @param {Object} bounds - Rectangle {x, y, width, height}
+     * @returns {string} PDF array
+     */
+    formatBBox(bounds) {
+        return `[${[bounds.x, bounds.y, bounds.x + bounds.width, bounds.y + bounds.height].map(PDFExporter.formatNumber).join(' ')}]`;
+    }
+
+    /**
+     * Get the resource dictionary for everything used while drawing
+     * @returns {string} PDF dictionary
+     */
+    getResourceDictionary() {
+        const entries = (map) => Object.keys(map).map(name => `/${name} ${map[name]} 0 R`).join(' ');
+
+        return `<< /Font << ${entries(this.fonts)} >> ` +
+            `/ExtGState << ${entries(this.graphicStates)} >> ` +
+            `/XObject << ${entries(this.xObjects)} >> >>`;
+    }
+
+    /**
+     * Render one element as PDF content operators (world coordinates, y down)
+     * @param {Object} element - Element
+     * @returns {string} Content stream fragment
+     */
+    renderElement(element) {
+        const style = element.style || {};
+
+        let ops = 'q\n' + this.getStyleOperators(style, element.type === 'image');
+
+        if (element.rotation && !element.points) {
+            const center = Scene.getCenter(element);
+            const cos = Math.cos(element.rotation);
+            const sin = Math.sin(element.rotation);
+            ops += this.formatMatrix([
+                cos, sin, -sin, cos,
+                center.x - cos * center.x + sin * center.y,
+                center.y - sin * center.x - cos * center.y
+            ]) + ' cm\n';
+        }
+
+        const paint = style.fillStyle === 'solid' ? 'B' : 'S';
+
+        switch (element.type) {
+            case 'stroke':
+                ops += this.renderStroke(element, style);
+                break;
+            case 'rectangle':
+                ops += `${this.formatRect(element.x, element.y, element.width, element.height)} re ${paint}\n`;
+                break;
+            case 'ellipse':
+                ops += this.getEllipsePath(element) + ` ${paint}\n`;
+                break;
+            case 'triangle': {
+                const apexY = element.inverted ? element.y + element.height : element.y;
+                const baseY = element.inverted ? element.y : element.y + element.height;
+                ops += `${this.formatPoint(element.x + element.width / 2, apexY)} m ` +
+                    `${this.formatPoint(element.x, baseY)} l ` +
+                    `${this.formatPoint(element.x + element.width, baseY)} l h ${paint}\n`;
+                break;
+            }
+            case 'line':
+            case 'arrow': {
+                const [from, to] = element.points;
+                ops += `${this.formatPoint(from.x, from.y)} m ${this.formatPoint(to.x, to.y)} l S\n`;
+                if (element.type === 'arrow') {
+                    ops += this.getArrowHead(from, to);
+                }
+                break;
+            }
+            case 'connector':
+                ops += this.renderConnector(element, style);
+                break;
+            case 'text':
+                ops += this.renderText(element, style);
+                break;
+            case 'note':
+                ops += this.renderNote(element, style);
+                break;
+            case 'image':
+                ops += this.renderImage(element);
+                break;
+        }
+
+        return ops + 'Q\n';
+    }
+
+    /**
+     * Get operators for color, width, caps, dashes and opacity
+     */
+    getStyleOperators(style, isImage) {
+        const opacity = style.opacity !== undefined ? style.opacity : 1;
+        const color = this.parseColor(style.color || '#000000');
+        let ops = '';
+
+        if (!isImage) {
+            const rgb = [color.r, color.g, color.b].map(value => PDFExporter.formatNumber(value / 255)).join(' ');
+            const dash = Scene.getLineDash(style).map(PDFExporter.formatNumber).join(' ');
+
+            ops += `${rgb} RG ${rgb} rg ${PDFExporter.formatNumber(style.brushSize || 1)} w 1 J 1 j [${dash}] 0 d\n`;
+        }
+
+        const alpha = Utils.clamp(opacity * color.a, 0, 1);
+        if (alpha < 1) {
+            ops += `/${this.getGraphicState(alpha)} gs\n`;
+        }
+
+        return ops;
+    }
+
+    /**
+     * Render a stroke with the same smoothing as the canvas renderer
+     */
+    renderStroke(element, style) {
+        const points = element.points || [];
+        if (points.length === 0) return '';
+
+        if (element.ink) {
+            return this.renderInk(element);
+        }
+
+        if (points.length === 1) {
+            const size = (style.brushSize || 1) / 2;
+            return this.getEllipsePath({
+                x: points[0].x - size,
+                y: points[0].y - size,
+                width: size * 2,
+                height: size * 2
+            }) + ' f\n';
+        }
+
+        let ops = `${this.formatPoint(points[0].x, points[0].y)} m`;
+
+        if (element.smooth === false) {
+            for (let i = 1; i < points.length; i++) {
+                ops += ` ${this.formatPoint(points[i].x, points[i].y)} l`;
+            }
+            const paint = style.fillStyle === 'solid' ? 'B' : 'S';
+            return ops + (element.closed ? ` h ${paint}\n` : ` ${paint}\n`);
+        }
+
+        // Quadratic curves through the midpoints, written as cubic curves
+        let current = points[0];
+        for (let i = 1; i < points.length - 1; i++) {
+            const control = points[i];
+            const end = {
+                x: (points[i].x + points[i + 1].x) / 2,
+                y: (points[i].y + points[i + 1].y) / 2
+            };
+            ops += ' ' + this.formatPoint(current.x + (control.x - current.x) * 2 / 3, current.y + (control.y - current.y) * 2 / 3) +
+                ' ' + this.formatPoint(end.x + (control.x - end.x) * 2 / 3, end.y + (control.y - end.y) * 2 / 3) +
+                ' ' + this.formatPoint(end.x, end.y) + ' c';
+            current = end;
+        }
+
+        const last = points[points.length - 1];
+        return ops + ` ${this.formatPoint(last.x, last.y)} l S\n`;
+    }
+
+    /**
+     * Render an ink stroke as its filled outline (see Scene.getInkOutline)
+     */
+    renderInk(element) {
+        const outline = Scene.getInkOutline(element);
+        const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        let current = mid(outline[outline.length - 1], outline[0]);
+        let ops = `${this.formatPoint(current.x, current.y)} m`;
+
+        // Quadratic curves through the midpoints, written as cubic curves
+        outline.forEach((control, i) => {
+            const end = mid(control, outline[(i + 1) % outline.length]);
+            ops += ' ' + this.formatPoint(current.x + (control.x - current.x) * 2 / 3, current.y + (control.y - current.y) * 2 / 3) +
+                ' ' + this.formatPoint(end.x + (control.x - end.x) * 2 / 3, end.y + (control.y - end.y) * 2 / 3) +
+                ' ' + this.formatPoint(end.x, end.y) + ' c';
+            current = end;
+        });
+
+        return ops + ' h f\n';
+    }
+
+    /**
+     * Get an ellipse path made of four Bézier curves
+     */
+    getEllipsePath(box) {
+        const kappa = 0.5522847498;
+        const rx = Math.abs(box.width / 2);
+        const ry = Math.abs(box.height / 2);
+        const cx = box.x + box.width / 2;
+        const cy = box.y + box.height / 2;
+        const ox = rx * kappa;
+        const oy = ry * kappa;
+        const p = (x, y) => this.formatPoint(x, y);
+
+        return `${p(cx + rx, cy)} m ` +
+            `${p(cx + rx, cy + oy)} ${p(cx + ox, cy + ry)} ${p(cx, cy + ry)} c ` +
+            `${p(cx - ox, cy + ry)} ${p(cx - rx, cy + oy)} ${p(cx - rx, cy)} c ` +
+            `${p(cx - rx, cy - oy)} ${p(cx - ox, cy - ry)} ${p(cx, cy - ry)} c ` +
+            `${p(cx + ox, cy - ry)} ${p(cx + rx, cy - oy)} ${p(cx + rx, cy)} c h`;
+    }
+
+    /**
+     * Render a connector along its route, with its arrowhead and label
+     */
+    renderConnector(element, style) {
+        const route = Scene.getConnectorRoute(element);
+        const [from] = route.points;
+
+        let ops = `${this.formatPoint(from.x, from.y)} m `;
+        if (route.controls) {
+            const [c1, c2] = route.controls;
+            const to = route.points[1];
+            ops += `${this.formatPoint(c1.x, c1.y)} ${this.formatPoint(c2.x, c2.y)} ${this.formatPoint(to.x, to.y)} c S\n`;
+        } else {
+            ops += route.points.slice(1).map(point => `${this.formatPoint(point.x, point.y)} l`).join(' ') + ' S\n';
+        }
+
+        if (element.arrowhead) {
+            const [tail, tip] = Scene.getConnectorTip(element);
+            ops += this.getArrowHead(tail, tip);
+        }
+
+        const label = Scene.getConnectorLabelBox(element);
+        if (label) {
+            const { r, g, b } = this.parseColor(style.color || '#000000');
+            const rgb = [r, g, b].map(value => PDFExporter.formatNumber(value / 255)).join(' ');
+            ops += `1 1 1 rg ${this.formatRect(label.x, label.y, label.width, label.height)} re f ${rgb} rg\n`;
+
+            this.colorCtx.font = `${element.fontSize}px ${element.fontFamily}`;
+            const width = this.colorCtx.measureText(element.label).width;
+            const text = {
+                x: label.x + (label.width - width) / 2,
+                y: label.y + (label.height - element.fontSize) / 2,
+                width,
+                height: element.fontSize,
+                text: element.label,
+                fontFamily: element.fontFamily,
+                fontSize: element.fontSize
+            };
+            ops += `q\n${this.renderTextRun(text, style)}Q\n`;
+        }
+
+        return ops;
+    }
+
+    /**
+     * Get the undashed head of an arrow
+     */
+    getArrowHead(from, to) {
+        const headLength = 15;
+        const angle = Utils.angle(from.x, from.y, to.x, to.y);
+        const left = this.formatPoint(
+            to.x - headLength * Math.cos(angle - Math.PI / 6),
+            to.y - headLength * Math.sin(angle - Math.PI / 6)
+        );
+        const right = this.formatPoint(
+            to.x - headLength * Math.cos(angle + Math.PI / 6),
+            to.y - headLength * Math.sin(angle + Math.PI / 6)
+        );
+
+        return `[] 0 d ${left} m ${this.formatPoint(to.x, to.y)} l ${right} l S\n`;
+    }
+
+    /**
+     * Render a text element line by line, each styled run in its own font
+     */
+    renderText(element, style) {
+        const layout = this.scene.getTextLayout(element);
+        const underline = Math.max(1, element.fontSize / 15);
+        let ops = '';
+
+        layout.lines.forEach(line => line.items.forEach(item => {
+            const x = element.x + line.x + item.x;
+            const y = element.y + line.y;
+
+            ops += `q\n${this.renderTextRun({
+                x,
+                y,
+                width: item.width,
+                height: element.fontSize,
+                text: item.text,
+                fontFamily: element.fontFamily,
+                fontSize: element.fontSize,
+                bold: item.bold,
+                italic: item.italic
+            }, style)}Q\n`;
+
+            if (item.underline) {
+                ops += `${this.formatRect(x, y + element.fontSize * 0.9, item.width, underline)} re f\n`;
+            }
+        }));
+
+        return ops;
+    }
+
+    /**
+     * Render a run of text with a standard PDF font, or as pixels if the font cannot encode it
+     * @param {Object} run - Run {x, y, width, height, text, fontFamily, fontSize, bold, italic}
+     */
+    renderTextRun(run, style) {
+        const encoded = this.encodeText(run.text || '');
+        if (encoded === null) {
+            return this.renderTextAsImage(run, style);
+        }
+
+        const font = this.getFont(run.fontFamily, run);
+        const size = run.fontSize;
+
+        // The board anchors text at the top of the em box; PDF at the baseline.
+        // The text matrix flips y back so glyphs are upright.
+        return `BT /${font} ${PDFExporter.formatNumber(size)} Tf ` +
+            `1 0 0 -1 ${this.formatPoint(run.x, run.y + size * 0.8)} Tm ` +
+            `(${encoded}) Tj ET\n`;
+    }
+
+    /**
+     * Render a sticky note: its colored square, then each wrapped line as centered text
+     */
+    renderNote(element, style) {
+        const box = Scene.getBounds({ ...element, rotation: 0 });
+        const layout = this.scene.getNoteLayout(element);
+        const [noteRgb, textRgb] = [element.noteColor, style.color || '#000000'].map(color => {
+            const { r, g, b } = this.parseColor(color);
+            return [r, g, b].map(value => PDFExporter.formatNumber(value / 255)).join(' ');
+        });
+
+        let ops = `${noteRgb} rg ${this.formatRect(box.x, box.y, box.width, box.height)} re f ${textRgb} rg\n`;
+
+        this.colorCtx.font = `${layout.fontSize}px ${element.fontFamily}`;
+        layout.lines.filter(line => line.text).forEach(line => {
+            const width = this.colorCtx.measureText(line.text).width;
+            const text = {
+                x: line.x - width / 2,
+                y: line.y - layout.fontSize / 2,
+                width,
+                height: layout.fontSize,
+                text: line.text,
+                fontFamily: element.fontFamily,
+                fontSize: layout.fontSize
+            };
+            ops += `q\n${this.renderTextRun(text, style)}Q\n`;
+        });
+
+        return ops;
+    }
+
+    /**
+     * Rasterize a run of text that the standard fonts cannot show
+     */
+    renderTextAsImage(element, style) {
+        const resolution = 3;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(element.width * resolution));
+        canvas.height = Math.max(1, Math.ceil(element.height * resolution));
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(resolution, resolution);
+        ctx.font = Scene.getFont(element.fontSize, element.fontFamily, element);
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = style.color || '#000000';
+        ctx.fillText(element.text, 0, 0);
+
+        const name = this.addImageXObject(canvas);
+        if (!name) return '';
+
+        return `${this.formatMatrix([element.width, 0, 0, -element.height, element.x, element.y + element.height])} cm /${name} Do\n`;
+    }
+
+    /**
+     * Render an image element
+     */
+    renderImage(element) {
+        const img = this.scene.getImage(element.src);
+        if (!img.complete || img.naturalWidth === 0) return '';
+
+        const name = this.addImageXObject(img);
+        if (!name) return '';
+
+        // The image unit square is flipped so its first row lands at the top
+        return `${this.formatMatrix([element.width, 0, 0, -element.height, element.x, element.y + element.height])} cm /${name} Do\n`;
+    }
+
+    /**
+     * Encode text for a standard font (WinAnsiEncoding)
+     * @param {string} text - Text
+     * @returns {string|null} Escaped PDF string content, or null if a character cannot be encoded
+     */
+    encodeText(text) {
+        const winAnsi = {
+            '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+            '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+            '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+            'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+        };
+        let result = '';
+
+        for (const char of text) {
+            let code = winAnsi[char] !== undefined ? winAnsi[char] : char.charCodeAt(0);
+            if (char.length > 1 || (code > 0xFF) || (code >= 0x80 && code < 0xA0 && winAnsi[char] === undefined)) {
+                return null;
+            }
+            if (char === '\t') code = 0x20;
+
+            if (char === '(' || char === ')' || char === '\\') {
+                result += '\\' + char;
+            } else if (code < 0x20 || code > 0x7E) {
+                result += '\\' + code.toString(8).padStart(3, '0');
+            } else {
+                result += char;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get (and register) the standard font closest to a font family and format
+     * @param {string} fontFamily - Font family
+     * @param {Object} format - Run format {bold, italic}
+     * @returns {string} Resource name
+     */
+    getFont(fontFamily = '', format = {}) {
+        const family = fontFamily.toLowerCase();
+        let base = 'Helvetica';
+        let italic = 'Oblique';
+
+        if (family.includes('courier') || family.includes('mono')) {
+            base = 'Courier';
+        } else if (family.includes('times') || family.includes('georgia') || family.includes('serif') && !family.includes('sans')) {
+            base = 'Times';
+            italic = 'Italic';
+        }
+
+        // e.g. Helvetica-BoldOblique, Times-Roman, Times-Italic
+        const variant = (format.bold ? 'Bold' : '') + (format.italic ? italic : '');
+        const baseFont = base === 'Times' ? `Times-${variant || 'Roman'}` : base + (variant ? `-${variant}` : '');
+
+        const name = baseFont.replace('-', '');
+        if (!this.fonts[name]) {
+            this.fonts[name] = this.addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+        }
+        return name;
+    }
+
+    /**
+     * Get (and register) a graphics state with the given opacity and blend mode
+     * @param {number} alpha - Opacity
+     * @param {string} blendMode - Layer blend mode (CSS name)
+     * @returns {string} Resource name
+     */
+    getGraphicState(alpha, blendMode = 'normal') {
+        const value = PDFExporter.formatNumber(alpha);
+        // PDF blend mode names are capitalized (/Multiply, /Screen, ...)
+        const blend = blendMode.charAt(0).toUpperCase() + blendMode.slice(1);
+        const name = 'GS' + value.replace('.', '_') + (blend === 'Normal' ? '' : blend);
+
+        if (!this.graphicStates[name]) {
+            const mode = blend === 'Normal' ? '' : ` /BM /${blend}`;
+            this.graphicStates[name] = this.addObject(`<< /Type /ExtGState /ca ${value} /CA ${value}${mode} >>`);
+        }
+        return name;
+    }
+
+    /**
+     * Embed an image (JPEG when opaque, RGB with an alpha mask otherwise)
+     * @param {CanvasImageSource} source - Image or canvas
+     * @returns {string|null} Resource name, or null if the pixels cannot be read
+     */
+    addImageXObject(source) {
+        const width = source.naturalWidth || source.width;
+        const height = source.naturalHeight || source.height;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+
+        let pixels;
+        try {
+            pixels = ctx.getImageData(0, 0, width, height).data;
+        } catch (error) {
+            // Images from other origins cannot be read back
+            console.warn('Skipping image in PDF export:', error);
+            return null;
+        }
+
+        let opaque = true;
+        for (let i = 3; i < pixels.length; i += 4) {
+            if (pixels[i] < 255) {
+                opaque = false;
+                break;
+            }
+        }
+
+        const name = 'Im' + (++this.imageCount);
+        const base = { Type: '/XObject', Subtype: '/Image', Width: width, Height: height, BitsPerComponent: 8 };
+
+        if (opaque) {
+            const jpeg = PDFExporter.dataURLToBytes(canvas.toDataURL('image/jpeg', 0.92));
+            this.xObjects[name] = this.addStream({ ...base, ColorSpace: '/DeviceRGB', Filter: '/DCTDecode' }, jpeg, false);
+            return name;
+        }
+
+        const rgb = new Uint8Array(width * height * 3);
+        const alpha = new Uint8Array(width * height);
+        for (let i = 0, j = 0; i < pixels.length; i += 4, j++) {
+            rgb[j * 3] = pixels[i];
+            rgb[j * 3 + 1] = pixels[i + 1];
+            rgb[j * 3 + 2] = pixels[i + 2];
+            alpha[j] = pixels[i + 3];
+        }
+
+        const mask = this.addStream({ ...base, ColorSpace: '/DeviceGray' }, alpha);
+        this.xObjects[name] = this.addStream({ ...base, ColorSpace: '/DeviceRGB', SMask: `${mask} 0 R` }, rgb);
+        return name;
+    }
+
+    /**
+     * Normalize any CSS color to RGBA
+     * @returns {Object} Color {r, g, b, a}
+     */
+    parseColor(color) {
+        this.colorCtx.fillStyle = '#000000';
+        this.colorCtx.fillStyle = color;
+        const normalized = this.colorCtx.fillStyle;
+
+        const rgb = Utils.Colors.hexToRgb(normalized);
+        if (rgb) {
+            return { ...rgb, a: 1 };
+        }
+
+        const values = (normalized.match(/[\d.]+/g) || []).map(parseFloat);
+        return {
+            r: values[0] || 0,
+            g: values[1] || 0,
+            b: values[2] || 0,
+            a: values.length > 3 ? values[3] : 1
+        };
+    }
+
+    /**
+     * Reserve an object number to fill in later
+     * @returns {number} Object number
+     */
+    reserveObject() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * Set the body of a reserved object
+     */
+    setObject(id, body) {
+        this.objects[id - 1] = { body };
+    }
+
+    /**
+     * Add an object
+     * @param {string} body - Object body
+     * @returns {number} Object number
+     */
+    addObject(body) {
+        this.objects.push({ body });
+        return this.objects.length;
+    }
+
+    /**
+     * Add a stream object
+     * @param {Object} dictionary - Stream dictionary entries (without Length)
+     * @param {string|Uint8Array} data - Stream data
+     * @param {boolean} compress - Whether to deflate the data when the browser supports it
+     * @returns {number} Object number
+     */
+    addStream(dictionary, data, compress = true) {
+        this.objects.push({ dictionary, data, compress });
+        return this.objects.length;
+    }
+
+    /**
+     * Write pages and assemble the file
+     * @param {Object} page - Page size
+     * @param {number} form - Form XObject with the board
+     * @param {Array} placements - One placement per page
+     * @returns {Promise<Blob>} PDF file
+     */
+    build(page, form, placements) {
+        const catalog = this.reserveObject();
+        const pages = this.reserveObject();
+        const pageResources = this.addObject(`<< /XObject << /Board ${form} 0 R >> >>`);
+        const mediaBox = `[0 0 ${PDFExporter.formatNumber(page.width)} ${PDFExporter.formatNumber(page.height)}]`;
+
+        const pageIds = placements.map(placement => {
+            let content = 'q\n';
+            if (placement.clip) {
+                content += `${placement.clip.map(PDFExporter.formatNumber).join(' ')} re W n\n`;
+            }
+            content += `${this.formatMatrix(placement.matrix)} cm /Board Do\nQ\n`;
+
+            const contents = this.addStream({}, content);
+            return this.addObject(`<< /Type /Page /Parent ${pages} 0 R /MediaBox ${mediaBox} ` +
+                `/Resources ${pageResources} 0 R /Contents ${contents} 0 R >>`);
+        });
+
+        this.setObject(pages, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+        this.setObject(catalog, `<< /Type /Catalog /Pages ${pages} 0 R >>`);
+
+        const info = this.addObject(`<< /Producer (Online Whiteboard Tool) /CreationDate (D:${this.formatDate(new Date())}) >>`);
+
+        return Promise.all(this.objects.map(object => this.encodeObject(object)))
+            .then(encoded => this.assemble(encoded, catalog, info));
+    }
+
+    /**
+     * Encode one object to bytes
+     * @returns {Promise<Uint8Array>} Object body (without the "n 0 obj" wrapper)
+     */
+    encodeObject(object) {
+        if (!object.dictionary) {
+            return Promise.resolve(PDFExporter.stringToBytes(object.body));
+        }
+
+        const raw = typeof object.data === 'string' ? PDFExporter.stringToBytes(object.data) : object.data;
+        const compressed = object.compress ? PDFExporter.deflate(raw) : Promise.resolve(null);
+
+        return compressed.then(deflated => {
+            const dictionary = { ...object.dictionary };
+            let data = raw;
+
+            if (deflated) {
+                dictionary.Filter = '/FlateDecode';
+                data = deflated;
+            }
+            dictionary.Length = data.length;
+
+            const entries = Object.keys(dictionary).map(key => `/${key} ${dictionary[key]}`).join(' ');
+            return PDFExporter.concatBytes([
+                PDFExporter.stringToBytes(`<< ${entries} >>\nstream\n`),
+                data,
+                PDFExporter.stringToBytes('\nendstream')
+            ]);
+        });
+    }
+
+    /**
+     * Assemble objects, cross-reference table and trailer
+     * @returns {Blob} PDF file
+     */
+    assemble(encoded, catalog, info) {
+        const chunks = [PDFExporter.stringToBytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        const offsets = [];
+        let offset = chunks[0].length;
+
+        encoded.forEach((body, index) => {
+            const head = PDFExporter.stringToBytes(`${index + 1} 0 obj\n`);
+            const tail = PDFExporter.stringToBytes('\nendobj\n');
+            offsets.push(offset);
+            chunks.push(head, body, tail);
+            offset += head.length + body.length + tail.length;
+        });
+
+        let xref = `xref\n0 ${encoded.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(value => {
+            xref += `${String(value).padStart(10, '0')} 00000 n \n`;
+        });
+        xref += `trailer\n<< /Size ${encoded.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\n` +
+            `startxref\n${offset}\n%%EOF\n`;
+        chunks.push(PDFExporter.stringToBytes(xref));
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * Format a date as a PDF date string
+     */
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    /**
+     * Format a point
+     */
+    formatPoint(x, y) {
+        return `${PDFExporter.formatNumber(x)} ${PDFExporter.formatNumber(y)}`;
+    }
+
+    /**
+     * Format a rectangle as "x y width height"
+     */
+    formatRect(x, y, width, height) {
+        return [x, y, width, height].map(PDFExporter.formatNumber).join(' ');
+    }
+
+    /**
+     * Format a matrix as six numbers
+     */
+    formatMatrix(matrix) {
+        return matrix.map(PDFExporter.formatNumber).join(' ');
+    }
+
+    /**
+     * Format a number compactly (PDF does not accept exponents)
+     */
+    static formatNumber(value) {
+        const rounded = Math.round(value * 1000) / 1000;
+        return Object.is(rounded, -0) ? '0' : rounded.toFixed(3).replace(/\.?0+$/, '');
+    }
+
+    /**
+     * Convert a byte string (characters 0-255) to bytes
+     */
+    static stringToBytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    /**
+     * Decode a base64 data URL to bytes
+     */
+    static dataURLToBytes(dataURL) {
+        return PDFExporter.stringToBytes(atob(dataURL.slice(dataURL.indexOf(',') + 1)));
+    }
+
+    /**
+     * Join byte arrays
+     */
+    static concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Deflate bytes (zlib format, as FlateDecode expects) when the browser supports it
+     * @returns {Promise<Uint8Array|null>} Compressed bytes, or null if unsupported
+     */
+    static deflate(bytes) {
+        if (typeof CompressionStream === 'undefined' || typeof Response === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Response(stream).arrayBuffer()
+            .then(buffer => new Uint8Array(buffer))
+            .catch(() => null);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFExporter;
+}
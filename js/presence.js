@@ -0,0 +1,366 @@
+/**
+ * Live cursors and presence for the Online Whiteboard Tool
+ *
+ * Shares this user's cursor and viewport with the collaboration room, draws
+ * other people's cursors on the canvas overlay, lists who is in the room in
+ * the header, and can follow someone's viewport.
+ */
+
+class PresenceManager {
+    constructor(canvasManager, collaboration) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.presence = this;
+        this.collaboration = collaboration;
+
+        this.overlay = document.getElementById('canvas-overlay');
+        this.list = document.getElementById('presence-list');
+        this.cursors = new Map();
+        this.banner = null;
+
+        // Own cursor in world coordinates (null while outside the canvas)
+        this.cursor = null;
+        this.sendTimer = null;
+        this.sendInterval = 50;
+        this.announcedId = null;
+
+        // Follow mode
+        this.followingId = null;
+        this.isApplyingFollow = false;
+        this.lastViewport = this.getViewportKey();
+
+        this.maxListed = 5;
+        this.colors = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+        this.collaboration.onStatusChange = () => this.handleStatusChange();
+        this.collaboration.onPresence = (clientId) => this.handlePresence(clientId);
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.list) {
+            this.list.addEventListener('click', (e) => {
+                const avatar = e.target.closest('.presence-avatar');
+                if (!avatar || !avatar.dataset.id) return;
+
+                if (this.followingId === avatar.dataset.id) {
+                    this.stopFollowing();
+                } else {
+                    this.follow(avatar.dataset.id);
+                }
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.followingId) {
+                this.stopFollowing();
+            }
+        });
+    }
+
+    /**
+     * Get a peer's color (the same on every client)
+     * @param {string} clientId - Client ID assigned by the relay
+     * @returns {string} CSS color
+     */
+    getColor(clientId) {
+        let hash = 0;
+        for (let i = 0; i < clientId.length; i++) {
+            hash = (hash * 31 + clientId.charCodeAt(i)) | 0;
+        }
+        return this.colors[Math.abs(hash) % this.colors.length];
+    }
+
+    /**
+     * Track the local pointer
+     * @param {Object} point - World point {x, y}
+     */
+    handlePointerMove(point) {
+        this.cursor = { x: Math.round(point.x), y: Math.round(point.y) };
+        this.schedulePresence();
+    }
+
+    /**
+     * The local pointer left the canvas
+     */
+    handlePointerLeave() {
+        if (!this.cursor) return;
+
+        this.cursor = null;
+        this.schedulePresence();
+    }
+
+    /**
+     * Called after every redraw; reacts to zoom and pan changes
+     */
+    handleRedraw() {
+        const viewport = this.getViewportKey();
+        if (viewport === this.lastViewport) return;
+
+        this.lastViewport = viewport;
+
+        // Moving the board yourself ends follow mode
+        if (this.followingId && !this.isApplyingFollow) {
+            this.stopFollowing();
+        }
+
+        this.schedulePresence();
+        this.renderCursors();
+    }
+
+    /**
+     * Connection or room membership changed
+     */
+    handleStatusChange() {
+        if (this.followingId && !this.collaboration.peers.has(this.followingId)) {
+            this.stopFollowing();
+        }
+
+        // Let the room know where this user is as soon as it has joined
+        const clientId = this.collaboration.isConnected() ? this.collaboration.clientId : null;
+        if (clientId && clientId !== this.announcedId) {
+            this.schedulePresence();
+        }
+        this.announcedId = clientId;
+
+        this.render();
+    }
+
+    /**
+     * A peer's cursor or viewport changed
+     * @param {string} clientId - Peer client ID
+     */
+    handlePresence(clientId) {
+        if (clientId === this.followingId) {
+            this.applyFollowedViewport();
+        }
+        this.renderCursors();
+    }
+
+    /**
+     * Send presence soon, at most once per interval
+     */
+    schedulePresence() {
+        if (this.sendTimer || !this.collaboration.isConnected()) return;
+
+        this.sendTimer = setTimeout(() => {
+            this.sendTimer = null;
+            this.collaboration.sendPresence(this.getPresence());
+        }, this.sendInterval);
+    }
+
+    /**
+     * Get this user's presence
+     * @returns {Object} Presence {cursor, viewport}
+     */
+    getPresence() {
+        const canvas = this.canvasManager.canvas;
+        return {
+            cursor: this.cursor,
+            viewport: {
+                ...this.canvasManager.getViewport(),
+                width: canvas.width,
+                height: canvas.height
+            }
+        };
+    }
+
+    /**
+     * Get a string that changes whenever the visible area does
+     */
+    getViewportKey() {
+        const { zoom, panX, panY } = this.canvasManager.getViewport();
+        const canvas = this.canvasManager.canvas;
+        return `${zoom},${panX},${panY},${canvas.width},${canvas.height}`;
+    }
+
+    /**
+     * Follow a peer's viewport
+     * @param {string} clientId - Peer client ID
+     */
+    follow(clientId) {
+        if (!this.collaboration.peers.has(clientId)) return;
+
+        this.followingId = clientId;
+        this.applyFollowedViewport();
+        this.render();
+    }
+
+    /**
+     * Stop following
+     */
+    stopFollowing() {
+        if (!this.followingId) return;
+
+        this.followingId = null;
+        this.render();
+    }
+
+    /**
+     * Show the same area as the followed peer, centered in this canvas
+     */
+    applyFollowedViewport() {
+        const peer = this.collaboration.peers.get(this.followingId);
+        if (!peer || !peer.presence || !peer.presence.viewport) return;
+
+        const viewport = peer.presence.viewport;
+        const canvas = this.canvasManager.canvas;
+        const centerX = (viewport.width / 2 - viewport.panX) / viewport.zoom;
+        const centerY = (viewport.height / 2 - viewport.panY) / viewport.zoom;
+
+        this.isApplyingFollow = true;
+        try {
+            this.canvasManager.setViewport({
+                zoom: viewport.zoom,
+                panX: canvas.width / 2 - centerX * viewport.zoom,
+                panY: canvas.height / 2 - centerY * viewport.zoom
+            });
+        } finally {
+            this.isApplyingFollow = false;
+        }
+    }
+
+    /**
+     * Update the presence list, cursors and follow banner
+     */
+    render() {
+        this.renderList();
+        this.renderCursors();
+        this.renderBanner();
+    }
+
+    /**
+     * Rebuild the header list of people in the room
+     */
+    renderList() {
+        if (!this.list) return;
+
+        const peers = this.collaboration.isConnected() ? Array.from(this.collaboration.peers.entries()) : [];
+        this.list.innerHTML = '';
+        this.list.hidden = peers.length === 0;
+
+        peers.slice(0, this.maxListed).forEach(([clientId, peer]) => {
+            const avatar = document.createElement('button');
+            avatar.className = 'presence-avatar';
+            avatar.dataset.id = clientId;
+            avatar.style.backgroundColor = this.getColor(clientId);
+            avatar.textContent = (peer.name || '?').charAt(0).toUpperCase();
+
+            const following = clientId === this.followingId;
+            avatar.classList.toggle('following', following);
+            avatar.title = following ? `Stop following ${peer.name}` : `Follow ${peer.name}`;
+            this.list.appendChild(avatar);
+        });
+
+        if (peers.length > this.maxListed) {
+            const more = document.createElement('span');
+            more.className = 'presence-avatar presence-more';
+            more.textContent = `+${peers.length - this.maxListed}`;
+            more.title = peers.slice(this.maxListed).map(([, peer]) => peer.name).join(', ');
+            this.list.appendChild(more);
+        }
+    }
+
+    /**
+     * Position peers' cursors on the overlay
+     */
+    renderCursors() {
+        if (!this.overlay) return;
+
+        const peers = this.collaboration.isConnected() ? this.collaboration.peers : new Map();
+
+        // Remove cursors of people who left or moved off the board
+        this.cursors.forEach((element, clientId) => {
+            const peer = peers.get(clientId);
+            if (!peer || !peer.presence || !peer.presence.cursor) {
+                element.remove();
+                this.cursors.delete(clientId);
+            }
+        });
+
+        if (peers.size === 0) return;
+
+        const canvas = this.canvasManager.canvas;
+        const canvasRect = canvas.getBoundingClientRect();
+        const overlayRect = this.overlay.getBoundingClientRect();
+        const scaleX = canvasRect.width / canvas.width;
+        const scaleY = canvasRect.height / canvas.height;
+
+        peers.forEach((peer, clientId) => {
+            if (!peer.presence || !peer.presence.cursor) return;
+
+            let element = this.cursors.get(clientId);
+            if (!element) {
+                element = this.createCursor(clientId);
+                this.cursors.set(clientId, element);
+                this.overlay.appendChild(element);
+            }
+            element.querySelector('.remote-cursor-label').textContent = peer.name;
+
+            const screen = this.canvasManager.worldToScreen(peer.presence.cursor.x, peer.presence.cursor.y);
+            const visible = screen.x >= 0 && screen.y >= 0 && screen.x <= canvas.width && screen.y <= canvas.height;
+            element.hidden = !visible;
+
+            const left = canvasRect.left - overlayRect.left + screen.x * scaleX;
+            const top = canvasRect.top - overlayRect.top + screen.y * scaleY;
+            element.style.transform = `translate(${left}px, ${top}px)`;
+        });
+    }
+
+    /**
+     * Create the element for a peer's cursor
+     * @param {string} clientId - Peer client ID
+     * @returns {HTMLElement} Cursor element
+     */
+    createCursor(clientId) {
+        const color = this.getColor(clientId);
+
+        const element = document.createElement('div');
+        element.className = 'remote-cursor';
+
+        const pointer = document.createElement('i');
+        pointer.className = 'fas fa-mouse-pointer';
+        pointer.style.color = color;
+        element.appendChild(pointer);
+
+        const label = document.createElement('span');
+        label.className = 'remote-cursor-label';
+        label.style.backgroundColor = color;
+        element.appendChild(label);
+
+        return element;
+    }
+
+    /**
+     * Show who is being followed
+     */
+    renderBanner() {
+        if (!this.overlay) return;
+
+        const peer = this.followingId ? this.collaboration.peers.get(this.followingId) : null;
+        if (!peer) {
+            if (this.banner) {
+                this.banner.remove();
+                this.banner = null;
+            }
+            return;
+        }
+
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'follow-banner';
+            this.overlay.appendChild(this.banner);
+        }
+        this.banner.style.borderColor = this.getColor(this.followingId);
+        this.banner.textContent = `Following ${peer.name} · move the board or press Esc to stop`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresenceManager;
+}
@@ -0,0 +1,175 @@
+/**
+ * Installable app support for the Online Whiteboard Tool
+ *
+ * Registers the service worker that makes the app work offline, offers to
+ * reload when a new version has been installed, shows an install button where
+ * the browser supports it, and opens project files the OS launches the app with.
+ */
+
+class PWAManager {
+    constructor(canvasManager, fileOperations, documentManager) {
+        this.canvasManager = canvasManager;
+        this.fileOperations = fileOperations;
+        this.documentManager = documentManager;
+
+        this.registration = null;
+        this.waitingWorker = null;
+        this.isUpdating = false;
+        this.installPrompt = null;
+        this.updateCheckInterval = 60 * 60 * 1000;
+
+        this.banner = document.getElementById('update-banner');
+        this.installBtn = document.getElementById('install-app');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.banner) {
+            document.getElementById('update-reload').addEventListener('click', () => this.applyUpdate());
+            document.getElementById('update-dismiss').addEventListener('click', () => this.hideUpdatePrompt());
+        }
+
+        // The browser offers installation; show our own button for it
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            if (this.installBtn) {
+                this.installBtn.hidden = false;
+            }
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            if (this.installBtn) {
+                this.installBtn.hidden = true;
+            }
+        });
+
+        if (this.installBtn) {
+            this.installBtn.addEventListener('click', () => this.install());
+        }
+    }
+
+    /**
+     * Register the service worker (only over http/https)
+     */
+    register() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        // Reload once the new version has taken over
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isUpdating) {
+                window.location.reload();
+            }
+        });
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                this.registration = registration;
+
+                // Installed during an earlier visit and still waiting
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(registration.waiting);
+                }
+
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        // Without a controller this is the first install, not an update
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.showUpdatePrompt(worker);
+                        }
+                    });
+                });
+
+                // Long-running tabs check for new versions too
+                setInterval(() => {
+                    registration.update().catch(() => {});
+                }, this.updateCheckInterval);
+            })
+            .catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+    }
+
+    /**
+     * Tell the user a new version is ready
+     * @param {ServiceWorker} worker - Installed worker waiting to take over
+     */
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+
+        if (this.banner) {
+            this.banner.hidden = false;
+        } else if (confirm('A new version of the whiteboard is available. Reload now?')) {
+            this.applyUpdate();
+        }
+    }
+
+    /**
+     * Hide the update prompt (the update is applied on the next visit)
+     */
+    hideUpdatePrompt() {
+        if (this.banner) {
+            this.banner.hidden = true;
+        }
+    }
+
+    /**
+     * Switch to the new version and reload
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        this.hideUpdatePrompt();
+        this.isUpdating = true;
+
+        // The board and its history come back after the reload
+        this.canvasManager.persistSession().then(() => {
+            this.waitingWorker.postMessage({ type: 'skip-waiting' });
+        });
+    }
+
+    /**
+     * Show the browser's install dialog
+     */
+    install() {
+        if (!this.installPrompt) return;
+
+        const installPrompt = this.installPrompt;
+        this.installPrompt = null;
+        installPrompt.prompt();
+        installPrompt.userChoice.then(() => {
+            if (this.installBtn) {
+                this.installBtn.hidden = true;
+            }
+        });
+    }
+
+    /**
+     * Open files the app was launched with (File Handling API); each opens as a new board
+     */
+    enableFileHandling() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(params => {
+            if (!params.files || params.files.length === 0) return;
+
+            params.files.reduce((previous, handle) => previous
+                .then(() => handle.getFile())
+                .then(file => this.documentManager.createDocument().then(() => this.fileOperations.loadFile(file)))
+                .catch(error => {
+                    console.warn('Failed to open launched file:', error);
+                }), Promise.resolve());
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PWAManager;
+}
@@ -0,0 +1,143 @@
+/**
+ * Recovery dialog for the Online Whiteboard Tool
+ *
+ * Lists auto-save snapshots with previews so the user can pick one to restore.
+ */
+
+class RecoveryDialog {
+    constructor() {
+        this.modal = document.getElementById('recovery-modal');
+        this.list = document.getElementById('recovery-list');
+        this.snapshots = [];
+        this.selectedId = null;
+        this.resolve = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup dialog event listeners
+     */
+    setupEventListeners() {
+        if (!this.modal) return;
+
+        document.getElementById('recovery-restore').addEventListener('click', () => {
+            this.close(this.snapshots.find(snapshot => snapshot.id === this.selectedId) || null);
+        });
+        document.getElementById('recovery-dismiss').addEventListener('click', () => this.close(null));
+        this.modal.querySelector('.modal-close').addEventListener('click', () => this.close(null));
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.snapshot-item');
+            if (item) {
+                this.select(item.dataset.id);
+            }
+        });
+
+        this.list.addEventListener('dblclick', (e) => {
+            const item = e.target.closest('.snapshot-item');
+            if (item) {
+                this.close(this.snapshots.find(snapshot => snapshot.id === item.dataset.id) || null);
+            }
+        });
+    }
+
+    /**
+     * Show the dialog
+     * @param {Array} snapshots - Snapshots, newest first
+     * @returns {Promise<Object|null>} The snapshot to restore, or null to keep the current board
+     */
+    show(snapshots) {
+        if (!this.modal) {
+            // Without the dialog, offer the newest snapshot
+            const confirmed = confirm('An auto-saved version of this board was found. Would you like to restore it?');
+            return Promise.resolve(confirmed ? snapshots[0] : null);
+        }
+
+        // Settle a dialog that is already open
+        this.close(null);
+
+        this.snapshots = snapshots;
+        this.render();
+        this.select(snapshots.length > 0 ? snapshots[0].id : null);
+        this.modal.classList.add('show');
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Hide the dialog and report the choice
+     * @param {Object|null} snapshot - Chosen snapshot
+     */
+    close(snapshot) {
+        if (this.modal) {
+            this.modal.classList.remove('show');
+        }
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(snapshot);
+        }
+    }
+
+    /**
+     * Select a snapshot in the list
+     * @param {string|null} id - Snapshot ID
+     */
+    select(id) {
+        this.selectedId = id;
+        this.list.querySelectorAll('.snapshot-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.id === id);
+        });
+        document.getElementById('recovery-restore').disabled = !id;
+    }
+
+    /**
+     * Rebuild the snapshot list
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        this.snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            item.className = 'document-item snapshot-item';
+            item.dataset.id = snapshot.id;
+
+            if (snapshot.thumbnail) {
+                const img = document.createElement('img');
+                img.className = 'document-thumbnail';
+                img.src = snapshot.thumbnail;
+                img.alt = '';
+                item.appendChild(img);
+            } else {
+                const placeholder = document.createElement('div');
+                placeholder.className = 'document-thumbnail';
+                item.appendChild(placeholder);
+            }
+
+            const info = document.createElement('div');
+            info.className = 'document-info';
+
+            const time = document.createElement('span');
+            time.className = 'document-name';
+            time.textContent = new Date(snapshot.timestamp).toLocaleString();
+            info.appendChild(time);
+
+            const details = document.createElement('span');
+            details.className = 'document-modified';
+            details.textContent = `${snapshot.elementCount} ${snapshot.elementCount === 1 ? 'element' : 'elements'}`;
+            info.appendChild(details);
+
+            item.appendChild(info);
+            this.list.appendChild(item);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecoveryDialog;
+}
@@ -0,0 +1,1844 @@
+/**
+ * Scene graph (document model) for the Online Whiteboard Tool
+ *
+ * Every stroke, shape, text and image on the board is stored as a plain
+ * element object with an id, geometry and style. The canvas is only ever a
+ * rendering of this model, so elements stay editable after they are drawn.
+ *
+ * Elements belong to layers (element.layerId). Layers are stacked bottom to
+ * top, and each is rendered on its own before being composited with its
+ * opacity and blend mode, so erasers only cut through their own layer.
+ */
+
+class Scene {
+    constructor() {
+        this.elements = [];
+        this.layers = Scene.createDefaultLayers();
+        this.activeLayerId = this.layers[0].id;
+        this.imageCache = new Map();
+        this.onInvalidate = null;
+        this.onLayersChange = null;
+
+        // Offscreen canvas that layers are rendered into before compositing
+        this.layerCanvas = null;
+
+        // Wrapped text of text elements and sticky notes, keyed by content, size and font
+        this.textLayouts = new Map();
+        this.noteLayouts = new Map();
+        this.measureCtx = null;
+    }
+
+    /**
+     * Create a layer
+     * @param {string} name - Layer name
+     * @param {string} id - Layer ID
+     * @returns {Object} Layer
+     */
+    static createLayer(name, id = Utils.generateId()) {
+        return { id, name, visible: true, locked: false, opacity: 1, blendMode: 'normal' };
+    }
+
+    /**
+     * Get the layers of a new board (the ID is fixed so every copy of a board agrees on it)
+     * @returns {Array} Layers
+     */
+    static createDefaultLayers() {
+        return [Scene.createLayer('Layer 1', 'layer-1')];
+    }
+
+    /**
+     * Add an element to the top of the scene
+     * @param {Object} element - Element to add (placed on the active layer unless it has one)
+     * @returns {Object} The added element
+     */
+    add(element) {
+        if (!element.id) {
+            element.id = Utils.generateId();
+        }
+        if (!element.layerId) {
+            element.layerId = this.getActiveLayer().id;
+        }
+        this.elements.push(element);
+        return element;
+    }
+
+    /**
+     * Remove an element from the scene
+     * @param {string} id - Element ID
+     * @returns {Object|null} Removed element or null if not found
+     */
+    remove(id) {
+        const index = this.indexOf(id);
+        if (index === -1) return null;
+        return this.elements.splice(index, 1)[0];
+    }
+
+    /**
+     * Get an element by ID
+     * @param {string} id - Element ID
+     * @returns {Object|null} Element or null if not found
+     */
+    get(id) {
+        return this.elements.find(element => element.id === id) || null;
+    }
+
+    /**
+     * Get the stacking index of an element
+     * @param {string} id - Element ID
+     * @returns {number} Index or -1 if not found
+     */
+    indexOf(id) {
+        return this.elements.findIndex(element => element.id === id);
+    }
+
+    /**
+     * Update properties of an element
+     * @param {string} id - Element ID
+     * @param {Object} changes - Properties to assign
+     * @returns {Object|null} Updated element or null if not found
+     */
+    update(id, changes) {
+        const element = this.get(id);
+        if (!element) return null;
+        Object.assign(element, changes);
+        return element;
+    }
+
+    /**
+     * Remove all elements and go back to a single layer
+     */
+    clear() {
+        this.elements = [];
+        this.setLayers(null);
+    }
+
+    /**
+     * Check whether the scene has any elements
+     * @returns {boolean} True if the scene is empty
+     */
+    isEmpty() {
+        return this.elements.length === 0;
+    }
+
+    /**
+     * Serialize the scene
+     * @returns {Array} Cloned element list
+     */
+    toJSON() {
+        return Utils.deepClone(this.elements);
+    }
+
+    /**
+     * Replace the scene with a serialized element list
+     * @param {Array} elements - Element list from toJSON()
+     */
+    load(elements) {
+        this.elements = Utils.deepClone(elements || []);
+    }
+
+    /**
+     * Serialize elements and layers
+     * @returns {Object} State {elements, layers}
+     */
+    getState() {
+        return { elements: this.toJSON(), layers: Utils.deepClone(this.layers) };
+    }
+
+    /**
+     * Replace elements and layers
+     * @param {Object} state - State from getState() (boards saved before layers get one layer)
+     */
+    loadState(state) {
+        this.load(state.elements);
+        this.setLayers(state.layers);
+    }
+
+    /**
+     * Replace the layers
+     * @param {Array|null} layers - Layers, bottom first (a single default layer if empty)
+     */
+    setLayers(layers) {
+        this.layers = layers && layers.length > 0
+            ? Utils.deepClone(layers)
+            : Scene.createDefaultLayers();
+        this.handleLayersChange();
+    }
+
+    /**
+     * Get a layer by ID
+     * @param {string} id - Layer ID
+     * @returns {Object|null} Layer or null if not found
+     */
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    /**
+     * Get the layer an element is on (elements without a known layer are on the bottom one)
+     * @param {Object} element - Element
+     * @returns {Object} Layer
+     */
+    getLayerOf(element) {
+        return this.getLayer(element.layerId) || this.layers[0];
+    }
+
+    /**
+     * Get the layer new elements are added to
+     * @returns {Object} Layer
+     */
+    getActiveLayer() {
+        return this.getLayer(this.activeLayerId) || this.layers[this.layers.length - 1];
+    }
+
+    /**
+     * Set the layer new elements are added to
+     * @param {string} id - Layer ID
+     */
+    setActiveLayer(id) {
+        if (!this.getLayer(id)) return;
+
+        this.activeLayerId = id;
+        if (this.onLayersChange) {
+            this.onLayersChange();
+        }
+    }
+
+    /**
+     * Get the elements of a layer, bottom first
+     * @param {string} id - Layer ID
+     * @returns {Array} Elements
+     */
+    getLayerElements(id) {
+        const layer = this.getLayer(id);
+        return layer ? this.elements.filter(element => this.getLayerOf(element) === layer) : [];
+    }
+
+    /**
+     * Get the elements on visible layers
+     * @returns {Array} Elements
+     */
+    getVisibleElements() {
+        return this.elements.filter(element => this.getLayerOf(element).visible);
+    }
+
+    /**
+     * Check whether an element can be selected and edited (its layer is visible and unlocked)
+     * @param {Object} element - Element
+     * @returns {boolean} True if editable
+     */
+    isEditable(element) {
+        const layer = this.getLayerOf(element);
+        return layer.visible && !layer.locked;
+    }
+
+    /**
+     * Notify listeners after layers changed
+     * (a removed active layer stays active again if it comes back, e.g. when moved)
+     */
+    handleLayersChange() {
+        if (this.onLayersChange) {
+            this.onLayersChange();
+        }
+    }
+
+    /**
+     * Get the list a command works on
+     * @param {string} target - 'layers', or undefined for elements
+     * @returns {Array} Elements or layers
+     */
+    getItems(target) {
+        return target === 'layers' ? this.layers : this.elements;
+    }
+
+    /**
+     * Apply a history command to the scene
+     *
+     * Commands are plain objects:
+     *   add     - { type, entries: [{ element, index }] }
+     *   remove  - { type, entries: [{ element, index }] }
+     *   update  - { type, changes: [{ id, before, after }] }
+     *   replace - { type, before: [elements], after: [elements] }
+     *   batch   - { type, commands: [commands] }
+     *
+     * add, remove, update and replace work on layers instead of elements when
+     * the command has `target: 'layers'` (entries then hold layers).
+     *
+     * @param {Object} command - Command to apply
+     */
+    apply(command) {
+        const items = this.getItems(command.target);
+        const indexOf = (id) => items.findIndex(item => item.id === id);
+
+        switch (command.type) {
+            case 'add':
+                // Insert in ascending order so every item lands at its recorded index
+                // (items that are already present, e.g. re-added by a peer, are skipped)
+                command.entries
+                    .slice()
+                    .sort((a, b) => a.index - b.index)
+                    .filter(entry => indexOf(entry.element.id) === -1)
+                    .forEach(entry => {
+                        const index = Utils.clamp(entry.index, 0, items.length);
+                        items.splice(index, 0, Utils.deepClone(entry.element));
+                    });
+                break;
+            case 'remove':
+                command.entries.forEach(entry => {
+                    const index = indexOf(entry.element.id);
+                    if (index !== -1) {
+                        items.splice(index, 1);
+                    }
+                });
+                break;
+            case 'update':
+                command.changes.forEach(change => {
+                    const index = indexOf(change.id);
+                    if (index !== -1) {
+                        items[index] = Utils.deepClone(change.after);
+                    }
+                });
+                break;
+            case 'replace':
+                if (command.target === 'layers') {
+                    this.setLayers(command.after);
+                    return;
+                }
+                this.load(command.after);
+                break;
+            case 'batch':
+                command.commands.forEach(child => this.apply(child));
+                break;
+        }
+
+        if (command.target === 'layers') {
+            // A board always keeps at least one layer
+            if (this.layers.length === 0) {
+                this.layers.push(...Scene.createDefaultLayers());
+            }
+            this.handleLayersChange();
+        }
+    }
+
+    /**
+     * Apply a command that may have been made against another version of the
+     * scene (e.g. by a peer) and get the command that reverts what it changed
+     *
+     * Entries for elements that are missing (or, for adds, already present) are
+     * dropped, and `before` states are taken from the scene as it is now.
+     *
+     * @param {Object} command - Command to apply
+     * @returns {Object} Inverse of the applied part of the command
+     */
+    merge(command) {
+        const items = this.getItems(command.target);
+        const indexOf = (id) => items.findIndex(item => item.id === id);
+        const target = command.target ? { target: command.target } : {};
+        let applied;
+
+        switch (command.type) {
+            case 'add':
+                applied = {
+                    type: 'add',
+                    ...target,
+                    entries: command.entries.filter(entry => indexOf(entry.element.id) === -1)
+                };
+                break;
+            case 'remove':
+                applied = {
+                    type: 'remove',
+                    ...target,
+                    entries: command.entries
+                        .filter(entry => indexOf(entry.element.id) !== -1)
+                        .map(entry => ({
+                            element: Utils.deepClone(items[indexOf(entry.element.id)]),
+                            index: indexOf(entry.element.id)
+                        }))
+                };
+                break;
+            case 'update':
+                applied = {
+                    type: 'update',
+                    ...target,
+                    changes: command.changes
+                        .filter(change => indexOf(change.id) !== -1)
+                        .map(change => ({
+                            id: change.id,
+                            before: Utils.deepClone(items[indexOf(change.id)]),
+                            after: change.after
+                        }))
+                };
+                break;
+            case 'replace':
+                applied = { type: 'replace', ...target, before: Utils.deepClone(items), after: command.after };
+                break;
+            case 'batch':
+                // Children depend on each other, so each is merged after the previous one
+                return {
+                    type: 'batch',
+                    commands: command.commands.map(child => this.merge(child)).reverse()
+                };
+            default:
+                return { type: 'batch', commands: [] };
+        }
+
+        this.apply(applied);
+        return Scene.invertCommand(applied);
+    }
+
+    /**
+     * Build the command that reverts another command
+     * @param {Object} command - Command to invert
+     * @returns {Object} Inverse command
+     */
+    static invertCommand(command) {
+        const target = command.target ? { target: command.target } : {};
+
+        switch (command.type) {
+            case 'add':
+                return { type: 'remove', ...target, entries: command.entries };
+            case 'remove':
+                return { type: 'add', ...target, entries: command.entries };
+            case 'update':
+                return {
+                    type: 'update',
+                    ...target,
+                    changes: command.changes.map(change => ({
+                        id: change.id,
+                        before: change.after,
+                        after: change.before
+                    }))
+                };
+            case 'replace':
+                return { type: 'replace', ...target, before: command.after, after: command.before };
+            case 'batch':
+                return {
+                    type: 'batch',
+                    commands: command.commands.map(child => Scene.invertCommand(child)).reverse()
+                };
+            default:
+                return command;
+        }
+    }
+
+    /**
+     * Check that a command (e.g. from a peer) has the shape apply() expects
+     * @param {Object} command - Command to check
+     * @returns {boolean} True if the command can be applied
+     */
+    static isValidCommand(command) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isItem = item => isObject(item) && typeof item.id === 'string';
+        const isItemList = list => Array.isArray(list) && list.every(isItem);
+
+        if (!isObject(command) || (command.target !== undefined && command.target !== 'layers')) {
+            return false;
+        }
+
+        switch (command.type) {
+            case 'add':
+            case 'remove':
+                return Array.isArray(command.entries) && command.entries.every(entry =>
+                    isObject(entry) && isItem(entry.element) && typeof entry.index === 'number'
+                );
+            case 'update':
+                return Array.isArray(command.changes) && command.changes.every(change =>
+                    isObject(change) && typeof change.id === 'string' && isItem(change.before) && isItem(change.after)
+                );
+            case 'replace':
+                return isItemList(command.before) && isItemList(command.after);
+            case 'batch':
+                return Array.isArray(command.commands) && command.commands.every(child => Scene.isValidCommand(child));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Find the topmost element under a point (hidden and locked layers are skipped)
+     * @param {Object} point - Point {x, y}
+     * @param {number} tolerance - Extra hit distance
+     * @returns {Object|null} Element or null if nothing was hit
+     */
+    hitTest(point, tolerance = 0) {
+        const groups = this.groupByLayer(this.elements);
+
+        for (let l = this.layers.length - 1; l >= 0; l--) {
+            const layer = this.layers[l];
+            const elements = groups.get(layer) || [];
+            if (!layer.visible || layer.locked) continue;
+
+            for (let i = elements.length - 1; i >= 0; i--) {
+                const element = elements[i];
+                if (!element.erase && Scene.containsPoint(element, point, tolerance)) {
+                    return element;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find all elements that lie fully inside a rectangle (hidden and locked layers are skipped)
+     * @param {Object} rect - Rectangle {x, y, width, height}
+     * @returns {Array} Matching elements
+     */
+    findInRect(rect) {
+        return this.elements.filter(element =>
+            !element.erase && this.isEditable(element) && Utils.rectContains(rect, Scene.getBounds(element))
+        );
+    }
+
+    /**
+     * Find the connector anchor nearest to a point on the topmost connectable shape under it
+     * (shapes on hidden layers are skipped; locked ones can still be connected to)
+     * @param {Object} point - Point {x, y}
+     * @param {number} tolerance - Extra hit distance
+     * @returns {Object|null} Anchor {elementId, anchor, x, y, direction} or null
+     */
+    findAnchor(point, tolerance = 0) {
+        const groups = this.groupByLayer(this.elements);
+
+        for (let l = this.layers.length - 1; l >= 0; l--) {
+            const layer = this.layers[l];
+            const elements = groups.get(layer) || [];
+            if (!layer.visible) continue;
+
+            for (let i = elements.length - 1; i >= 0; i--) {
+                const element = elements[i];
+                if (!Scene.isConnectable(element) || !Scene.containsPoint(element, point, tolerance)) continue;
+
+                const anchors = Scene.getAnchors(element);
+                const distance = name => Utils.distance(point.x, point.y, anchors[name].x, anchors[name].y);
+                const nearest = Object.keys(anchors).reduce((best, name) => distance(name) < distance(best) ? name : best);
+                return { elementId: element.id, anchor: nearest, ...anchors[nearest] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move attached connector ends onto their shapes' anchors
+     *
+     * Called when a change is recorded, so the connectors' new ends go into the
+     * same history entry (and to collaborators) as the shapes that moved.
+     * @returns {Object|null} Update command for the connectors that moved, or null if none did
+     */
+    syncConnectors() {
+        const elements = new Map(this.elements.map(element => [element.id, element]));
+        const changes = [];
+
+        this.elements.forEach(element => {
+            if (element.type !== 'connector') return;
+
+            const attached = this.getAttachedConnector(element, elements);
+            if (attached !== element) {
+                changes.push({ id: element.id, before: Utils.deepClone(element), after: Utils.deepClone(attached) });
+                Object.assign(element, attached);
+            }
+        });
+
+        return changes.length > 0 ? { type: 'update', changes } : null;
+    }
+
+    /**
+     * Get a connector with its ends on the anchors of the shapes they are attached to
+     * (an end whose shape is gone stays where it was, so undoing the delete reconnects it)
+     * @param {Object} connector - Connector element
+     * @param {Map} elements - Elements by ID
+     * @returns {Object} The connector itself if no end moves, otherwise a moved copy
+     */
+    getAttachedConnector(connector, elements) {
+        let attached = connector;
+
+        ['start', 'end'].forEach((key, i) => {
+            const attachment = connector[key];
+            const target = attachment && elements.get(attachment.elementId);
+            const anchor = target && Scene.getAnchors(target)[attachment.anchor];
+            const point = connector.points[i];
+            if (!anchor || (anchor.x === point.x && anchor.y === point.y && anchor.direction === attachment.direction)) return;
+
+            if (attached === connector) {
+                attached = Utils.deepClone(connector);
+            }
+            attached.points[i] = { x: anchor.x, y: anchor.y };
+            attached[key] = { ...attachment, direction: anchor.direction };
+        });
+
+        return attached;
+    }
+
+    /**
+     * Get the bounds of everything drawn on visible layers
+     * @returns {Object|null} Bounds {x, y, width, height} or null if nothing is drawn
+     */
+    getContentBounds() {
+        return Scene.getUnionBounds(this.getVisibleElements().filter(element => !element.erase));
+    }
+
+    /**
+     * Group elements by layer, keeping their order
+     * @param {Array} elements - Elements
+     * @returns {Map} Layer -> elements
+     */
+    groupByLayer(elements) {
+        const groups = new Map();
+        for (const element of elements) {
+            const layer = this.getLayerOf(element);
+            if (!groups.has(layer)) {
+                groups.set(layer, []);
+            }
+            groups.get(layer).push(element);
+        }
+        return groups;
+    }
+
+    /**
+     * Render the visible layers
+     * @param {CanvasRenderingContext2D} ctx - Target context (transform already applied)
+     * @param {Object} options - Render options
+     * @param {Array} options.elements - Elements to render (defaults to the whole scene)
+     * @param {Object|null} options.draft - Element being drawn, rendered on top of its layer
+     * @param {string|null} options.skipId - Element to leave out (e.g. text open in the editor)
+     */
+    render(ctx, options = {}) {
+        const byId = new Map(this.elements.map(element => [element.id, element]));
+
+        // Connectors follow shapes being dragged; the model catches up when the move is recorded
+        const elements = (options.elements || this.elements)
+            .filter(element => !options.skipId || element.id !== options.skipId)
+            .map(element => element.type === 'connector' ? this.getAttachedConnector(element, byId) : element);
+        const groups = this.groupByLayer(elements);
+
+        if (options.draft) {
+            const layer = this.getLayer(options.draft.layerId) || this.getActiveLayer();
+            groups.set(layer, (groups.get(layer) || []).concat([options.draft]));
+        }
+
+        for (const layer of this.layers) {
+            const elements = groups.get(layer);
+            if (layer.visible && elements) {
+                this.renderLayer(ctx, layer, elements);
+            }
+        }
+    }
+
+    /**
+     * Render one layer's elements and composite them with the layer's opacity and blend mode
+     * @param {CanvasRenderingContext2D} ctx - Target context (transform already applied)
+     * @param {Object} layer - Layer
+     * @param {Array} elements - Elements on the layer
+     */
+    renderLayer(ctx, layer, elements) {
+        const isolated = layer.opacity < 1 ||
+            Scene.getCompositeOperation(layer.blendMode) !== 'source-over' ||
+            elements.some(element => element.erase);
+
+        if (!isolated) {
+            for (const element of elements) {
+                this.renderElement(ctx, element);
+            }
+            return;
+        }
+
+        // Render into an offscreen canvas first so erasers only cut through this layer
+        // and the layer is blended as a whole
+        if (!this.layerCanvas) {
+            this.layerCanvas = document.createElement('canvas');
+        }
+        const canvas = this.layerCanvas;
+        if (canvas.width !== ctx.canvas.width || canvas.height !== ctx.canvas.height) {
+            canvas.width = ctx.canvas.width;
+            canvas.height = ctx.canvas.height;
+        }
+
+        const layerCtx = canvas.getContext('2d');
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.globalAlpha = 1;
+        layerCtx.globalCompositeOperation = 'source-over';
+        layerCtx.clearRect(0, 0, canvas.width, canvas.height);
+        layerCtx.setTransform(ctx.getTransform());
+
+        for (const element of elements) {
+            this.renderElement(layerCtx, element);
+        }
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = layer.opacity;
+        ctx.globalCompositeOperation = Scene.getCompositeOperation(layer.blendMode);
+        ctx.drawImage(canvas, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Render a single element
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} element - Element to render
+     */
+    renderElement(ctx, element) {
+        ctx.save();
+        Scene.applyStyle(ctx, element.style || {});
+
+        // Eraser elements cut through everything rendered below them
+        if (element.erase) {
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.globalAlpha = 1;
+            ctx.setLineDash([]);
+        }
+
+        // Box elements rotate around their center
+        if (element.rotation && !element.points) {
+            const center = Scene.getCenter(element);
+            ctx.translate(center.x, center.y);
+            ctx.rotate(element.rotation);
+            ctx.translate(-center.x, -center.y);
+        }
+
+        switch (element.type) {
+            case 'stroke':
+                this.renderStroke(ctx, element);
+                break;
+            case 'rectangle':
+                ctx.beginPath();
+                ctx.rect(element.x, element.y, element.width, element.height);
+                this.fillAndStroke(ctx, element);
+                break;
+            case 'ellipse':
+                ctx.beginPath();
+                ctx.ellipse(
+                    element.x + element.width / 2,
+                    element.y + element.height / 2,
+                    Math.abs(element.width / 2),
+                    Math.abs(element.height / 2),
+                    0, 0, 2 * Math.PI
+                );
+                this.fillAndStroke(ctx, element);
+                break;
+            case 'triangle':
+                this.renderTriangle(ctx, element);
+                break;
+            case 'line':
+                this.renderLine(ctx, element);
+                break;
+            case 'arrow':
+                this.renderLine(ctx, element);
+                this.renderArrowHead(ctx, element);
+                break;
+            case 'connector':
+                this.renderConnector(ctx, element);
+                break;
+            case 'text':
+                this.renderText(ctx, element);
+                break;
+            case 'note':
+                this.renderNote(ctx, element);
+                break;
+            case 'image':
+                this.renderImage(ctx, element);
+                break;
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Fill (if enabled) and stroke the current path
+     */
+    fillAndStroke(ctx, element) {
+        if (element.style && element.style.fillStyle === 'solid') {
+            ctx.fill();
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Render a freehand stroke as a smoothed curve through its points
+     * (or as straight segments for polylines with `smooth: false`, or as a
+     * filled outline for ink strokes)
+     */
+    renderStroke(ctx, element) {
+        const points = element.points;
+        if (!points || points.length === 0) return;
+
+        if (element.ink) {
+            this.renderInk(ctx, element);
+            return;
+        }
+
+        if (element.smooth === false && points.length > 1) {
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+            if (element.closed) {
+                ctx.closePath();
+            }
+            this.fillAndStroke(ctx, element);
+            return;
+        }
+
+        if (points.length === 1) {
+            ctx.beginPath();
+            ctx.arc(points[0].x, points[0].y, ctx.lineWidth / 2, 0, 2 * Math.PI);
+            ctx.fill();
+            return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+
+        // Curve through the midpoints so the stroke has no visible corners
+        for (let i = 1; i < points.length - 1; i++) {
+            const midX = (points[i].x + points[i + 1].x) / 2;
+            const midY = (points[i].y + points[i + 1].y) / 2;
+            ctx.quadraticCurveTo(points[i].x, points[i].y, midX, midY);
+        }
+
+        const last = points[points.length - 1];
+        ctx.lineTo(last.x, last.y);
+        ctx.stroke();
+    }
+
+    /**
+     * Render an ink stroke: its outline filled as a closed curve through the midpoints
+     */
+    renderInk(ctx, element) {
+        const outline = Scene.getInkOutline(element);
+        const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const start = mid(outline[outline.length - 1], outline[0]);
+
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        outline.forEach((point, i) => {
+            const end = mid(point, outline[(i + 1) % outline.length]);
+            ctx.quadraticCurveTo(point.x, point.y, end.x, end.y);
+        });
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Render a triangle inscribed in the element box
+     */
+    renderTriangle(ctx, element) {
+        const apexY = element.inverted ? element.y + element.height : element.y;
+        const baseY = element.inverted ? element.y : element.y + element.height;
+
+        ctx.beginPath();
+        ctx.moveTo(element.x + element.width / 2, apexY);
+        ctx.lineTo(element.x, baseY);
+        ctx.lineTo(element.x + element.width, baseY);
+        ctx.closePath();
+        this.fillAndStroke(ctx, element);
+    }
+
+    /**
+     * Render a straight line between the element's two points
+     */
+    renderLine(ctx, element) {
+        const [from, to] = element.points;
+
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+    }
+
+    /**
+     * Render a connector along its route, with its arrowhead and label
+     */
+    renderConnector(ctx, element) {
+        const route = Scene.getConnectorRoute(element);
+        const [from] = route.points;
+
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        if (route.controls) {
+            const [c1, c2] = route.controls;
+            const to = route.points[1];
+            ctx.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, to.x, to.y);
+        } else {
+            route.points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        }
+        ctx.stroke();
+
+        if (element.arrowhead) {
+            this.renderArrowHead(ctx, { points: Scene.getConnectorTip(element) });
+        }
+
+        if (element.label) {
+            const point = Scene.getConnectorLabelPoint(element);
+            ctx.font = `${element.fontSize}px ${element.fontFamily}`;
+            const width = ctx.measureText(element.label).width + 8;
+            const height = element.fontSize + 6;
+
+            // The label sits on a plain background that interrupts the line
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(point.x - width / 2, point.y - height / 2, width, height);
+
+            ctx.fillStyle = (element.style && element.style.color) || '#000000';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(element.label, point.x, point.y);
+        }
+    }
+
+    /**
+     * Render the head of an arrow element
+     */
+    renderArrowHead(ctx, element) {
+        const [from, to] = element.points;
+        const headLength = 15;
+        const angle = Utils.angle(from.x, from.y, to.x, to.y);
+
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(to.x, to.y);
+        ctx.lineTo(
+            to.x - headLength * Math.cos(angle - Math.PI / 6),
+            to.y - headLength * Math.sin(angle - Math.PI / 6)
+        );
+        ctx.moveTo(to.x, to.y);
+        ctx.lineTo(
+            to.x - headLength * Math.cos(angle + Math.PI / 6),
+            to.y - headLength * Math.sin(angle + Math.PI / 6)
+        );
+        ctx.stroke();
+    }
+
+    /**
+     * Render a text element line by line, each run in its own font
+     */
+    renderText(ctx, element) {
+        const layout = this.getTextLayout(element);
+        const underline = Math.max(1, element.fontSize / 15);
+
+        ctx.textBaseline = 'top';
+        layout.lines.forEach(line => line.items.forEach(item => {
+            const x = element.x + line.x + item.x;
+            const y = element.y + line.y;
+
+            ctx.font = Scene.getFont(element.fontSize, element.fontFamily, item);
+            ctx.fillText(item.text, x, y);
+            if (item.underline) {
+                ctx.fillRect(x, y + element.fontSize * 0.9, item.width, underline);
+            }
+        }));
+    }
+
+    /**
+     * Get the layout of a text element
+     * @param {Object} element - Text element
+     * @returns {Object} Layout {width, height, lineHeight, lines: [{x, y, width, items: [{text,
+     *   bold, italic, underline, x, width}]}]} (positions relative to the element's top left)
+     */
+    getTextLayout(element) {
+        const key = JSON.stringify([
+            element.text, element.runs, element.fontFamily, element.fontSize,
+            element.lineHeight, element.align, element.wrapWidth
+        ]);
+
+        let layout = this.textLayouts.get(key);
+        if (!layout) {
+            if (!this.measureCtx) {
+                this.measureCtx = document.createElement('canvas').getContext('2d');
+            }
+            layout = Scene.layoutText(this.measureCtx, element);
+
+            if (this.textLayouts.size >= 500) {
+                this.textLayouts.clear();
+            }
+            this.textLayouts.set(key, layout);
+        }
+        return layout;
+    }
+
+    /**
+     * Break a text element into lines
+     *
+     * Lines end at newlines and, when the element has a wrapWidth, wherever the
+     * next word would not fit (words longer than a line break between characters).
+     * @param {CanvasRenderingContext2D} ctx - Context used for measuring
+     * @param {Object} element - Text element
+     * @returns {Object} Layout (see getTextLayout)
+     */
+    static layoutText(ctx, element) {
+        const fontSize = element.fontSize;
+        const wrapWidth = element.wrapWidth || 0;
+        const measure = (text, format) => {
+            ctx.font = Scene.getFont(fontSize, element.fontFamily, format);
+            return ctx.measureText(text).width;
+        };
+
+        const lines = [];
+        let items = [];
+        let wrapped = false;
+        const lineWidth = () => items.reduce((sum, item) => sum + item.width, 0);
+
+        const append = (text, format) => {
+            const last = items[items.length - 1];
+            if (last && last.bold === format.bold && last.italic === format.italic && last.underline === format.underline) {
+                last.text += text;
+                last.width = measure(last.text, last);
+            } else {
+                items.push({ ...format, text, width: measure(text, format) });
+            }
+        };
+
+        // Trailing spaces neither count towards alignment nor get underlined
+        const breakLine = (soft) => {
+            while (items.length > 0 && /\s$/.test(items[items.length - 1].text)) {
+                const last = items[items.length - 1];
+                last.text = last.text.replace(/\s+$/, '');
+                last.width = measure(last.text, last);
+                if (!last.text) items.pop();
+            }
+            lines.push(items);
+            items = [];
+            wrapped = soft;
+        };
+
+        Scene.getTextRuns(element).forEach(run => {
+            const format = { bold: !!run.bold, italic: !!run.italic, underline: !!run.underline };
+
+            run.text.split('\n').forEach((paragraph, i) => {
+                if (i > 0) {
+                    breakLine(false);
+                }
+
+                paragraph.split(/(\s+)/).filter(token => token).forEach(token => {
+                    if (/^\s/.test(token)) {
+                        // Wrapped lines do not start with the space they were broken at
+                        if (items.length > 0 || !wrapped) {
+                            append(token, format);
+                        }
+                        return;
+                    }
+
+                    if (wrapWidth && items.length > 0 && lineWidth() + measure(token, format) > wrapWidth) {
+                        breakLine(true);
+                    }
+
+                    let part = '';
+                    for (const char of token) {
+                        if (wrapWidth && part && lineWidth() + measure(part + char, format) > wrapWidth) {
+                            append(part, format);
+                            breakLine(true);
+                            part = char;
+                        } else {
+                            part += char;
+                        }
+                    }
+                    append(part, format);
+                });
+            });
+        });
+        breakLine(false);
+
+        const lineHeight = fontSize * (element.lineHeight || 1.2);
+        const widths = lines.map(line => line.reduce((sum, item) => sum + item.width, 0));
+        const width = wrapWidth || Math.max(...widths);
+
+        return {
+            width,
+            height: (lines.length - 1) * lineHeight + fontSize,
+            lineHeight,
+            lines: lines.map((line, i) => {
+                let x = 0;
+                const positioned = line.map(item => {
+                    const placed = { ...item, x };
+                    x += item.width;
+                    return placed;
+                });
+
+                const offsets = { center: (width - widths[i]) / 2, right: width - widths[i] };
+                return { x: offsets[element.align] || 0, y: i * lineHeight, width: widths[i], items: positioned };
+            })
+        };
+    }
+
+    /**
+     * Get the styled runs of a text element (plain text is a single unstyled run)
+     * @param {Object} element - Text element
+     * @returns {Array} Runs [{text, bold, italic, underline}]
+     */
+    static getTextRuns(element) {
+        return element.runs && element.runs.length > 0 ? element.runs : [{ text: element.text || '' }];
+    }
+
+    /**
+     * Build a CSS font for canvas text
+     * @param {number} fontSize - Font size
+     * @param {string} fontFamily - Font family
+     * @param {Object} format - Run format {bold, italic}
+     * @returns {string} Font
+     */
+    static getFont(fontSize, fontFamily, format = {}) {
+        return `${format.italic ? 'italic ' : ''}${format.bold ? 'bold ' : ''}${fontSize}px ${fontFamily}`;
+    }
+
+    /**
+     * Render a sticky note: a colored square with its text wrapped and centered
+     */
+    renderNote(ctx, element) {
+        const box = Scene.getBounds({ ...element, rotation: 0 });
+        const layout = this.getNoteLayout(element);
+
+        ctx.fillStyle = element.noteColor;
+        ctx.fillRect(box.x, box.y, box.width, box.height);
+
+        ctx.fillStyle = (element.style && element.style.color) || '#000000';
+        ctx.font = `${layout.fontSize}px ${element.fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        layout.lines.forEach(line => ctx.fillText(line.text, line.x, line.y));
+    }
+
+    /**
+     * Get the text layout of a sticky note
+     *
+     * The text is wrapped to the note's width and its font shrunk from
+     * element.fontSize until every line fits inside the note.
+     * @param {Object} element - Note element
+     * @returns {Object} Layout {fontSize, lineHeight, padding, lines: [{text, x, y}]} (line
+     *   positions are the centers of the lines, in world coordinates)
+     */
+    getNoteLayout(element) {
+        const box = Scene.getBounds({ ...element, rotation: 0 });
+        const key = [element.text, box.width, box.height, element.fontFamily, element.fontSize].join('|');
+
+        let layout = this.noteLayouts.get(key);
+        if (!layout) {
+            if (!this.measureCtx) {
+                this.measureCtx = document.createElement('canvas').getContext('2d');
+            }
+            layout = Scene.layoutNote(this.measureCtx, element, box);
+
+            // Old layouts pile up while a note is typed into or resized
+            if (this.noteLayouts.size >= 500) {
+                this.noteLayouts.clear();
+            }
+            this.noteLayouts.set(key, layout);
+        }
+
+        const centerX = box.x + box.width / 2;
+        const centerY = box.y + box.height / 2;
+        return {
+            ...layout,
+            lines: layout.lines.map(line => ({ text: line.text, x: centerX, y: centerY + line.offset }))
+        };
+    }
+
+    /**
+     * Wrap a note's text and find the largest font size (up to its own) that fits
+     * @param {CanvasRenderingContext2D} ctx - Context used for measuring
+     * @param {Object} element - Note element
+     * @param {Object} box - Unrotated note box
+     * @returns {Object} Layout with line offsets from the note's center
+     */
+    static layoutNote(ctx, element, box) {
+        const padding = Scene.getNotePadding(box);
+        const maxWidth = Math.max(box.width - padding * 2, 1);
+        const maxHeight = Math.max(box.height - padding * 2, 1);
+        const minFontSize = Math.min(6, element.fontSize);
+
+        let fontSize = element.fontSize;
+        let lines;
+        for (;;) {
+            ctx.font = `${fontSize}px ${element.fontFamily}`;
+            lines = Scene.wrapText(ctx, element.text || '', maxWidth);
+            if (lines.length * fontSize * 1.2 <= maxHeight || fontSize <= minFontSize) break;
+            fontSize = Math.max(minFontSize, fontSize * 0.9);
+        }
+
+        const lineHeight = fontSize * 1.2;
+        const top = -lines.length * lineHeight / 2;
+        return {
+            fontSize,
+            lineHeight,
+            padding,
+            lines: lines.map((text, i) => ({ text, offset: top + lineHeight * (i + 0.5) }))
+        };
+    }
+
+    /**
+     * Get the space kept between a note's edge and its text
+     * @param {Object} box - Note box
+     * @returns {number} Padding
+     */
+    static getNotePadding(box) {
+        return Math.min(box.width, box.height) * 0.08;
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth
+     *
+     * Lines break between words; words too long for a line break between characters.
+     * @param {CanvasRenderingContext2D} ctx - Context with the font set
+     * @param {string} text - Text (may contain newlines)
+     * @param {number} maxWidth - Maximum line width
+     * @returns {Array} Lines
+     */
+    static wrapText(ctx, text, maxWidth) {
+        const lines = [];
+
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(word => word).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (ctx.measureText(candidate).width <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+
+                if (line) {
+                    lines.push(line);
+                }
+                line = '';
+                for (const char of word) {
+                    if (line && ctx.measureText(line + char).width > maxWidth) {
+                        lines.push(line);
+                        line = char;
+                    } else {
+                        line += char;
+                    }
+                }
+            });
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Render an image element, loading its source on first use
+     */
+    renderImage(ctx, element) {
+        const img = this.getImage(element.src);
+        if (img.complete && img.naturalWidth > 0) {
+            ctx.drawImage(img, element.x, element.y, element.width, element.height);
+        }
+    }
+
+    /**
+     * Get a cached image for a source URL
+     * @param {string} src - Image source (usually a data URL)
+     * @returns {HTMLImageElement} Image element
+     */
+    getImage(src) {
+        let img = this.imageCache.get(src);
+        if (!img) {
+            img = new Image();
+            img.onload = () => {
+                if (this.onInvalidate) {
+                    this.onInvalidate();
+                }
+            };
+            img.src = src;
+            this.imageCache.set(src, img);
+        }
+        return img;
+    }
+
+    /**
+     * Copy a value, moving image data URLs into a shared asset table so each
+     * image is stored once no matter how many elements or history entries use it
+     * @param {any} value - Value to pack (elements, history, ...)
+     * @param {Object} assets - Asset table to fill {key: dataURL}
+     * @returns {any} Copy with image sources replaced by "asset:<key>"
+     */
+    static packAssets(value, assets) {
+        const keys = new Map(Object.keys(assets).map(key => [assets[key], key]));
+
+        const pack = (item) => {
+            if (item === null || typeof item !== 'object') return item;
+            if (Array.isArray(item)) return item.map(pack);
+
+            const copy = {};
+            for (const key in item) {
+                copy[key] = pack(item[key]);
+            }
+
+            if (item.type === 'image' && typeof item.src === 'string' && item.src.startsWith('data:')) {
+                let assetKey = keys.get(item.src);
+                if (!assetKey) {
+                    assetKey = 'img' + keys.size;
+                    keys.set(item.src, assetKey);
+                    assets[assetKey] = item.src;
+                }
+                copy.src = 'asset:' + assetKey;
+            }
+            return copy;
+        };
+
+        return pack(value);
+    }
+
+    /**
+     * Reverse packAssets()
+     * @param {any} value - Packed value
+     * @param {Object} assets - Asset table {key: dataURL}
+     * @returns {any} Copy with image sources restored
+     */
+    static unpackAssets(value, assets) {
+        const unpack = (item) => {
+            if (item === null || typeof item !== 'object') return item;
+            if (Array.isArray(item)) return item.map(unpack);
+
+            const copy = {};
+            for (const key in item) {
+                copy[key] = unpack(item[key]);
+            }
+
+            if (typeof item.src === 'string' && item.src.startsWith('asset:')) {
+                copy.src = assets[item.src.slice('asset:'.length)] || '';
+            }
+            return copy;
+        };
+
+        return unpack(value);
+    }
+
+    /**
+     * Get the blend modes a layer can use (CSS mix-blend-mode names)
+     * @returns {Array} Blend modes
+     */
+    static getBlendModes() {
+        return ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'difference'];
+    }
+
+    /**
+     * Get the canvas composite operation for a layer blend mode
+     * @param {string} blendMode - Blend mode
+     * @returns {string} Composite operation
+     */
+    static getCompositeOperation(blendMode) {
+        return Scene.getBlendModes().includes(blendMode) && blendMode !== 'normal' ? blendMode : 'source-over';
+    }
+
+    /**
+     * Apply an element style to a context
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} style - Style {color, brushSize, opacity, lineStyle, fillStyle}
+     */
+    static applyStyle(ctx, style) {
+        const size = style.brushSize || 1;
+
+        ctx.strokeStyle = style.color || '#000000';
+        ctx.fillStyle = style.color || '#000000';
+        ctx.lineWidth = size;
+        ctx.globalAlpha = style.opacity !== undefined ? style.opacity : 1;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.setLineDash(Scene.getLineDash(style));
+    }
+
+    /**
+     * Get the outline of an ink stroke
+     *
+     * The outline runs along both sides of the stroke at each point's radius and
+     * around half circles at the ends. Drawn as a closed curve through the
+     * midpoints of its corners, it comes out smooth; where the stroke turns
+     * sharply the sides cross, which the nonzero fill rule fills in.
+     * @param {Object} element - Stroke with `ink: true`
+     * @returns {Array} Outline corners {x, y}
+     */
+    static getInkOutline(element) {
+        const size = (element.style && element.style.brushSize) || 1;
+        const points = element.points;
+        const steps = 6;
+        const around = (point, angle, r) => ({ x: point.x + Math.cos(angle) * r, y: point.y + Math.sin(angle) * r });
+
+        if (points.length === 1) {
+            const r = Scene.getInkRadius(points[0], size);
+            return Array.from({ length: steps * 2 }, (_, i) => around(points[0], i * Math.PI / steps, r));
+        }
+
+        // Direction of travel at each point, from its neighbors
+        const angles = points.map((point, i) => {
+            const before = points[Math.max(0, i - 1)];
+            const after = points[Math.min(points.length - 1, i + 1)];
+            return Math.atan2(after.y - before.y, after.x - before.x);
+        });
+
+        const left = points.map((point, i) => around(point, angles[i] + Math.PI / 2, Scene.getInkRadius(point, size)));
+        const right = points.map((point, i) => around(point, angles[i] - Math.PI / 2, Scene.getInkRadius(point, size)));
+
+        // Half circle from the left side to the right side around the far side of a point
+        const cap = (point, angle) => {
+            const r = Scene.getInkRadius(point, size);
+            return Array.from({ length: steps - 1 }, (_, i) => around(point, angle + Math.PI / 2 - (i + 1) * Math.PI / steps, r));
+        };
+
+        const last = points.length - 1;
+        return [
+            ...left,
+            ...cap(points[last], angles[last]),
+            ...right.reverse(),
+            ...cap(points[0], angles[0] + Math.PI)
+        ];
+    }
+
+    /**
+     * Get the half width of an ink stroke at a point
+     * @param {Object} point - Stroke point {x, y, pressure, tilt}
+     * @param {number} size - Brush size
+     * @returns {number} Radius
+     */
+    static getInkRadius(point, size) {
+        // Half pressure gives the brush size; a pen held at a slant draws
+        // broader, like a pencil on its side
+        const pressure = point.pressure !== undefined ? point.pressure : 0.5;
+        return size / 2 * (0.4 + 1.2 * pressure) * (1 + (point.tilt || 0) / 180);
+    }
+
+    /**
+     * Get the dash pattern for an element style
+     * @param {Object} style - Element style
+     * @returns {Array} Dash segment lengths (empty for solid lines)
+     */
+    static getLineDash(style) {
+        const size = style.brushSize || 1;
+
+        switch (style.lineStyle) {
+            case 'dashed':
+                return [size * 2, size];
+            case 'dotted':
+                return [size, size];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Get the axis-aligned bounding box of an element
+     * @param {Object} element - Element
+     * @returns {Object} Bounding box {x, y, width, height}
+     */
+    static getBounds(element) {
+        if (element.type === 'connector') {
+            const label = Scene.getConnectorLabelBox(element);
+            const points = Scene.getConnectorPolyline(element);
+            if (label) {
+                points.push({ x: label.x, y: label.y }, { x: label.x + label.width, y: label.y + label.height });
+            }
+            return Utils.getBoundingBox(points);
+        }
+
+        if (element.points) {
+            return Utils.getBoundingBox(element.points);
+        }
+
+        const x = Math.min(element.x, element.x + (element.width || 0));
+        const y = Math.min(element.y, element.y + (element.height || 0));
+        const box = {
+            x,
+            y,
+            width: Math.abs(element.width || 0),
+            height: Math.abs(element.height || 0)
+        };
+
+        if (!element.rotation) {
+            return box;
+        }
+
+        const center = Scene.getCenter(element);
+        const corners = [
+            { x: box.x, y: box.y },
+            { x: box.x + box.width, y: box.y },
+            { x: box.x + box.width, y: box.y + box.height },
+            { x: box.x, y: box.y + box.height }
+        ].map(p => Utils.rotatePoint(p.x, p.y, center.x, center.y, element.rotation));
+
+        return Utils.getBoundingBox(corners);
+    }
+
+    /**
+     * Get the combined bounding box of several elements
+     * @param {Array} elements - Elements
+     * @returns {Object|null} Bounding box or null for an empty list
+     */
+    static getUnionBounds(elements) {
+        if (elements.length === 0) return null;
+
+        const corners = [];
+        for (const element of elements) {
+            const bounds = Scene.getBounds(element);
+            corners.push({ x: bounds.x, y: bounds.y });
+            corners.push({ x: bounds.x + bounds.width, y: bounds.y + bounds.height });
+        }
+        return Utils.getBoundingBox(corners);
+    }
+
+    /**
+     * Get the center of an element (the pivot for rotation)
+     * @param {Object} element - Element
+     * @returns {Object} Center {x, y}
+     */
+    static getCenter(element) {
+        if (element.points) {
+            const bounds = Utils.getBoundingBox(element.points);
+            return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        }
+        return {
+            x: element.x + (element.width || 0) / 2,
+            y: element.y + (element.height || 0) / 2
+        };
+    }
+
+    /**
+     * Check whether a point hits an element
+     * @param {Object} element - Element
+     * @param {Object} point - Point {x, y}
+     * @param {number} tolerance - Extra hit distance
+     * @returns {boolean} True if the point is on the element
+     */
+    static containsPoint(element, point, tolerance = 0) {
+        const style = element.style || {};
+
+        if (element.points) {
+            const reach = (style.brushSize || 1) / 2 + tolerance;
+            const points = element.type === 'connector' ? Scene.getConnectorPolyline(element) : element.points;
+            const label = element.type === 'connector' && Scene.getConnectorLabelBox(element);
+            if (label && Utils.pointInRect(point.x, point.y, label.x, label.y, label.width, label.height)) {
+                return true;
+            }
+            if (points.length === 1) {
+                return Utils.distance(point.x, point.y, points[0].x, points[0].y) <= reach;
+            }
+            for (let i = 1; i < points.length; i++) {
+                const a = points[i - 1];
+                const b = points[i];
+                if (Utils.distanceToSegment(point.x, point.y, a.x, a.y, b.x, b.y) <= reach) {
+                    return true;
+                }
+            }
+            // Filled polylines are also hit inside their area
+            return element.smooth === false && style.fillStyle === 'solid' &&
+                Utils.pointInPolygon(point.x, point.y, points);
+        }
+
+        // Test in the element's own (unrotated) frame
+        let local = point;
+        if (element.rotation) {
+            const center = Scene.getCenter(element);
+            local = Utils.rotatePoint(point.x, point.y, center.x, center.y, -element.rotation);
+        }
+
+        const box = Scene.getBounds({ ...element, rotation: 0 });
+
+        if (element.type === 'ellipse') {
+            const rx = box.width / 2 + tolerance;
+            const ry = box.height / 2 + tolerance;
+            if (rx <= 0 || ry <= 0) return false;
+            const dx = local.x - (box.x + box.width / 2);
+            const dy = local.y - (box.y + box.height / 2);
+            return (dx * dx) / (rx * rx) + (dy * dy) / (ry * ry) <= 1;
+        }
+
+        return Utils.pointInRect(
+            local.x, local.y,
+            box.x - tolerance, box.y - tolerance,
+            box.width + tolerance * 2, box.height + tolerance * 2
+        );
+    }
+
+    /**
+     * Move an element in place
+     * @param {Object} element - Element to move
+     * @param {number} dx - X offset
+     * @param {number} dy - Y offset
+     */
+    static translateElement(element, dx, dy) {
+        if (element.points) {
+            element.points = element.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }));
+        } else {
+            element.x += dx;
+            element.y += dy;
+        }
+    }
+
+    /**
+     * Scale an element in place relative to an origin
+     * @param {Object} element - Element to scale
+     * @param {Object} origin - Fixed point {x, y}
+     * @param {number} sx - Horizontal scale factor
+     * @param {number} sy - Vertical scale factor
+     */
+    static scaleElement(element, origin, sx, sy) {
+        if (element.points) {
+            element.points = element.points.map(p => ({
+                ...p,
+                x: origin.x + (p.x - origin.x) * sx,
+                y: origin.y + (p.y - origin.y) * sy
+            }));
+            return;
+        }
+
+        const center = Scene.getCenter(element);
+        const newCenterX = origin.x + (center.x - origin.x) * sx;
+        const newCenterY = origin.y + (center.y - origin.y) * sy;
+
+        // Text and notes keep their proportions and scale with their font size
+        if (element.type === 'text' || element.type === 'note') {
+            sx = sy;
+            element.fontSize *= sy;
+            if (element.wrapWidth) {
+                element.wrapWidth *= sy;
+            }
+        }
+
+        element.width *= sx;
+        element.height *= sy;
+        element.x = newCenterX - element.width / 2;
+        element.y = newCenterY - element.height / 2;
+    }
+
+    /**
+     * Rotate an element in place around a center
+     * @param {Object} element - Element to rotate
+     * @param {Object} center - Pivot {x, y}
+     * @param {number} angle - Angle in radians
+     */
+    static rotateElement(element, center, angle) {
+        if (element.points) {
+            element.points = element.points.map(p => ({
+                ...p,
+                ...Utils.rotatePoint(p.x, p.y, center.x, center.y, angle)
+            }));
+            return;
+        }
+
+        const own = Scene.getCenter(element);
+        const moved = Utils.rotatePoint(own.x, own.y, center.x, center.y, angle);
+        element.x = moved.x - element.width / 2;
+        element.y = moved.y - element.height / 2;
+        element.rotation = (element.rotation || 0) + angle;
+    }
+
+    /**
+     * Build a normalized box from two corner points
+     * @param {Object} from - First corner {x, y}
+     * @param {Object} to - Opposite corner {x, y}
+     * @returns {Object} Box {x, y, width, height}
+     */
+    static boxFromPoints(from, to) {
+        return {
+            x: Math.min(from.x, to.x),
+            y: Math.min(from.y, to.y),
+            width: Math.abs(to.x - from.x),
+            height: Math.abs(to.y - from.y)
+        };
+    }
+
+    /**
+     * Check whether connectors can attach to an element
+     * @param {Object} element - Element
+     * @returns {boolean} True for rectangles, ellipses, triangles and sticky notes
+     */
+    static isConnectable(element) {
+        return ['rectangle', 'ellipse', 'triangle', 'note'].includes(element.type);
+    }
+
+    /**
+     * Get the anchor points connectors attach to: the middle of each side,
+     * turned with the element, and the direction pointing away from it
+     * @param {Object} element - Element
+     * @returns {Object} Anchors {top, right, bottom, left} of {x, y, direction: {x, y}} (empty if not connectable)
+     */
+    static getAnchors(element) {
+        if (!Scene.isConnectable(element)) return {};
+
+        const box = Scene.getBounds({ ...element, rotation: 0 });
+        const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+        const rotation = element.rotation || 0;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        // A triangle's slanted sides meet the box's middle line a quarter of the way in
+        const inset = element.type === 'triangle' ? 0.25 : 0;
+        const sides = {
+            top: [0.5, 0, 0, -1],
+            right: [1 - inset, 0.5, 1, 0],
+            bottom: [0.5, 1, 0, 1],
+            left: [inset, 0.5, -1, 0]
+        };
+
+        const anchors = {};
+        Object.keys(sides).forEach(name => {
+            const [u, v, dx, dy] = sides[name];
+            const point = Utils.rotatePoint(box.x + box.width * u, box.y + box.height * v, center.x, center.y, rotation);
+            anchors[name] = { x: point.x, y: point.y, direction: { x: dx * cos - dy * sin, y: dx * sin + dy * cos } };
+        });
+        return anchors;
+    }
+
+    /**
+     * Get the path of a connector between its two end points
+     *
+     * Straight connectors are one segment. Elbow connectors leave and enter
+     * shapes at right angles through horizontal and vertical segments. Curved
+     * connectors are a Bézier curve whose ends follow the anchor directions.
+     * @param {Object} element - Connector
+     * @returns {Object} Route {points, controls}: the corners of the path, or for
+     *   curves the two ends and the two control points
+     */
+    static getConnectorRoute(element) {
+        const [from, to] = element.points;
+        const startDirection = Scene.getConnectorDirection(element.start, from, to);
+        const endDirection = Scene.getConnectorDirection(element.end, to, from);
+
+        if (element.routing === 'elbow') {
+            return { points: Scene.getElbowPoints(element, startDirection, endDirection), controls: null };
+        }
+
+        if (element.routing === 'curved') {
+            const reach = Math.max(30, Utils.distance(from.x, from.y, to.x, to.y) * 0.4);
+            return {
+                points: [from, to],
+                controls: [
+                    { x: from.x + startDirection.x * reach, y: from.y + startDirection.y * reach },
+                    { x: to.x + endDirection.x * reach, y: to.y + endDirection.y * reach }
+                ]
+            };
+        }
+
+        return { points: [from, to], controls: null };
+    }
+
+    /**
+     * Get the direction a connector leaves one of its ends in
+     * @param {Object|null} attachment - The end's attachment {elementId, anchor, direction}
+     * @param {Object} point - The end point
+     * @param {Object} other - The other end point
+     * @returns {Object} Unit direction {x, y}
+     */
+    static getConnectorDirection(attachment, point, other) {
+        if (attachment && attachment.direction) {
+            return attachment.direction;
+        }
+
+        // Free ends head for the other end along the longer axis
+        const dx = other.x - point.x;
+        const dy = other.y - point.y;
+        return Math.abs(dx) >= Math.abs(dy)
+            ? { x: Math.sign(dx) || 1, y: 0 }
+            : { x: 0, y: Math.sign(dy) };
+    }
+
+    /**
+     * Get the corners of an elbow route
+     */
+    static getElbowPoints(element, startDirection, endDirection) {
+        const [from, to] = element.points;
+        const isHorizontal = direction => Math.abs(direction.x) >= Math.abs(direction.y);
+        const axis = direction => isHorizontal(direction)
+            ? { x: Math.sign(direction.x), y: 0 }
+            : { x: 0, y: Math.sign(direction.y) };
+
+        // Attached ends get a short straight stub so the route clears the shape's edge
+        const stub = 20;
+        const startAxis = axis(startDirection);
+        const endAxis = axis(endDirection);
+        const startStub = element.start ? stub : 0;
+        const endStub = element.end ? stub : 0;
+        const a = { x: from.x + startAxis.x * startStub, y: from.y + startAxis.y * startStub };
+        const b = { x: to.x + endAxis.x * endStub, y: to.y + endAxis.y * endStub };
+
+        let corners;
+        if (isHorizontal(startAxis) && isHorizontal(endAxis)) {
+            const midX = (a.x + b.x) / 2;
+            corners = [{ x: midX, y: a.y }, { x: midX, y: b.y }];
+        } else if (!isHorizontal(startAxis) && !isHorizontal(endAxis)) {
+            const midY = (a.y + b.y) / 2;
+            corners = [{ x: a.x, y: midY }, { x: b.x, y: midY }];
+        } else if (isHorizontal(startAxis)) {
+            corners = [{ x: b.x, y: a.y }];
+        } else {
+            corners = [{ x: a.x, y: b.y }];
+        }
+
+        return [from, a, ...corners, b, to].filter((point, i, points) =>
+            i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y
+        );
+    }
+
+    /**
+     * Get a connector's path as a polyline (curves are sampled)
+     * @param {Object} element - Connector
+     * @returns {Array} Points
+     */
+    static getConnectorPolyline(element) {
+        const route = Scene.getConnectorRoute(element);
+        if (!route.controls) return route.points;
+
+        const [from, to] = route.points;
+        const [c1, c2] = route.controls;
+        const steps = 24;
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const u = 1 - t;
+            points.push({
+                x: u * u * u * from.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * to.x,
+                y: u * u * u * from.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * to.y
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Get the last segment of a connector, which its arrowhead points along
+     * @param {Object} element - Connector
+     * @returns {Array} Points [from, to]
+     */
+    static getConnectorTip(element) {
+        const points = Scene.getConnectorPolyline(element);
+        return points.slice(-2);
+    }
+
+    /**
+     * Get the point a connector's label is centered on
+     * (element.labelPosition runs from 0 at the start to 1 at the end; the middle by default)
+     * @param {Object} element - Connector
+     * @returns {Object} Point {x, y}
+     */
+    static getConnectorLabelPoint(element) {
+        const points = Scene.getConnectorPolyline(element);
+        const lengths = points.slice(1).map((point, i) => Utils.distance(points[i].x, points[i].y, point.x, point.y));
+        const position = element.labelPosition !== undefined ? element.labelPosition : 0.5;
+
+        let remaining = lengths.reduce((sum, length) => sum + length, 0) * position;
+        for (let i = 0; i < lengths.length; i++) {
+            if (remaining <= lengths[i] && lengths[i] > 0) {
+                const t = remaining / lengths[i];
+                return {
+                    x: points[i].x + (points[i + 1].x - points[i].x) * t,
+                    y: points[i].y + (points[i + 1].y - points[i].y) * t
+                };
+            }
+            remaining -= lengths[i];
+        }
+        return points[points.length - 1];
+    }
+
+    /**
+     * Get the approximate box of a connector's label (for bounds and hit testing)
+     * @param {Object} element - Connector
+     * @returns {Object|null} Box {x, y, width, height} or null without a label
+     */
+    static getConnectorLabelBox(element) {
+        if (!element.label) return null;
+
+        const point = Scene.getConnectorLabelPoint(element);
+        const width = element.label.length * element.fontSize * 0.6 + 8;
+        const height = element.fontSize + 6;
+        return { x: point.x - width / 2, y: point.y - height / 2, width, height };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scene;
+}
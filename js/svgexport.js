@@ -0,0 +1,540 @@
+/**
+ * Vector SVG export for the Online Whiteboard Tool
+ *
+ * Converts scene elements into native SVG shapes so exports stay crisp and
+ * editable in other tools. Eraser strokes become masks over the content below them.
+ * Each visible layer becomes an Inkscape-style layer group with its opacity and blend mode.
+ */
+
+class SVGExporter {
+    constructor(scene) {
+        this.scene = scene;
+        this.maskCount = 0;
+    }
+
+    /**
+     * Export the scene as an SVG document
+     * @param {Object} options - Export options
+     * @param {Object} options.bounds - World area to export {x, y, width, height} (defaults to the content bounds)
+     * @param {number} options.padding - Padding around the content bounds
+     * @param {string|null} options.background - Background color, or null for transparent
+     * @returns {string} SVG markup
+     */
+    export(options = {}) {
+        const padding = options.padding !== undefined ? options.padding : 20;
+        const background = options.background !== undefined ? options.background : '#ffffff';
+        const bounds = options.bounds || this.getContentBounds(padding);
+
+        this.maskCount = 0;
+        const defs = [];
+        const body = this.renderLayers(bounds, defs);
+
+        const viewBox = [bounds.x, bounds.y, bounds.width, bounds.height].map(SVGExporter.formatNumber).join(' ');
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+                `xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+                `width="${SVGExporter.formatNumber(bounds.width)}" height="${SVGExporter.formatNumber(bounds.height)}" viewBox="${viewBox}">`
+        ];
+
+        if (defs.length > 0) {
+            lines.push('<defs>', ...defs, '</defs>');
+        }
+
+        if (background) {
+            lines.push(this.renderBackground(bounds, background));
+        }
+
+        lines.push(body, '</svg>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Get the padded bounds of all visible elements
+     * @param {number} padding - Padding in world units
+     * @returns {Object} Bounds {x, y, width, height}
+     */
+    getContentBounds(padding) {
+        const bounds = this.scene.getContentBounds();
+        if (!bounds) {
+            return { x: 0, y: 0, width: 800, height: 600 };
+        }
+
+        return {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2
+        };
+    }
+
+    /**
+     * Render the background rectangle
+     */
+    renderBackground(bounds, color) {
+        return SVGExporter.tag('rect', {
+            x: bounds.x,
+            y: bounds.y,
+            width: bounds.width,
+            height: bounds.height,
+            fill: color
+        });
+    }
+
+    /**
+     * Render the visible layers bottom to top, one group each
+     * @param {Object} bounds - Exported area
+     * @param {Array} defs - Collects mask definitions
+     * @returns {string} SVG markup
+     */
+    renderLayers(bounds, defs) {
+        const groups = this.scene.groupByLayer(this.scene.elements);
+
+        return this.scene.layers
+            .filter(layer => layer.visible && groups.has(layer))
+            .map(layer => {
+                // Erasers only mask the layer they are on
+                const body = this.renderElements(groups.get(layer), bounds, defs);
+                if (!body) return '';
+
+                const blendMode = Scene.getCompositeOperation(layer.blendMode) === 'source-over' ? null : layer.blendMode;
+                return SVGExporter.tag('g', {
+                    'inkscape:groupmode': 'layer',
+                    'inkscape:label': layer.name,
+                    opacity: layer.opacity < 1 ? layer.opacity : null,
+                    style: blendMode ? `mix-blend-mode:${blendMode}` : null
+                }, `\n${body}\n`);
+            })
+            .filter(markup => markup)
+            .join('\n');
+    }
+
+    /**
+     * Render elements in order, masking everything drawn before each eraser
+     * @param {Array} elements - Elements in paint order
+     * @param {Object} bounds - Exported area
+     * @param {Array} defs - Collects mask definitions
+     * @returns {string} SVG markup
+     */
+    renderElements(elements, bounds, defs) {
+        let body = '';
+
+        for (const element of elements) {
+            if (element.erase) {
+                // Nothing below to erase
+                if (!body) continue;
+
+                const id = `erase-${++this.maskCount}`;
+                defs.push(
+                    `<mask id="${id}" maskUnits="userSpaceOnUse" x="${SVGExporter.formatNumber(bounds.x)}" ` +
+                    `y="${SVGExporter.formatNumber(bounds.y)}" width="${SVGExporter.formatNumber(bounds.width)}" ` +
+                    `height="${SVGExporter.formatNumber(bounds.height)}">`,
+                    this.renderBackground(bounds, '#ffffff'),
+                    this.renderElement({ ...element, erase: false, style: { ...element.style, color: '#000000', opacity: 1, lineStyle: 'solid' } }),
+                    '</mask>'
+                );
+                body = `<g mask="url(#${id})">\n${body}\n</g>`;
+            } else {
+                const markup = this.renderElement(element);
+                if (markup) {
+                    body += (body ? '\n' : '') + markup;
+                }
+            }
+        }
+
+        return body;
+    }
+
+    /**
+     * Render a single element
+     * @param {Object} element - Element
+     * @returns {string} SVG markup (empty for unsupported elements)
+     */
+    renderElement(element) {
+        const style = element.style || {};
+
+        switch (element.type) {
+            case 'stroke':
+                return this.renderStroke(element, style);
+            case 'rectangle': {
+                const box = this.normalizeBox(element);
+                return SVGExporter.tag('rect', {
+                    ...box,
+                    ...this.getShapeAttributes(element, style)
+                });
+            }
+            case 'ellipse':
+                return SVGExporter.tag('ellipse', {
+                    cx: element.x + element.width / 2,
+                    cy: element.y + element.height / 2,
+                    rx: Math.abs(element.width / 2),
+                    ry: Math.abs(element.height / 2),
+                    ...this.getShapeAttributes(element, style)
+                });
+            case 'triangle':
+                return SVGExporter.tag('polygon', {
+                    points: this.getTrianglePoints(element)
+                        .map(point => `${SVGExporter.formatNumber(point.x)},${SVGExporter.formatNumber(point.y)}`)
+                        .join(' '),
+                    ...this.getShapeAttributes(element, style)
+                });
+            case 'line':
+                return this.renderLine(element, style);
+            case 'arrow':
+                return this.renderArrow(element, style);
+            case 'connector':
+                return this.renderConnector(element, style);
+            case 'text':
+                return this.renderText(element, style);
+            case 'note':
+                return this.renderNote(element, style);
+            case 'image': {
+                const box = this.normalizeBox(element);
+                return SVGExporter.tag('image', {
+                    ...box,
+                    'xlink:href': element.src,
+                    preserveAspectRatio: 'none',
+                    transform: this.getRotationTransform(element)
+                });
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render a freehand stroke as a path with the same smoothing as the canvas renderer
+     */
+    renderStroke(element, style) {
+        const points = element.points || [];
+        if (points.length === 0) return '';
+
+        if (element.ink) {
+            return this.renderInk(element, style);
+        }
+
+        if (points.length === 1) {
+            return SVGExporter.tag('circle', {
+                cx: points[0].x,
+                cy: points[0].y,
+                r: (style.brushSize || 1) / 2,
+                fill: style.color || '#000000',
+                opacity: this.getOpacity(style)
+            });
+        }
+
+        const f = SVGExporter.formatNumber;
+        let d = `M${f(points[0].x)} ${f(points[0].y)}`;
+
+        if (element.smooth === false) {
+            for (let i = 1; i < points.length; i++) {
+                d += ` L${f(points[i].x)} ${f(points[i].y)}`;
+            }
+            return SVGExporter.tag('path', {
+                d: element.closed ? d + ' Z' : d,
+                fill: style.fillStyle === 'solid' ? (style.color || '#000000') : 'none',
+                ...this.getStrokeAttributes(style),
+                opacity: this.getOpacity(style)
+            });
+        }
+
+        for (let i = 1; i < points.length - 1; i++) {
+            const midX = (points[i].x + points[i + 1].x) / 2;
+            const midY = (points[i].y + points[i + 1].y) / 2;
+            d += ` Q${f(points[i].x)} ${f(points[i].y)} ${f(midX)} ${f(midY)}`;
+        }
+
+        const last = points[points.length - 1];
+        d += ` L${f(last.x)} ${f(last.y)}`;
+
+        return SVGExporter.tag('path', {
+            d,
+            fill: 'none',
+            ...this.getStrokeAttributes(style),
+            opacity: this.getOpacity(style)
+        });
+    }
+
+    /**
+     * Render an ink stroke as its filled outline (see Scene.getInkOutline)
+     */
+    renderInk(element, style) {
+        const outline = Scene.getInkOutline(element);
+        const f = SVGExporter.formatNumber;
+        const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const start = mid(outline[outline.length - 1], outline[0]);
+
+        const d = `M${f(start.x)} ${f(start.y)} ` + outline.map((point, i) => {
+            const end = mid(point, outline[(i + 1) % outline.length]);
+            return `Q${f(point.x)} ${f(point.y)} ${f(end.x)} ${f(end.y)}`;
+        }).join(' ') + ' Z';
+
+        return SVGExporter.tag('path', {
+            d,
+            fill: style.color || '#000000',
+            opacity: this.getOpacity(style)
+        });
+    }
+
+    /**
+     * Render a straight line
+     */
+    renderLine(element, style) {
+        const [from, to] = element.points;
+        return SVGExporter.tag('line', {
+            x1: from.x,
+            y1: from.y,
+            x2: to.x,
+            y2: to.y,
+            ...this.getStrokeAttributes(style),
+            opacity: this.getOpacity(style)
+        });
+    }
+
+    /**
+     * Render an arrow as a line plus an undashed head
+     */
+    renderArrow(element, style) {
+        const [from, to] = element.points;
+
+        const line = SVGExporter.tag('line', {
+            x1: from.x,
+            y1: from.y,
+            x2: to.x,
+            y2: to.y,
+            ...this.getStrokeAttributes(style)
+        });
+
+        const opacity = this.getOpacity(style);
+        return `<g${opacity !== undefined ? ` opacity="${opacity}"` : ''}>${line}${this.renderArrowHead(from, to, style)}</g>`;
+    }
+
+    /**
+     * Render an undashed arrowhead at the end of a segment
+     */
+    renderArrowHead(from, to, style) {
+        const headLength = 15;
+        const angle = Utils.angle(from.x, from.y, to.x, to.y);
+        const f = SVGExporter.formatNumber;
+
+        const left = {
+            x: to.x - headLength * Math.cos(angle - Math.PI / 6),
+            y: to.y - headLength * Math.sin(angle - Math.PI / 6)
+        };
+        const right = {
+            x: to.x - headLength * Math.cos(angle + Math.PI / 6),
+            y: to.y - headLength * Math.sin(angle + Math.PI / 6)
+        };
+
+        return SVGExporter.tag('path', {
+            d: `M${f(left.x)} ${f(left.y)} L${f(to.x)} ${f(to.y)} L${f(right.x)} ${f(right.y)}`,
+            fill: 'none',
+            ...this.getStrokeAttributes({ ...style, lineStyle: 'solid' })
+        });
+    }
+
+    /**
+     * Render a connector as a path along its route, with its arrowhead and label
+     */
+    renderConnector(element, style) {
+        const route = Scene.getConnectorRoute(element);
+        const f = SVGExporter.formatNumber;
+        const point = p => `${f(p.x)} ${f(p.y)}`;
+
+        const [from] = route.points;
+        const d = route.controls
+            ? `M${point(from)} C${route.controls.map(point).join(' ')} ${point(route.points[1])}`
+            : `M${point(from)} ` + route.points.slice(1).map(p => `L${point(p)}`).join(' ');
+
+        let content = SVGExporter.tag('path', { d, fill: 'none', ...this.getStrokeAttributes(style) });
+
+        if (element.arrowhead) {
+            const [tail, tip] = Scene.getConnectorTip(element);
+            content += this.renderArrowHead(tail, tip, style);
+        }
+
+        const label = Scene.getConnectorLabelBox(element);
+        if (label) {
+            content += SVGExporter.tag('rect', { ...label, fill: '#ffffff' });
+            content += SVGExporter.tag('text', {
+                x: label.x + label.width / 2,
+                y: label.y + label.height / 2,
+                fill: style.color || '#000000',
+                'font-family': element.fontFamily,
+                'font-size': element.fontSize,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'central',
+                'xml:space': 'preserve'
+            }, SVGExporter.escape(element.label));
+        }
+
+        return SVGExporter.tag('g', { opacity: this.getOpacity(style) }, content);
+    }
+
+    /**
+     * Render a text element line by line, with a tspan per styled run
+     * (laid out like the canvas renderer, top-left anchored)
+     */
+    renderText(element, style) {
+        const layout = this.scene.getTextLayout(element);
+        const lines = layout.lines.map(line => SVGExporter.tag('text', {
+            x: element.x + line.x,
+            y: element.y + line.y,
+            'xml:space': 'preserve'
+        }, line.items.map(item => SVGExporter.tag('tspan', {
+            x: element.x + line.x + item.x,
+            'font-weight': item.bold ? 'bold' : null,
+            'font-style': item.italic ? 'italic' : null,
+            'text-decoration': item.underline ? 'underline' : null
+        }, SVGExporter.escape(item.text))).join(''))).join('');
+
+        return SVGExporter.tag('g', {
+            fill: style.color || '#000000',
+            opacity: this.getOpacity(style),
+            'font-family': element.fontFamily,
+            'font-size': element.fontSize,
+            'dominant-baseline': 'text-before-edge',
+            transform: this.getRotationTransform(element)
+        }, lines);
+    }
+
+    /**
+     * Render a sticky note as a colored square with its wrapped text lines
+     */
+    renderNote(element, style) {
+        const layout = this.scene.getNoteLayout(element);
+        const lines = layout.lines.map(line => SVGExporter.tag('text', {
+            x: line.x,
+            y: line.y,
+            'xml:space': 'preserve'
+        }, SVGExporter.escape(line.text))).join('');
+
+        const text = SVGExporter.tag('g', {
+            fill: style.color || '#000000',
+            'font-family': element.fontFamily,
+            'font-size': layout.fontSize,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central'
+        }, lines);
+
+        return SVGExporter.tag('g', {
+            opacity: this.getOpacity(style),
+            transform: this.getRotationTransform(element)
+        }, SVGExporter.tag('rect', { ...this.normalizeBox(element), fill: element.noteColor }) + text);
+    }
+
+    /**
+     * Get the triangle corners (same geometry as the canvas renderer)
+     * @returns {Array} Points [apex, baseLeft, baseRight]
+     */
+    getTrianglePoints(element) {
+        const apexY = element.inverted ? element.y + element.height : element.y;
+        const baseY = element.inverted ? element.y : element.y + element.height;
+
+        return [
+            { x: element.x + element.width / 2, y: apexY },
+            { x: element.x, y: baseY },
+            { x: element.x + element.width, y: baseY }
+        ];
+    }
+
+    /**
+     * Get a box with non-negative width and height
+     */
+    normalizeBox(element) {
+        return {
+            x: Math.min(element.x, element.x + element.width),
+            y: Math.min(element.y, element.y + element.height),
+            width: Math.abs(element.width),
+            height: Math.abs(element.height)
+        };
+    }
+
+    /**
+     * Get fill, stroke and transform attributes for closed shapes
+     */
+    getShapeAttributes(element, style) {
+        return {
+            fill: style.fillStyle === 'solid' ? (style.color || '#000000') : 'none',
+            ...this.getStrokeAttributes(style),
+            opacity: this.getOpacity(style),
+            transform: this.getRotationTransform(element)
+        };
+    }
+
+    /**
+     * Get stroke attributes matching Scene.applyStyle
+     */
+    getStrokeAttributes(style) {
+        const dash = Scene.getLineDash(style);
+
+        return {
+            stroke: style.color || '#000000',
+            'stroke-width': style.brushSize || 1,
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round',
+            'stroke-dasharray': dash.length > 0 ? dash.map(SVGExporter.formatNumber).join(' ') : undefined
+        };
+    }
+
+    /**
+     * Get the opacity attribute value (omitted when fully opaque)
+     */
+    getOpacity(style) {
+        return style.opacity !== undefined && style.opacity < 1 ? style.opacity : undefined;
+    }
+
+    /**
+     * Get the rotation transform for box elements
+     */
+    getRotationTransform(element) {
+        if (!element.rotation) return undefined;
+
+        const center = Scene.getCenter(element);
+        const f = SVGExporter.formatNumber;
+        return `rotate(${f(Utils.toDegrees(element.rotation))} ${f(center.x)} ${f(center.y)})`;
+    }
+
+    /**
+     * Build an SVG tag, skipping undefined attributes
+     * @param {string} name - Tag name
+     * @param {Object} attributes - Attributes
+     * @param {string} content - Inner markup (self-closing if omitted)
+     * @returns {string} SVG markup
+     */
+    static tag(name, attributes, content = null) {
+        const attrs = Object.keys(attributes)
+            .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+            .map(key => {
+                const value = attributes[key];
+                const text = typeof value === 'number' ? SVGExporter.formatNumber(value) : SVGExporter.escape(String(value));
+                return ` ${key}="${text}"`;
+            })
+            .join('');
+
+        return content === null ? `<${name}${attrs}/>` : `<${name}${attrs}>${content}</${name}>`;
+    }
+
+    /**
+     * Round a number to two decimals for compact output
+     */
+    static formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Escape text for use in XML
+     */
+    static escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SVGExporter;
+}
@@ -0,0 +1,914 @@
+/**
+ * SVG import for the Online Whiteboard Tool
+ *
+ * Converts basic SVG shapes, paths, text and images into board elements.
+ * Inkscape layer groups (such as those in our own SVG exports) become layers.
+ * Features that cannot be represented are collected as warnings so the
+ * caller can report them (or fall back to importing the SVG as an image).
+ */
+
+class SVGImporter {
+    constructor() {
+        this.warnings = new Set();
+        this.elements = [];
+        this.layers = [];
+
+        // Used to measure imported text
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+
+        // Tags that carry no visible content of their own
+        this.ignoredTags = new Set(['defs', 'title', 'desc', 'metadata', 'symbol', 'clippath', 'mask', 'lineargradient', 'radialgradient', 'pattern', 'filter', 'marker']);
+
+        // Presentation properties that children inherit
+        this.inheritedProperties = [
+            'fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'fill-opacity', 'stroke-opacity',
+            'font-size', 'font-family', 'text-anchor', 'color', 'visibility'
+        ];
+    }
+
+    /**
+     * Parse SVG markup into board elements
+     * @param {string} text - SVG markup
+     * @returns {Object} Result {elements, layers, warnings} (layers is null if the SVG has none)
+     */
+    import(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = doc.documentElement;
+
+        if (doc.getElementsByTagName('parsererror').length > 0 || !root || root.tagName.toLowerCase() !== 'svg') {
+            throw new Error('Invalid SVG file');
+        }
+
+        this.warnings = new Set();
+        this.elements = [];
+        this.layers = [];
+
+        const inherited = {
+            fill: '#000000',
+            stroke: 'none',
+            'stroke-width': '1',
+            'font-size': '16',
+            'font-family': 'Arial',
+            color: '#000000'
+        };
+        this.walk(root, this.getViewBoxTransform(root), inherited, 1);
+
+        return {
+            elements: this.elements,
+            layers: this.layers.length > 0 ? this.layers : null,
+            warnings: Array.from(this.warnings)
+        };
+    }
+
+    /**
+     * Map the root viewBox onto the document width and height
+     * @param {Element} root - Root svg element
+     * @returns {Array} Matrix [a, b, c, d, e, f]
+     */
+    getViewBoxTransform(root) {
+        const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+        if (viewBox.length !== 4 || viewBox.some(isNaN) || viewBox[2] <= 0 || viewBox[3] <= 0) {
+            return SVGImporter.identity();
+        }
+
+        const width = parseFloat(root.getAttribute('width'));
+        const height = parseFloat(root.getAttribute('height'));
+        let scaleX = width > 0 ? width / viewBox[2] : 1;
+        let scaleY = height > 0 ? height / viewBox[3] : 1;
+
+        // Default preserveAspectRatio keeps the aspect ratio
+        if ((root.getAttribute('preserveAspectRatio') || '').trim() !== 'none') {
+            scaleX = scaleY = Math.min(scaleX, scaleY);
+        }
+
+        return [scaleX, 0, 0, scaleY, -viewBox[0] * scaleX, -viewBox[1] * scaleY];
+    }
+
+    /**
+     * Walk an element and its children
+     * @param {Element} node - SVG element
+     * @param {Array} matrix - Transform from the parent
+     * @param {Object} inherited - Inherited presentation properties
+     * @param {number} opacity - Accumulated group opacity
+     */
+    walk(node, matrix, inherited, opacity) {
+        const tag = node.tagName.toLowerCase().replace(/^svg:/, '');
+        if (this.ignoredTags.has(tag)) return;
+
+        const props = this.getProperties(node, inherited);
+        if (props.display === 'none') return;
+
+        let transform = matrix;
+        if (node.hasAttribute('transform')) {
+            transform = SVGImporter.multiply(matrix, this.parseTransform(node.getAttribute('transform')));
+        }
+
+        ['clip-path', 'mask', 'filter'].forEach(name => {
+            if (props[name] && props[name] !== 'none') {
+                this.warnings.add(`The "${name}" attribute is ignored`);
+            }
+        });
+
+        const elementOpacity = opacity * this.parseNumber(props.opacity, 1);
+
+        switch (tag) {
+            case 'svg':
+                if (node !== node.ownerDocument.documentElement) {
+                    transform = SVGImporter.multiply(transform, SVGImporter.translation(
+                        this.parseNumber(node.getAttribute('x'), 0),
+                        this.parseNumber(node.getAttribute('y'), 0)
+                    ));
+                    if (node.hasAttribute('viewBox')) {
+                        this.warnings.add('Nested <svg> viewBox is ignored');
+                    }
+                }
+                this.walkChildren(node, transform, props, elementOpacity);
+                break;
+            case 'g':
+                // Top-level layer groups keep their opacity and blend mode as a layer
+                if (node.getAttribute('inkscape:groupmode') === 'layer' && node.parentElement === node.ownerDocument.documentElement) {
+                    this.importLayer(node, transform, props, opacity);
+                    break;
+                }
+                this.walkChildren(node, transform, props, elementOpacity);
+                break;
+            case 'a':
+            case 'switch':
+                this.walkChildren(node, transform, props, elementOpacity);
+                break;
+            case 'rect':
+                this.importBox(node, 'rectangle', transform, props, elementOpacity);
+                break;
+            case 'circle':
+            case 'ellipse':
+                this.importEllipse(node, tag, transform, props, elementOpacity);
+                break;
+            case 'line':
+                this.importLine(node, transform, props, elementOpacity);
+                break;
+            case 'polyline':
+            case 'polygon':
+                this.importPolyline(node, tag === 'polygon', transform, props, elementOpacity);
+                break;
+            case 'path':
+                this.importPath(node, transform, props, elementOpacity);
+                break;
+            case 'text':
+                this.importText(node, transform, props, elementOpacity);
+                break;
+            case 'image':
+                this.importImage(node, transform, props, elementOpacity);
+                break;
+            case 'style':
+                this.warnings.add('CSS stylesheets (<style>) are ignored; only inline styles are imported');
+                break;
+            default:
+                this.warnings.add(`<${tag}> elements are not supported`);
+        }
+    }
+
+    /**
+     * Import a layer group and the elements in it
+     * @param {Element} node - Group element
+     * @param {Array} matrix - Transform of the group
+     * @param {Object} props - Properties of the group
+     * @param {number} opacity - Accumulated opacity above the group
+     */
+    importLayer(node, matrix, props, opacity) {
+        const layer = Scene.createLayer(node.getAttribute('inkscape:label') || `Layer ${this.layers.length + 1}`);
+        layer.opacity = Utils.clamp(this.parseNumber(props.opacity, 1), 0, 1);
+        if (Scene.getBlendModes().includes(props['mix-blend-mode'])) {
+            layer.blendMode = props['mix-blend-mode'];
+        }
+        this.layers.push(layer);
+
+        const start = this.elements.length;
+        this.walkChildren(node, matrix, props, opacity);
+        this.elements.slice(start).forEach(element => {
+            element.layerId = layer.id;
+        });
+    }
+
+    /**
+     * Walk all child elements
+     */
+    walkChildren(node, matrix, props, opacity) {
+        Array.from(node.children).forEach(child => this.walk(child, matrix, props, opacity));
+    }
+
+    /**
+     * Resolve presentation properties from attributes, inline style and inheritance
+     * @returns {Object} Properties
+     */
+    getProperties(node, inherited) {
+        const props = {};
+        this.inheritedProperties.forEach(name => {
+            if (inherited[name] !== undefined) {
+                props[name] = inherited[name];
+            }
+        });
+
+        const names = this.inheritedProperties.concat(['opacity', 'display', 'clip-path', 'mask', 'filter', 'mix-blend-mode']);
+        names.forEach(name => {
+            const value = node.getAttribute(name);
+            if (value !== null && value !== 'inherit') {
+                props[name] = value.trim();
+            }
+        });
+
+        // Inline style wins over presentation attributes
+        (node.getAttribute('style') || '').split(';').forEach(declaration => {
+            const index = declaration.indexOf(':');
+            if (index < 0) return;
+            const name = declaration.slice(0, index).trim().toLowerCase();
+            const value = declaration.slice(index + 1).replace('!important', '').trim();
+            if (names.includes(name) && value !== 'inherit') {
+                props[name] = value;
+            }
+        });
+
+        return props;
+    }
+
+    /**
+     * Convert SVG paint properties to a board style
+     * @param {Object} props - Presentation properties
+     * @param {number} opacity - Accumulated opacity
+     * @param {Array} matrix - Current transform (scales the stroke width)
+     * @param {boolean} canFill - Whether the shape can be filled
+     * @returns {Object|null} Style, or null if the shape paints nothing
+     */
+    getStyle(props, opacity, matrix, canFill = true) {
+        if (props.visibility === 'hidden' || props.visibility === 'collapse') return null;
+
+        const stroke = this.parsePaint(props.stroke, props.color);
+        const fill = canFill ? this.parsePaint(props.fill, props.color) : null;
+        if (!stroke && !fill) return null;
+
+        if (stroke && fill && stroke.toLowerCase() !== fill.toLowerCase()) {
+            this.warnings.add('Shapes with different fill and stroke colors use the fill color for both');
+        }
+
+        const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) || 1;
+        const paintOpacity = this.parseNumber(fill ? props['fill-opacity'] : props['stroke-opacity'], 1);
+
+        const style = {
+            color: fill || stroke,
+            brushSize: stroke ? Math.max(this.parseNumber(props['stroke-width'], 1) * scale, 0.5) : 1,
+            opacity: Utils.clamp(opacity * paintOpacity, 0, 1),
+            lineStyle: 'solid',
+            fillStyle: fill ? 'solid' : 'none'
+        };
+
+        const dashes = (props['stroke-dasharray'] || 'none').split(/[\s,]+/).map(parseFloat).filter(value => !isNaN(value));
+        if (stroke && dashes.length > 0 && dashes.some(value => value > 0)) {
+            style.lineStyle = dashes[0] <= (dashes[1] !== undefined ? dashes[1] : dashes[0]) ? 'dotted' : 'dashed';
+        }
+
+        return style;
+    }
+
+    /**
+     * Parse a paint value
+     * @returns {string|null} Color, or null for no paint
+     */
+    parsePaint(value, currentColor) {
+        if (!value || value === 'none' || value === 'transparent') return null;
+
+        if (value.startsWith('url(')) {
+            this.warnings.add('Gradients and patterns are replaced with their fallback color');
+            const fallback = value.replace(/^url\([^)]*\)\s*/, '');
+            return fallback && fallback !== 'none' ? fallback : '#000000';
+        }
+
+        if (value === 'currentColor') {
+            return currentColor || '#000000';
+        }
+
+        return value;
+    }
+
+    /**
+     * Import a rectangle (rounded corners are dropped)
+     */
+    importBox(node, type, matrix, props, opacity) {
+        const style = this.getStyle(props, opacity, matrix);
+        if (!style) return;
+
+        if (node.hasAttribute('rx') || node.hasAttribute('ry')) {
+            this.warnings.add('Rounded rectangle corners are imported as square corners');
+        }
+
+        const box = {
+            x: this.parseNumber(node.getAttribute('x'), 0),
+            y: this.parseNumber(node.getAttribute('y'), 0),
+            width: this.parseNumber(node.getAttribute('width'), 0),
+            height: this.parseNumber(node.getAttribute('height'), 0)
+        };
+        if (box.width <= 0 || box.height <= 0) return;
+
+        this.addBoxElement({ type, style }, box, matrix);
+    }
+
+    /**
+     * Import a circle or ellipse
+     */
+    importEllipse(node, tag, matrix, props, opacity) {
+        const style = this.getStyle(props, opacity, matrix);
+        if (!style) return;
+
+        const cx = this.parseNumber(node.getAttribute('cx'), 0);
+        const cy = this.parseNumber(node.getAttribute('cy'), 0);
+        const rx = this.parseNumber(node.getAttribute(tag === 'circle' ? 'r' : 'rx'), 0);
+        const ry = tag === 'circle' ? rx : this.parseNumber(node.getAttribute('ry'), rx);
+        if (rx <= 0 || ry <= 0) return;
+
+        this.addBoxElement({ type: 'ellipse', style }, { x: cx - rx, y: cy - ry, width: rx * 2, height: ry * 2 }, matrix);
+    }
+
+    /**
+     * Add a box element, converting the transform into position, size and rotation.
+     * Skewed boxes become polylines since box elements cannot be skewed.
+     */
+    addBoxElement(element, box, matrix) {
+        const decomposed = SVGImporter.decompose(matrix);
+
+        if (decomposed.skewed) {
+            const corners = element.type === 'ellipse'
+                ? this.getEllipsePoints(box)
+                : [
+                    { x: box.x, y: box.y },
+                    { x: box.x + box.width, y: box.y },
+                    { x: box.x + box.width, y: box.y + box.height },
+                    { x: box.x, y: box.y + box.height }
+                ];
+            this.elements.push({
+                type: 'stroke',
+                points: corners.map(point => SVGImporter.applyToPoint(matrix, point)),
+                smooth: false,
+                closed: true,
+                style: element.style
+            });
+            return;
+        }
+
+        const center = SVGImporter.applyToPoint(matrix, { x: box.x + box.width / 2, y: box.y + box.height / 2 });
+        const width = box.width * decomposed.scaleX;
+        const height = box.height * decomposed.scaleY;
+
+        this.elements.push({
+            ...element,
+            x: center.x - width / 2,
+            y: center.y - height / 2,
+            width,
+            height,
+            ...(decomposed.rotation ? { rotation: decomposed.rotation } : {})
+        });
+    }
+
+    /**
+     * Get points around an ellipse box
+     */
+    getEllipsePoints(box) {
+        const points = [];
+        const segments = 48;
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * 2 * Math.PI;
+            points.push({
+                x: box.x + box.width / 2 + Math.cos(angle) * box.width / 2,
+                y: box.y + box.height / 2 + Math.sin(angle) * box.height / 2
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Import a line
+     */
+    importLine(node, matrix, props, opacity) {
+        const style = this.getStyle(props, opacity, matrix, false);
+        if (!style) return;
+
+        const points = [
+            { x: this.parseNumber(node.getAttribute('x1'), 0), y: this.parseNumber(node.getAttribute('y1'), 0) },
+            { x: this.parseNumber(node.getAttribute('x2'), 0), y: this.parseNumber(node.getAttribute('y2'), 0) }
+        ].map(point => SVGImporter.applyToPoint(matrix, point));
+
+        this.elements.push({ type: 'line', points, style });
+    }
+
+    /**
+     * Import a polyline or polygon
+     */
+    importPolyline(node, closed, matrix, props, opacity) {
+        const values = (node.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+        const points = [];
+        for (let i = 0; i + 1 < values.length; i += 2) {
+            if (!isNaN(values[i]) && !isNaN(values[i + 1])) {
+                points.push({ x: values[i], y: values[i + 1] });
+            }
+        }
+
+        this.addPolyline(points, closed, matrix, props, opacity);
+    }
+
+    /**
+     * Import a path, one element per subpath
+     */
+    importPath(node, matrix, props, opacity) {
+        const subpaths = this.parsePath(node.getAttribute('d') || '');
+        const filled = !!this.parsePaint(props.fill, props.color);
+
+        if (filled && subpaths.length > 1) {
+            this.warnings.add('Filled paths with several parts (such as holes) are imported as separate shapes');
+        }
+
+        subpaths.forEach(subpath => this.addPolyline(subpath.points, subpath.closed, matrix, props, opacity));
+    }
+
+    /**
+     * Add a polyline stroke element
+     */
+    addPolyline(points, closed, matrix, props, opacity) {
+        if (points.length < 2) return;
+
+        const style = this.getStyle(props, opacity, matrix);
+        if (!style) return;
+
+        this.elements.push({
+            type: 'stroke',
+            points: points.map(point => SVGImporter.applyToPoint(matrix, point)),
+            smooth: false,
+            ...(closed ? { closed: true } : {}),
+            style
+        });
+    }
+
+    /**
+     * Import a text element (tspans are joined into one line)
+     */
+    importText(node, matrix, props, opacity) {
+        const style = this.getStyle({ ...props, stroke: 'none' }, opacity, matrix);
+        const text = (node.textContent || '').replace(/\s+/g, ' ').trim();
+        if (!style || !text) return;
+
+        if (node.querySelector('tspan[x], tspan[y], tspan[dy]')) {
+            this.warnings.add('Text with positioned <tspan> lines is imported as a single line');
+        }
+
+        const fontSize = this.parseNumber(props['font-size'], 16);
+        const fontFamily = props['font-family'].replace(/["']/g, '');
+        this.measureCtx.font = `${fontSize}px ${fontFamily}`;
+        const width = this.measureCtx.measureText(text).width;
+
+        let x = this.parseNumber(this.getFirstValue(node.getAttribute('x')), 0);
+        const y = this.parseNumber(this.getFirstValue(node.getAttribute('y')), 0);
+
+        if (props['text-anchor'] === 'middle') {
+            x -= width / 2;
+        } else if (props['text-anchor'] === 'end') {
+            x -= width;
+        }
+
+        // SVG positions text by its baseline; the board by the top of the em box
+        const box = { x, y: y - fontSize * 0.8, width, height: fontSize };
+
+        const decomposed = SVGImporter.decompose(matrix);
+        if (decomposed.skewed || decomposed.mirrored) {
+            this.warnings.add('Skewed or mirrored text is imported without the skew or mirroring');
+        }
+
+        const center = SVGImporter.applyToPoint(matrix, { x: box.x + box.width / 2, y: box.y + box.height / 2 });
+        const scale = decomposed.scaleY;
+
+        this.elements.push({
+            type: 'text',
+            x: center.x - (box.width * scale) / 2,
+            y: center.y - (box.height * scale) / 2,
+            width: box.width * scale,
+            height: box.height * scale,
+            text,
+            fontFamily,
+            fontSize: fontSize * scale,
+            style,
+            ...(decomposed.rotation ? { rotation: decomposed.rotation } : {})
+        });
+    }
+
+    /**
+     * Import an embedded image
+     */
+    importImage(node, matrix, props, opacity) {
+        const src = node.getAttribute('href') || node.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+        const box = {
+            x: this.parseNumber(node.getAttribute('x'), 0),
+            y: this.parseNumber(node.getAttribute('y'), 0),
+            width: this.parseNumber(node.getAttribute('width'), 0),
+            height: this.parseNumber(node.getAttribute('height'), 0)
+        };
+
+        if (!src || box.width <= 0 || box.height <= 0) {
+            this.warnings.add('Images without a source or size are skipped');
+            return;
+        }
+
+        // Linked images from other origins would taint the canvas (and break thumbnails and PNG export)
+        if (!/^data:image\//i.test(src.trim())) {
+            this.warnings.add('Linked images are skipped; only images embedded in the SVG are imported');
+            return;
+        }
+
+        if (SVGImporter.decompose(matrix).mirrored) {
+            this.warnings.add('Mirrored images are imported without mirroring');
+        }
+
+        this.addBoxElement({ type: 'image', src, ...(opacity < 1 ? { style: { opacity } } : {}) }, box, matrix);
+    }
+
+    /**
+     * Parse path data into flattened subpaths
+     * @param {string} d - Path data
+     * @returns {Array} Subpaths [{points, closed}]
+     */
+    parsePath(d) {
+        const subpaths = [];
+        let current = null;
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let lastControl = null;
+        let lastCommand = '';
+        let index = 0;
+
+        const skipSeparators = () => {
+            while (index < d.length && /[\s,]/.test(d[index])) index++;
+        };
+        const readNumber = () => {
+            skipSeparators();
+            const match = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(d.slice(index));
+            if (!match) throw new Error('Invalid path data');
+            index += match[0].length;
+            return parseFloat(match[0]);
+        };
+        // Arc flags may be written without separators ("a1 1 0 00 1 1")
+        const readFlag = () => {
+            skipSeparators();
+            const flag = d[index++];
+            if (flag !== '0' && flag !== '1') throw new Error('Invalid path data');
+            return flag === '1';
+        };
+        const lineTo = (nx, ny) => {
+            if (!current) {
+                current = { points: [{ x, y }], closed: false };
+                subpaths.push(current);
+            }
+            current.points.push({ x: nx, y: ny });
+            x = nx;
+            y = ny;
+        };
+        const curveTo = (points) => {
+            points.forEach(point => current.points.push(point));
+            const last = points[points.length - 1];
+            x = last.x;
+            y = last.y;
+        };
+
+        try {
+            while (true) {
+                skipSeparators();
+                if (index >= d.length) break;
+
+                let command = d[index];
+                if (/[a-zA-Z]/.test(command)) {
+                    index++;
+                } else if (lastCommand && !/[Zz]/.test(lastCommand)) {
+                    // Repeated parameters reuse the previous command (after M comes L)
+                    command = lastCommand === 'M' ? 'L' : lastCommand === 'm' ? 'l' : lastCommand;
+                } else {
+                    throw new Error('Invalid path data');
+                }
+
+                const relative = command === command.toLowerCase();
+                const ox = relative ? x : 0;
+                const oy = relative ? y : 0;
+                let control = null;
+
+                switch (command.toUpperCase()) {
+                    case 'M':
+                        x = readNumber() + ox;
+                        y = readNumber() + oy;
+                        startX = x;
+                        startY = y;
+                        current = { points: [{ x, y }], closed: false };
+                        subpaths.push(current);
+                        break;
+                    case 'L':
+                        lineTo(readNumber() + ox, readNumber() + oy);
+                        break;
+                    case 'H':
+                        lineTo(readNumber() + ox, y);
+                        break;
+                    case 'V':
+                        lineTo(x, readNumber() + oy);
+                        break;
+                    case 'C':
+                    case 'S': {
+                        let c1;
+                        if (command.toUpperCase() === 'C') {
+                            c1 = { x: readNumber() + ox, y: readNumber() + oy };
+                        } else {
+                            c1 = lastControl && /[CcSs]/.test(lastCommand)
+                                ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+                                : { x, y };
+                        }
+                        const c2 = { x: readNumber() + ox, y: readNumber() + oy };
+                        const end = { x: readNumber() + ox, y: readNumber() + oy };
+                        if (!current) lineTo(x, y);
+                        curveTo(SVGImporter.flattenCubic({ x, y }, c1, c2, end));
+                        control = c2;
+                        break;
+                    }
+                    case 'Q':
+                    case 'T': {
+                        let c;
+                        if (command.toUpperCase() === 'Q') {
+                            c = { x: readNumber() + ox, y: readNumber() + oy };
+                        } else {
+                            c = lastControl && /[QqTt]/.test(lastCommand)
+                                ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+                                : { x, y };
+                        }
+                        const end = { x: readNumber() + ox, y: readNumber() + oy };
+                        if (!current) lineTo(x, y);
+                        curveTo(SVGImporter.flattenQuadratic({ x, y }, c, end));
+                        control = c;
+                        break;
+                    }
+                    case 'A': {
+                        const rx = readNumber();
+                        const ry = readNumber();
+                        const rotation = readNumber();
+                        const largeArc = readFlag();
+                        const sweep = readFlag();
+                        const end = { x: readNumber() + ox, y: readNumber() + oy };
+                        if (!current) lineTo(x, y);
+                        curveTo(SVGImporter.flattenArc({ x, y }, rx, ry, rotation, largeArc, sweep, end));
+                        break;
+                    }
+                    case 'Z':
+                        if (current) {
+                            current.closed = true;
+                            current = null;
+                        }
+                        x = startX;
+                        y = startY;
+                        break;
+                    default:
+                        throw new Error('Invalid path data');
+                }
+
+                lastControl = control;
+                lastCommand = command;
+            }
+        } catch (error) {
+            this.warnings.add('Some path data could not be parsed and was cut short');
+        }
+
+        return subpaths.filter(subpath => subpath.points.length > 1);
+    }
+
+    /**
+     * Parse a transform list into a matrix
+     * @param {string} value - Transform attribute
+     * @returns {Array} Matrix [a, b, c, d, e, f]
+     */
+    parseTransform(value) {
+        let matrix = SVGImporter.identity();
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+
+        while ((match = pattern.exec(value)) !== null) {
+            const args = match[2].trim().split(/[\s,]+/).map(parseFloat).filter(arg => !isNaN(arg));
+            let next;
+
+            switch (match[1]) {
+                case 'matrix':
+                    next = args.length === 6 ? args : SVGImporter.identity();
+                    break;
+                case 'translate':
+                    next = SVGImporter.translation(args[0] || 0, args[1] || 0);
+                    break;
+                case 'scale':
+                    next = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+                    break;
+                case 'rotate': {
+                    const angle = Utils.toRadians(args[0] || 0);
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    next = [cos, sin, -sin, cos, 0, 0];
+                    if (args.length === 3) {
+                        next = SVGImporter.multiply(
+                            SVGImporter.multiply(SVGImporter.translation(args[1], args[2]), next),
+                            SVGImporter.translation(-args[1], -args[2])
+                        );
+                    }
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan(Utils.toRadians(args[0] || 0)), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    next = [1, Math.tan(Utils.toRadians(args[0] || 0)), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = SVGImporter.multiply(matrix, next);
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Parse a number attribute
+     */
+    parseNumber(value, fallback) {
+        const number = parseFloat(value);
+        return isNaN(number) ? fallback : number;
+    }
+
+    /**
+     * Get the first value of a list attribute (text x/y may list one value per glyph)
+     */
+    getFirstValue(value) {
+        return value ? value.trim().split(/[\s,]+/)[0] : value;
+    }
+
+    /**
+     * Identity matrix
+     */
+    static identity() {
+        return [1, 0, 0, 1, 0, 0];
+    }
+
+    /**
+     * Translation matrix
+     */
+    static translation(x, y) {
+        return [1, 0, 0, 1, x, y];
+    }
+
+    /**
+     * Multiply two matrices (n is applied first, then m)
+     */
+    static multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    /**
+     * Transform a point
+     */
+    static applyToPoint(m, point) {
+        return {
+            x: m[0] * point.x + m[2] * point.y + m[4],
+            y: m[1] * point.x + m[3] * point.y + m[5]
+        };
+    }
+
+    /**
+     * Split a matrix into rotation and scale
+     * @returns {Object} {rotation, scaleX, scaleY, skewed, mirrored}
+     */
+    static decompose(m) {
+        const scaleX = Math.hypot(m[0], m[1]) || 1;
+        const determinant = m[0] * m[3] - m[1] * m[2];
+        const shear = (m[0] * m[2] + m[1] * m[3]) / (scaleX * scaleX);
+
+        return {
+            rotation: Math.atan2(m[1], m[0]),
+            scaleX,
+            scaleY: Math.abs(determinant) / scaleX || 1,
+            skewed: Math.abs(shear) > 1e-6,
+            mirrored: determinant < 0
+        };
+    }
+
+    /**
+     * Get the number of segments used to flatten a curve of a given rough length
+     */
+    static getSegmentCount(length) {
+        return Utils.clamp(Math.ceil(length / 4), 4, 64);
+    }
+
+    /**
+     * Flatten a cubic Bézier curve (excluding its start point)
+     */
+    static flattenCubic(p0, p1, p2, p3) {
+        const length = Utils.distance(p0.x, p0.y, p1.x, p1.y) + Utils.distance(p1.x, p1.y, p2.x, p2.y) +
+            Utils.distance(p2.x, p2.y, p3.x, p3.y);
+        const segments = SVGImporter.getSegmentCount(length);
+        const points = [];
+
+        for (let i = 1; i <= segments; i++) {
+            const t = i / segments;
+            const mt = 1 - t;
+            points.push({
+                x: mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x,
+                y: mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Flatten a quadratic Bézier curve (excluding its start point)
+     */
+    static flattenQuadratic(p0, p1, p2) {
+        const length = Utils.distance(p0.x, p0.y, p1.x, p1.y) + Utils.distance(p1.x, p1.y, p2.x, p2.y);
+        const segments = SVGImporter.getSegmentCount(length);
+        const points = [];
+
+        for (let i = 1; i <= segments; i++) {
+            const t = i / segments;
+            const mt = 1 - t;
+            points.push({
+                x: mt * mt * p0.x + 2 * mt * t * p1.x + t * t * p2.x,
+                y: mt * mt * p0.y + 2 * mt * t * p1.y + t * t * p2.y
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Flatten an elliptical arc (excluding its start point), following the
+     * endpoint-to-center conversion in the SVG specification
+     */
+    static flattenArc(from, rx, ry, rotationDegrees, largeArc, sweep, to) {
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0 || (from.x === to.x && from.y === to.y)) {
+            return [to];
+        }
+
+        const phi = Utils.toRadians(rotationDegrees);
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (from.x - to.x) / 2;
+        const dy = (from.y - to.y) / 2;
+        const x1 = cos * dx + sin * dy;
+        const y1 = -sin * dx + cos * dy;
+
+        // Scale up radii that are too small to reach the end point
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        let factor = Math.sqrt(Math.max(0, numerator / denominator));
+        if (largeArc === sweep) factor = -factor;
+
+        const cx1 = factor * (rx * y1) / ry;
+        const cy1 = factor * -(ry * x1) / rx;
+        const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+        const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const startAngle = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+        let sweepAngle = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+
+        if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+        if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+        const segments = SVGImporter.getSegmentCount(Math.abs(sweepAngle) * Math.max(rx, ry));
+        const points = [];
+
+        for (let i = 1; i <= segments; i++) {
+            const theta = startAngle + sweepAngle * (i / segments);
+            const ex = rx * Math.cos(theta);
+            const ey = ry * Math.sin(theta);
+            points.push({
+                x: cos * ex - sin * ey + cx,
+                y: sin * ex + cos * ey + cy
+            });
+        }
+
+        // Land exactly on the end point
+        points[points.length - 1] = { x: to.x, y: to.y };
+        return points;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SVGImporter;
+}
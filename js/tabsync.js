@@ -0,0 +1,254 @@
+/**
+ * Multi-tab sync for the Online Whiteboard Tool
+ *
+ * Tabs of the same browser that have the same board open share their edits
+ * over a BroadcastChannel, so every tab shows the same board. Only one tab per
+ * board (the one holding the board's Web Lock) writes the session and auto-save
+ * snapshots; when it closes, the lock passes to the next tab.
+ */
+
+class TabSync {
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.canvasManager.tabSync = this;
+
+        this.tabId = Utils.generateId();
+        this.channel = null;
+
+        // Board this tab holds (or waits for) the lock of
+        this.documentId = null;
+        this.lockAbort = null;
+        this.releaseLock = null;
+        this.isOwner = !TabSync.hasLocks();
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel('whiteboard-sync');
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        }
+    }
+
+    /**
+     * Whether the browser supports the Web Locks API
+     * @returns {boolean} True if supported
+     */
+    static hasLocks() {
+        return typeof navigator !== 'undefined' && !!navigator.locks;
+    }
+
+    /**
+     * Whether this tab may write the open board to storage
+     * @returns {boolean} True if this tab owns the board
+     */
+    canPersist() {
+        return this.isOwner;
+    }
+
+    /**
+     * Switch to a board: wait for its lock and catch up with tabs that have it open
+     * @param {string} documentId - Board (session) ID
+     */
+    openDocument(documentId) {
+        if (documentId === this.documentId) return;
+
+        this.closeDocument();
+        this.documentId = documentId;
+
+        if (TabSync.hasLocks()) {
+            this.isOwner = false;
+            this.lockAbort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+            const options = this.lockAbort ? { signal: this.lockAbort.signal } : {};
+            navigator.locks.request(`whiteboard-document:${documentId}`, options, () => {
+                this.lockAbort = null;
+                this.isOwner = true;
+
+                // Save what this tab has, including its undo history, as the board's state
+                this.canvasManager.persistSession();
+
+                return new Promise(resolve => {
+                    this.releaseLock = resolve;
+                });
+            }).catch(error => {
+                if (error.name !== 'AbortError') {
+                    console.warn('Failed to lock board:', error);
+                }
+            });
+        }
+
+        // The stored session can lag behind a tab that is editing the board
+        this.post({ type: 'state-request', documentId });
+    }
+
+    /**
+     * Give up the lock of the current board
+     */
+    closeDocument() {
+        if (this.lockAbort) {
+            this.lockAbort.abort();
+            this.lockAbort = null;
+        }
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+
+        this.documentId = null;
+        this.isOwner = !TabSync.hasLocks();
+    }
+
+    /**
+     * Send a command that changed the open board to the other tabs
+     * @param {Object} command - Command that was applied to the scene
+     * @param {string|null} room - Collaboration room the command came from or was sent to
+     */
+    broadcastCommand(command, room = this.getRoom()) {
+        if (!this.documentId) return;
+
+        this.post({ type: 'op', documentId: this.documentId, room, command });
+    }
+
+    /**
+     * Handle a message from another tab
+     * @param {Object} message - Message
+     */
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId || message.documentId !== this.documentId) return;
+
+        switch (message.type) {
+            case 'op':
+                this.applyCommand(message);
+                break;
+            case 'state-request':
+                if (this.isOwner && this.canvasManager.isSessionRestored) {
+                    this.post({
+                        type: 'state',
+                        documentId: this.documentId,
+                        to: message.tabId,
+                        ...this.canvasManager.scene.getState()
+                    });
+                }
+                break;
+            case 'state':
+                if (message.to === this.tabId && !this.isOwner) {
+                    this.canvasManager.scene.loadState(message);
+                    this.afterChange();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Apply a command from another tab
+     * @param {Object} message - Message {room, command}
+     */
+    applyCommand(message) {
+        const room = this.getRoom();
+
+        // Both tabs are in the same room, which delivers the command itself
+        if (room && message.room === room) return;
+
+        const inverse = this.canvasManager.scene.merge(message.command);
+
+        // Pass it on to this tab's room, as if it were made here
+        if (room) {
+            this.canvasManager.collaboration.handleLocalCommand(message.command, inverse);
+        }
+
+        this.afterChange();
+    }
+
+    /**
+     * Redraw and persist after another tab changed the board
+     */
+    afterChange() {
+        this.canvasManager.redrawCanvas();
+
+        if (this.canvasManager.persistSessionLater) {
+            this.canvasManager.persistSessionLater();
+        }
+    }
+
+    /**
+     * Get the room this tab is collaborating in
+     * @returns {string|null} Room name
+     */
+    getRoom() {
+        const collaboration = this.canvasManager.collaboration;
+        return collaboration && collaboration.isConnected() ? collaboration.room : null;
+    }
+
+    /**
+     * Post a message to the other tabs
+     * @param {Object} message - Message
+     */
+    post(message) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ ...message, tabId: this.tabId });
+        } catch (error) {
+            console.warn('Failed to sync tabs:', error);
+        }
+    }
+
+    /**
+     * Mark this tab as running and check whether a tab ended without closing normally
+     *
+     * Every tab keeps its own marker in localStorage, removed when it closes
+     * normally (markClosed), and holds a Web Lock while it is open. A marker
+     * whose lock nobody holds was left by a tab that crashed.
+     * @returns {Promise<boolean>} True if a tab crashed since the last visit
+     */
+    markRunning() {
+        const prefix = 'whiteboard_running:';
+        const others = Utils.Storage.keys(prefix);
+        Utils.Storage.save(prefix + this.tabId, Date.now());
+        // Older versions used one flag for all tabs
+        Utils.Storage.remove('whiteboard_running');
+
+        if (!TabSync.hasLocks()) {
+            // Open tabs cannot be told from crashed ones, so any marker left counts
+            others.forEach(key => Utils.Storage.remove(key));
+            return Promise.resolve(others.length > 0);
+        }
+
+        navigator.locks.request(`whiteboard-tab:${this.tabId}`, () => new Promise(() => {}));
+
+        return navigator.locks.query()
+            .then(state => {
+                // A tab that just started may still be waiting for its lock
+                const alive = new Set(state.held.concat(state.pending).map(lock => lock.name));
+                const crashed = others.filter(key => !alive.has(`whiteboard-tab:${key.slice(prefix.length)}`));
+                crashed.forEach(key => Utils.Storage.remove(key));
+                return crashed.length > 0;
+            })
+            .catch(error => {
+                console.warn('Failed to check for a crash:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Remove this tab's running marker (the page closes normally)
+     */
+    markClosed() {
+        Utils.Storage.remove(`whiteboard_running:${this.tabId}`);
+    }
+
+    /**
+     * Stop syncing (the page is closing)
+     */
+    close() {
+        this.closeDocument();
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSync;
+}
@@ -3,15 +3,17 @@
  */
 
 class DrawingTools {
-    constructor(canvas, ctx) {
+    constructor(canvas, ctx, canvasManager) {
         this.canvas = canvas;
         this.ctx = ctx;
+        this.canvasManager = canvasManager;
+        this.scene = canvasManager.scene;
         this.currentTool = 'brush';
         this.isDrawing = false;
         this.lastPoint = null;
-        this.selectedObjects = [];
-        this.tempCanvas = document.createElement('canvas');
-        this.tempCtx = this.tempCanvas.getContext('2d');
+        this.selectedIds = [];
+        this.draft = null;
+        this.pointerPosition = null;
         
         // Tool settings
         this.settings = {
@@ -21,7 +23,12 @@ class DrawingTools {
             lineStyle: 'solid',
             fillStyle: 'none',
             fontFamily: 'Arial',
-            fontSize: 16
+            fontSize: 16,
+            lineHeight: 1.2,
+            textAlign: 'left',
+            noteColor: '#fff176',
+            routing: 'straight',
+            arrowhead: true
         };
         
         this.initializeTools();
@@ -39,7 +46,9 @@ class DrawingTools {
             line: new LineTool(this),
             arrow: new ArrowTool(this),
             triangle: new TriangleTool(this),
+            connector: new ConnectorTool(this),
             text: new TextTool(this),
+            note: new StickyNoteTool(this),
             selection: new SelectionTool(this),
             image: new ImageTool(this)
         };
@@ -51,8 +60,14 @@ class DrawingTools {
      */
     setTool(toolName) {
         if (this.tools[toolName]) {
+            this.finishEditing();
             this.currentTool = toolName;
+            this.draft = null;
+            if (toolName !== 'selection') {
+                this.clearSelection();
+            }
             this.updateToolUI();
+            this.redrawCanvas();
         }
     }
 
@@ -95,18 +110,37 @@ class DrawingTools {
             line: 'crosshair',
             arrow: 'crosshair',
             triangle: 'crosshair',
+            connector: 'crosshair',
             text: 'text',
+            note: 'copy',
             selection: 'default',
             image: 'crosshair'
         };
 
-        this.canvas.style.cursor = cursorMap[this.currentTool] || 'crosshair';
+        this.canvas.style.cursor = this.canDraw()
+            ? cursorMap[this.currentTool] || 'crosshair'
+            : 'not-allowed';
+    }
+
+    /**
+     * Check whether the current tool can work on the active layer
+     * (only the selection tool works while the active layer is hidden or locked)
+     * @returns {boolean} True if the tool can be used
+     */
+    canDraw() {
+        const layer = this.scene.getActiveLayer();
+        return this.currentTool === 'selection' || (layer.visible && !layer.locked);
     }
 
     /**
      * Handle mouse/touch events
      */
     handleMouseDown(e) {
+        // Clicking the canvas does not blur the editors (see CanvasManager.handlePointerDown);
+        // with the text tool the click only finishes the text being typed
+        if (this.finishEditing() && this.currentTool === 'text') return;
+        if (!this.canDraw()) return;
+
         const point = this.getEventPoint(e);
         this.isDrawing = true;
         this.lastPoint = point;
@@ -119,12 +153,15 @@ class DrawingTools {
 
     handleMouseMove(e) {
         const point = this.getEventPoint(e);
+        this.pointerPosition = point;
         
+        const tool = this.getCurrentTool();
         if (this.isDrawing) {
-            const tool = this.getCurrentTool();
             if (tool && tool.onMouseMove) {
                 tool.onMouseMove(point, e);
             }
+        } else if (tool && tool.onMouseHover) {
+            tool.onMouseHover(point, e);
         }
         
         // Update coordinates display
@@ -144,16 +181,96 @@ class DrawingTools {
     }
 
     /**
-     * Get point from mouse/touch event
-     * @param {Event} e - Mouse or touch event
-     * @returns {Object} Point coordinates {x, y}
+     * Edit the text, sticky note or connector label under a double-click
+     */
+    handleDoubleClick(e) {
+        const element = this.scene.hitTest(this.getEventPoint(e), this.tools.selection.getTolerance());
+        if (element && element.type === 'text') {
+            this.tools.text.edit(element);
+        } else if (element && element.type === 'note') {
+            this.tools.note.edit(element);
+        } else if (element && element.type === 'connector') {
+            this.tools.connector.editLabel(element);
+        }
+    }
+
+    /**
+     * Keep tool UI placed over the canvas in step with the view
+     */
+    handleRedraw() {
+        this.tools.text.updateEditor();
+        this.tools.note.updateEditor();
+    }
+
+    /**
+     * Get the ID of the text or sticky note open in an editor (left out of rendering meanwhile)
+     * @returns {string|null} Element ID
+     */
+    getEditingId() {
+        return this.tools.text.getEditingId() || this.tools.note.getEditingId();
+    }
+
+    /**
+     * Get the element to render on top of the board: the one being drawn, or the note being edited
+     * @returns {Object|null} Element
+     */
+    getDraft() {
+        return this.draft || this.tools.note.getEditingElement();
+    }
+
+    /**
+     * Close the text or sticky note editor, keeping what was typed
+     * @returns {boolean} True if an editor was open
+     */
+    finishEditing() {
+        const wasEditing = !!(this.tools.text.editing || this.tools.note.editing);
+        this.tools.text.finishEditing();
+        this.tools.note.finishEditing();
+        return wasEditing;
+    }
+
+    /**
+     * Get point from a pointer event
+     * @param {Event} e - Pointer or mouse event
+     * @returns {Object} Point in world coordinates {x, y}
      */
     getEventPoint(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const clientX = e.clientX || (e.touches && e.touches[0] ? e.touches[0].clientX : 0);
-        const clientY = e.clientY || (e.touches && e.touches[0] ? e.touches[0].clientY : 0);
+        return this.canvasManager.getEventPoint(e);
+    }
+
+    /**
+     * Get every input sample of a pointer event: browsers merge fast pen and
+     * mouse input into one event per frame and keep the rest as coalesced events
+     * @param {Event} e - Pointer or mouse event
+     * @returns {Array} Samples {x, y, pressure, tilt} in world coordinates; pressure
+     *   (0-1) is null unless a pen reported it, tilt is in degrees from upright
+     */
+    getEventSamples(e) {
+        const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+
+        return (coalesced.length > 0 ? coalesced : [e]).map(event => {
+            const isPen = event.pointerType === 'pen';
+            return {
+                ...this.getEventPoint(event),
+                pressure: isPen ? event.pressure : null,
+                tilt: isPen ? Math.min(90, Math.hypot(event.tiltX || 0, event.tiltY || 0)) : 0
+            };
+        });
+    }
+
+    /**
+     * Abandon the in-progress action without committing it
+     */
+    cancelCurrentAction() {
+        const tool = this.getCurrentTool();
+        if (this.isDrawing && tool && tool.cancel) {
+            tool.cancel();
+        }
         
-        return Utils.screenToCanvas(clientX, clientY, this.canvas);
+        this.isDrawing = false;
+        this.lastPoint = null;
+        this.draft = null;
+        this.redrawCanvas();
     }
 
     /**
@@ -171,25 +288,93 @@ class DrawingTools {
      * Apply current settings to context
      */
     applySettings() {
-        this.ctx.strokeStyle = this.settings.color;
-        this.ctx.fillStyle = this.settings.color;
-        this.ctx.lineWidth = this.settings.brushSize;
-        this.ctx.globalAlpha = this.settings.opacity;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        
-        // Apply line style
-        switch (this.settings.lineStyle) {
-            case 'dashed':
-                this.ctx.setLineDash([this.settings.brushSize * 2, this.settings.brushSize]);
-                break;
-            case 'dotted':
-                this.ctx.setLineDash([this.settings.brushSize, this.settings.brushSize]);
-                break;
-            default:
-                this.ctx.setLineDash([]);
+        Scene.applyStyle(this.ctx, this.settings);
+    }
+
+    /**
+     * Get a snapshot of the current settings to store on a new element
+     * @returns {Object} Element style
+     */
+    getStyle() {
+        return {
+            color: this.settings.color,
+            brushSize: this.settings.brushSize,
+            opacity: this.settings.opacity,
+            lineStyle: this.settings.lineStyle,
+            fillStyle: this.settings.fillStyle
+        };
+    }
+
+    /**
+     * Get the selected elements that still exist in the scene
+     * @returns {Array} Selected elements
+     */
+    getSelectedElements() {
+        return this.selectedIds
+            .map(id => this.scene.get(id))
+            .filter(element => element !== null);
+    }
+
+    /**
+     * Replace the selection
+     * @param {Array} ids - Element IDs to select
+     */
+    setSelection(ids) {
+        this.selectedIds = ids.slice();
+    }
+
+    /**
+     * Add or remove an element from the selection
+     * @param {string} id - Element ID
+     */
+    toggleSelection(id) {
+        if (this.isSelected(id)) {
+            this.selectedIds = this.selectedIds.filter(selectedId => selectedId !== id);
+        } else {
+            this.selectedIds.push(id);
+        }
+    }
+
+    /**
+     * Check whether an element is selected
+     * @param {string} id - Element ID
+     * @returns {boolean} True if selected
+     */
+    isSelected(id) {
+        return this.selectedIds.includes(id);
+    }
+
+    /**
+     * Clear the selection
+     */
+    clearSelection() {
+        this.selectedIds = [];
+        const selectionTool = this.tools && this.tools.selection;
+        if (selectionTool) {
+            selectionTool.selectedArea = null;
         }
     }
+
+    /**
+     * Add a finished element to the scene and record it in history
+     * @param {Object} element - Element to add
+     * @param {string} description - History description
+     * @returns {Object} The added element
+     */
+    commitElement(element, description) {
+        this.draft = null;
+        this.scene.add(element);
+        this.redrawCanvas();
+        this.canvasManager.recordAdd([element], description);
+        return element;
+    }
+
+    /**
+     * Re-render the scene together with the in-progress element
+     */
+    redrawCanvas() {
+        this.canvasManager.redrawCanvas();
+    }
 }
 
 /**
@@ -200,152 +385,187 @@ class BaseTool {
         this.tools = tools;
         this.canvas = tools.canvas;
         this.ctx = tools.ctx;
+        this.scene = tools.scene;
         this.settings = tools.settings;
     }
 
     applySettings() {
         this.tools.applySettings();
     }
+
+    redrawCanvas() {
+        this.tools.redrawCanvas();
+    }
+
+    commit(element, description) {
+        return this.tools.commitElement(element, description);
+    }
+
+    cancelDraft() {
+        this.tools.draft = null;
+        this.redrawCanvas();
+    }
 }
 
 /**
  * Brush tool for freehand drawing
+ *
+ * Solid strokes are drawn as ink: points carry the pen's pressure and tilt
+ * (or, for mouse and touch, a pressure simulated from the drawing speed) and
+ * the stroke is filled as an outline whose width follows them. Input is
+ * streamlined so that hand jitter does not show. Dashed and dotted strokes
+ * keep a constant width.
  */
 class BrushTool extends BaseTool {
     constructor(tools) {
         super(tools);
         this.points = [];
+
+        // How far each point lags behind the pointer (0 follows it exactly)
+        this.streamline = 0.4;
+
+        // Last raw sample, added as the final point so the stroke ends at the pointer
+        this.lastSample = null;
     }
 
     onMouseDown(point, e) {
-        this.points = [point];
-        this.applySettings();
-        this.ctx.beginPath();
-        this.ctx.moveTo(point.x, point.y);
+        const isInk = this.settings.lineStyle === 'solid';
+        this.points = [];
+        this.lastSample = null;
+        this.tools.draft = {
+            type: 'stroke',
+            points: this.points,
+            style: this.tools.getStyle()
+        };
+
+        if (isInk) {
+            this.tools.draft.ink = true;
+        }
+        if (isInk && e) {
+            this.tools.getEventSamples(e).forEach(sample => this.addSample(sample));
+        } else {
+            this.points.push(point);
+        }
+        this.redrawCanvas();
     }
 
     onMouseMove(point, e) {
-        this.points.push(point);
-        
-        // Draw smooth curve through points
-        if (this.points.length >= 3) {
-            const lastTwoPoints = this.points.slice(-2);
-            const cp1x = lastTwoPoints[0].x;
-            const cp1y = lastTwoPoints[0].y;
-            const cp2x = point.x;
-            const cp2y = point.y;
-            
-            this.ctx.quadraticCurveTo(cp1x, cp1y, cp2x, cp2y);
+        if (!this.tools.draft) return;
+
+        if (this.tools.draft.ink && e) {
+            this.tools.getEventSamples(e).forEach(sample => this.addSample(sample));
         } else {
-            this.ctx.lineTo(point.x, point.y);
+            this.points.push(point);
         }
-        
-        this.ctx.stroke();
+        this.redrawCanvas();
     }
 
     onMouseUp(point, e) {
+        if (!this.tools.draft) return;
+
+        if (this.tools.draft.ink && this.lastSample) {
+            this.addPoint(this.lastSample.x, this.lastSample.y, this.lastSample);
+        }
+
         if (this.points.length > 1) {
-            // Add to history
-            if (historyManager && !historyManager.isUndoRedoInProgress()) {
-                const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                historyManager.addState({ imageData }, 'Brush Stroke');
-            }
+            this.commit(this.tools.draft, 'Brush Stroke');
+        } else {
+            this.cancelDraft();
         }
+        this.points = [];
+        this.lastSample = null;
     }
-}
 
-/**
- * Eraser tool
- */
-class EraserTool extends BaseTool {
-    constructor(tools) {
-        super(tools);
-        this.originalComposite = this.ctx.globalCompositeOperation;
+    cancel() {
+        this.points = [];
+        this.lastSample = null;
     }
 
-    onMouseDown(point, e) {
-        this.ctx.globalCompositeOperation = 'destination-out';
-        this.ctx.lineWidth = this.settings.brushSize;
-        this.ctx.beginPath();
-        this.ctx.moveTo(point.x, point.y);
-    }
+    /**
+     * Add an input sample to the ink stroke, streamlined towards the previous point
+     * @param {Object} sample - Sample {x, y, pressure, tilt} (see DrawingTools.getEventSamples)
+     */
+    addSample(sample) {
+        const last = this.points[this.points.length - 1];
+        this.lastSample = sample;
 
-    onMouseMove(point, e) {
-        this.ctx.lineTo(point.x, point.y);
-        this.ctx.stroke();
+        if (!last) {
+            this.addPoint(sample.x, sample.y, sample);
+            return;
+        }
+
+        const keep = this.streamline;
+        this.addPoint(last.x + (sample.x - last.x) * (1 - keep), last.y + (sample.y - last.y) * (1 - keep), sample);
     }
 
-    onMouseUp(point, e) {
-        this.ctx.globalCompositeOperation = this.originalComposite;
-        
-        // Add to history
-        if (historyManager && !historyManager.isUndoRedoInProgress()) {
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            historyManager.addState({ imageData }, 'Eraser');
+    /**
+     * Append a point with its pressure and tilt
+     * @param {number} x - X
+     * @param {number} y - Y
+     * @param {Object} sample - Sample the point comes from
+     */
+    addPoint(x, y, sample) {
+        const last = this.points[this.points.length - 1];
+        const distance = last ? Utils.distance(last.x, last.y, x, y) : 0;
+
+        // Samples that hardly move add nothing but outline noise
+        if (last && distance < 0.5) return;
+
+        let pressure = sample.pressure;
+        if (pressure === null) {
+            // Faster movement draws thinner, like a pen pulled quickly across paper
+            const previous = last ? last.pressure : 0.5;
+            const speed = Math.min(1, distance / (this.settings.brushSize * 2));
+            pressure = previous + (0.6 - 0.3 * speed - previous) * 0.3;
+        }
+
+        const point = { x, y, pressure: Math.round(Utils.clamp(pressure, 0, 1) * 100) / 100 };
+        if (sample.tilt >= 1) {
+            point.tilt = Math.round(sample.tilt);
         }
+        this.points.push(point);
     }
 }
 
 /**
- * Rectangle tool
+ * Eraser tool
  */
-class RectangleTool extends BaseTool {
+class EraserTool extends BaseTool {
     constructor(tools) {
         super(tools);
-        this.startPoint = null;
+        this.points = [];
     }
 
     onMouseDown(point, e) {
-        this.startPoint = point;
-        this.applySettings();
+        this.points = [point];
+        this.tools.draft = {
+            type: 'stroke',
+            erase: true,
+            points: this.points,
+            style: { brushSize: this.settings.brushSize }
+        };
+        this.redrawCanvas();
     }
 
     onMouseMove(point, e) {
-        if (!this.startPoint) return;
+        if (!this.tools.draft) return;
         
-        // Clear canvas and redraw
+        this.points.push(point);
         this.redrawCanvas();
-        
-        const width = point.x - this.startPoint.x;
-        const height = point.y - this.startPoint.y;
-        
-        this.ctx.beginPath();
-        this.ctx.rect(this.startPoint.x, this.startPoint.y, width, height);
-        
-        if (this.settings.fillStyle === 'solid') {
-            this.ctx.fill();
-        }
-        this.ctx.stroke();
     }
 
     onMouseUp(point, e) {
-        if (!this.startPoint) return;
-        
-        const width = point.x - this.startPoint.x;
-        const height = point.y - this.startPoint.y;
-        
-        // Only add to history if rectangle has size
-        if (Math.abs(width) > 2 && Math.abs(height) > 2) {
-            if (historyManager && !historyManager.isUndoRedoInProgress()) {
-                const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                historyManager.addState({ imageData }, 'Rectangle');
-            }
-        }
+        if (!this.tools.draft) return;
         
-        this.startPoint = null;
-    }
-
-    redrawCanvas() {
-        // This would need to be implemented to redraw the canvas
-        // For now, we'll just clear and redraw
-        // In a real implementation, you'd want to preserve existing content
+        this.commit(this.tools.draft, 'Eraser');
+        this.points = [];
     }
 }
 
 /**
- * Circle tool
+ * Base class for tools that drag out a shape from a start point
  */
-class CircleTool extends BaseTool {
+class ShapeTool extends BaseTool {
     constructor(tools) {
         super(tools);
         this.startPoint = null;
@@ -353,296 +573,971 @@ class CircleTool extends BaseTool {
 
     onMouseDown(point, e) {
         this.startPoint = point;
-        this.applySettings();
     }
 
     onMouseMove(point, e) {
         if (!this.startPoint) return;
         
+        this.tools.draft = this.createElement(this.startPoint, point);
         this.redrawCanvas();
-        
-        const radius = Utils.distance(this.startPoint.x, this.startPoint.y, point.x, point.y);
-        
-        this.ctx.beginPath();
-        this.ctx.arc(this.startPoint.x, this.startPoint.y, radius, 0, 2 * Math.PI);
-        
-        if (this.settings.fillStyle === 'solid') {
-            this.ctx.fill();
-        }
-        this.ctx.stroke();
     }
 
     onMouseUp(point, e) {
         if (!this.startPoint) return;
         
-        const radius = Utils.distance(this.startPoint.x, this.startPoint.y, point.x, point.y);
+        const element = this.createElement(this.startPoint, point);
         
-        if (radius > 2) {
-            if (historyManager && !historyManager.isUndoRedoInProgress()) {
-                const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                historyManager.addState({ imageData }, 'Circle');
-            }
+        // Only keep shapes that have a visible size
+        if (this.hasSize(this.startPoint, point)) {
+            this.commit(element, this.description);
+        } else {
+            this.cancelDraft();
         }
         
         this.startPoint = null;
     }
 
-    redrawCanvas() {
-        // Implementation needed
+    hasSize(from, to) {
+        return Utils.distance(from.x, from.y, to.x, to.y) > 2;
+    }
+
+    cancel() {
+        this.startPoint = null;
     }
 }
 
 /**
- * Line tool
+ * Rectangle tool
  */
-class LineTool extends BaseTool {
+class RectangleTool extends ShapeTool {
     constructor(tools) {
         super(tools);
-        this.startPoint = null;
+        this.description = 'Rectangle';
     }
 
-    onMouseDown(point, e) {
-        this.startPoint = point;
-        this.applySettings();
+    createElement(from, to) {
+        return {
+            type: 'rectangle',
+            ...Scene.boxFromPoints(from, to),
+            style: this.tools.getStyle()
+        };
     }
 
-    onMouseMove(point, e) {
-        if (!this.startPoint) return;
-        
-        this.redrawCanvas();
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.startPoint.x, this.startPoint.y);
-        this.ctx.lineTo(point.x, point.y);
-        this.ctx.stroke();
+    hasSize(from, to) {
+        return Math.abs(to.x - from.x) > 2 && Math.abs(to.y - from.y) > 2;
     }
+}
 
-    onMouseUp(point, e) {
-        if (!this.startPoint) return;
-        
-        const distance = Utils.distance(this.startPoint.x, this.startPoint.y, point.x, point.y);
-        
-        if (distance > 2) {
-            if (historyManager && !historyManager.isUndoRedoInProgress()) {
-                const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                historyManager.addState({ imageData }, 'Line');
-            }
-        }
-        
-        this.startPoint = null;
+/**
+ * Circle tool
+ */
+class CircleTool extends ShapeTool {
+    constructor(tools) {
+        super(tools);
+        this.description = 'Circle';
     }
 
-    redrawCanvas() {
-        // Implementation needed
+    createElement(from, to) {
+        const radius = Utils.distance(from.x, from.y, to.x, to.y);
+        
+        return {
+            type: 'ellipse',
+            x: from.x - radius,
+            y: from.y - radius,
+            width: radius * 2,
+            height: radius * 2,
+            style: this.tools.getStyle()
+        };
     }
 }
 
 /**
- * Arrow tool
+ * Line tool
  */
-class ArrowTool extends BaseTool {
+class LineTool extends ShapeTool {
     constructor(tools) {
         super(tools);
-        this.startPoint = null;
+        this.description = 'Line';
     }
 
-    onMouseDown(point, e) {
-        this.startPoint = point;
-        this.applySettings();
+    createElement(from, to) {
+        return {
+            type: 'line',
+            points: [{ x: from.x, y: from.y }, { x: to.x, y: to.y }],
+            style: this.tools.getStyle()
+        };
     }
+}
 
-    onMouseMove(point, e) {
-        if (!this.startPoint) return;
-        
-        this.redrawCanvas();
-        this.drawArrow(this.startPoint, point);
+/**
+ * Arrow tool
+ */
+class ArrowTool extends ShapeTool {
+    constructor(tools) {
+        super(tools);
+        this.description = 'Arrow';
     }
 
-    onMouseUp(point, e) {
-        if (!this.startPoint) return;
-        
-        const distance = Utils.distance(this.startPoint.x, this.startPoint.y, point.x, point.y);
-        
-        if (distance > 2) {
-            if (historyManager && !historyManager.isUndoRedoInProgress()) {
-                const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                historyManager.addState({ imageData }, 'Arrow');
-            }
-        }
-        
-        this.startPoint = null;
+    createElement(from, to) {
+        return {
+            type: 'arrow',
+            points: [{ x: from.x, y: from.y }, { x: to.x, y: to.y }],
+            style: this.tools.getStyle()
+        };
     }
+}
 
-    drawArrow(from, to) {
-        const headLength = 15;
-        const angle = Utils.angle(from.x, from.y, to.x, to.y);
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(from.x, from.y);
-        this.ctx.lineTo(to.x, to.y);
-        this.ctx.stroke();
-        
-        // Draw arrow head
-        this.ctx.beginPath();
-        this.ctx.moveTo(to.x, to.y);
-        this.ctx.lineTo(
-            to.x - headLength * Math.cos(angle - Math.PI / 6),
-            to.y - headLength * Math.sin(angle - Math.PI / 6)
-        );
-        this.ctx.moveTo(to.x, to.y);
-        this.ctx.lineTo(
-            to.x - headLength * Math.cos(angle + Math.PI / 6),
-            to.y - headLength * Math.sin(angle + Math.PI / 6)
-        );
-        this.ctx.stroke();
+/**
+ * Triangle tool
+ */
+class TriangleTool extends ShapeTool {
+    constructor(tools) {
+        super(tools);
+        this.description = 'Triangle';
     }
 
-    redrawCanvas() {
-        // Implementation needed
+    createElement(from, to) {
+        return {
+            type: 'triangle',
+            ...Scene.boxFromPoints(from, to),
+            // Dragging upwards puts the apex at the bottom
+            inverted: to.y < from.y,
+            style: this.tools.getStyle()
+        };
     }
 }
 
 /**
- * Triangle tool
+ * Connector tool
+ *
+ * Drags out a connector between two points. An end dropped on a rectangle,
+ * circle, triangle or sticky note attaches to the shape's nearest anchor and
+ * follows the shape when it is moved, resized or rotated.
  */
-class TriangleTool extends BaseTool {
+class ConnectorTool extends BaseTool {
     constructor(tools) {
         super(tools);
-        this.startPoint = null;
+        this.start = null;
+
+        // Shape whose anchors are shown
+        this.hoverId = null;
     }
 
     onMouseDown(point, e) {
-        this.startPoint = point;
-        this.applySettings();
+        this.start = this.snap(point);
     }
 
     onMouseMove(point, e) {
-        if (!this.startPoint) return;
-        
+        if (!this.start) return;
+
+        this.tools.draft = this.createElement(this.start, this.snap(point));
         this.redrawCanvas();
-        this.drawTriangle(this.startPoint, point);
     }
 
-    onMouseUp(point, e) {
-        if (!this.startPoint) return;
-        
-        const distance = Utils.distance(this.startPoint.x, this.startPoint.y, point.x, point.y);
-        
-        if (distance > 2) {
-            if (historyManager && !historyManager.isUndoRedoInProgress()) {
-                const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-                historyManager.addState({ imageData }, 'Triangle');
-            }
+    onMouseHover(point, e) {
+        const hoverId = this.hoverId;
+        this.snap(point);
+        if (this.hoverId !== hoverId) {
+            this.redrawCanvas();
         }
-        
-        this.startPoint = null;
     }
 
-    drawTriangle(from, to) {
-        const width = to.x - from.x;
-        const height = to.y - from.y;
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(from.x + width / 2, from.y);
-        this.ctx.lineTo(from.x, from.y + height);
-        this.ctx.lineTo(from.x + width, from.y + height);
-        this.ctx.closePath();
-        
-        if (this.settings.fillStyle === 'solid') {
-            this.ctx.fill();
+    onMouseUp(point, e) {
+        if (!this.start) return;
+
+        const start = this.start;
+        const end = this.snap(point);
+        this.start = null;
+
+        // Both ends on the same spot or the same shape make no connector
+        const sameShape = start.attachment && end.attachment && start.attachment.elementId === end.attachment.elementId;
+        if (sameShape || Utils.distance(start.point.x, start.point.y, end.point.x, end.point.y) <= 2) {
+            this.cancelDraft();
+            return;
         }
-        this.ctx.stroke();
+
+        this.commit(this.createElement(start, end), 'Connector');
     }
 
-    redrawCanvas() {
-        // Implementation needed
+    cancel() {
+        this.start = null;
     }
-}
 
-/**
+    /**
+     * Snap a point to the nearest anchor of the shape under it
+     * @param {Object} point - Point {x, y}
+     * @returns {Object} End {point, attachment} (attachment is null for a free end)
+     */
+    snap(point) {
+        const anchor = this.scene.findAnchor(point, 6 / this.tools.canvasManager.zoom);
+        this.hoverId = anchor ? anchor.elementId : null;
+
+        if (!anchor) {
+            return { point: { x: point.x, y: point.y }, attachment: null };
+        }
+
+        return {
+            point: { x: anchor.x, y: anchor.y },
+            attachment: { elementId: anchor.elementId, anchor: anchor.anchor, direction: anchor.direction }
+        };
+    }
+
+    createElement(start, end) {
+        return {
+            type: 'connector',
+            points: [start.point, end.point],
+            start: start.attachment,
+            end: end.attachment,
+            routing: this.settings.routing,
+            arrowhead: this.settings.arrowhead,
+            label: '',
+            fontFamily: this.settings.fontFamily,
+            fontSize: this.settings.fontSize,
+            style: this.tools.getStyle()
+        };
+    }
+
+    /**
+     * Ask for a new label and record the change
+     * @param {Object} element - Connector
+     */
+    editLabel(element) {
+        if (!this.scene.isEditable(element)) return;
+
+        const label = prompt('Connector label:', element.label || '');
+        if (label === null || label.trim() === (element.label || '')) return;
+
+        const original = Utils.deepClone(element);
+        this.scene.update(element.id, { label: label.trim() });
+        this.tools.canvasManager.recordUpdate([original], 'Connector Label');
+        this.redrawCanvas();
+    }
+
+    /**
+     * Show the anchors of the shape under the pointer
+     * @param {CanvasRenderingContext2D} ctx - Context with the view transform applied
+     */
+    drawOverlay(ctx) {
+        const element = this.hoverId ? this.scene.get(this.hoverId) : null;
+        if (!element) return;
+
+        const scale = 1 / this.tools.canvasManager.zoom;
+        ctx.save();
+        ctx.strokeStyle = '#007bff';
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 1.5 * scale;
+
+        const anchors = Scene.getAnchors(element);
+        Object.keys(anchors).forEach(name => {
+            ctx.beginPath();
+            ctx.arc(anchors[name].x, anchors[name].y, 4 * scale, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+}
+
+/**
  * Text tool
+ *
+ * Text is typed straight onto the board in an editor laid over the canvas. A
+ * click starts text that grows as it is typed; dragging out a box first gives
+ * text that wraps at the box's width. Bold, italic and underline apply to the
+ * selected characters, while font, size, line height and alignment apply to
+ * the whole element. Clicking or double-clicking text opens it again.
  */
 class TextTool extends BaseTool {
     constructor(tools) {
         super(tools);
-        this.textModal = document.getElementById('text-modal');
-        this.textInput = document.getElementById('text-input');
+        this.toolbar = document.getElementById('text-toolbar');
         this.fontFamilySelect = document.getElementById('font-family');
-        this.fontSizeSlider = document.getElementById('font-size');
-        this.fontSizeValue = document.getElementById('font-size-value');
-        this.textApplyBtn = document.getElementById('text-apply');
-        this.textCancelBtn = document.getElementById('text-cancel');
-        this.clickPoint = null;
-        
-        this.initializeTextModal();
+        this.fontSizeInput = document.getElementById('font-size');
+        this.lineHeightSelect = document.getElementById('line-height');
+        this.startPoint = null;
+        this.endPoint = null;
+
+        // Narrower drags are clicks (text that does not wrap)
+        this.minWrapWidth = 10;
+
+        // Text being edited {element, original, editor}; original is null for new text
+        this.editing = null;
+
+        this.initializeToolbar();
     }
 
-    initializeTextModal() {
-        // Font size slider
-        this.fontSizeSlider.addEventListener('input', (e) => {
-            const size = e.target.value;
-            this.fontSizeValue.textContent = size + 'px';
-            this.settings.fontSize = parseInt(size);
+    initializeToolbar() {
+        if (!this.toolbar) return;
+
+        // Buttons must not take the focus (and the selection) away from the editor
+        this.toolbar.addEventListener('mousedown', (e) => {
+            if (e.target.closest('button')) {
+                e.preventDefault();
+            }
         });
 
-        // Apply text
-        this.textApplyBtn.addEventListener('click', () => {
-            this.addText();
-            this.hideTextModal();
+        this.toolbar.querySelectorAll('.text-format-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                document.execCommand(button.dataset.command);
+                this.updateToolbar();
+            });
         });
 
-        // Cancel text
-        this.textCancelBtn.addEventListener('click', () => {
-            this.hideTextModal();
+        this.toolbar.querySelectorAll('.text-align-btn').forEach(button => {
+            button.addEventListener('click', () => this.setFormat({ align: button.dataset.align }));
         });
 
-        // Close modal
-        this.textModal.querySelector('.modal-close').addEventListener('click', () => {
-            this.hideTextModal();
+        this.fontFamilySelect.addEventListener('change', () => {
+            this.setFormat({ fontFamily: this.fontFamilySelect.value });
+        });
+
+        this.fontSizeInput.addEventListener('change', () => {
+            const size = parseInt(this.fontSizeInput.value);
+            if (size >= 1) {
+                this.setFormat({ fontSize: Math.min(size, 400) });
+            }
+        });
+
+        this.lineHeightSelect.addEventListener('change', () => {
+            this.setFormat({ lineHeight: parseFloat(this.lineHeightSelect.value) });
+        });
+
+        // Moving between the editor and its toolbar keeps the editor open
+        this.toolbar.addEventListener('focusout', (e) => this.handleFocusOut(e));
+
+        document.addEventListener('selectionchange', () => {
+            if (this.editing) {
+                this.updateToolbar();
+            }
         });
     }
 
     onMouseDown(point, e) {
-        this.clickPoint = point;
-        this.showTextModal();
+        this.startPoint = point;
+        this.endPoint = point;
     }
 
     onMouseMove(point, e) {
-        // Text tool doesn't need mouse move
+        if (!this.startPoint) return;
+
+        this.endPoint = point;
+        this.redrawCanvas();
     }
 
     onMouseUp(point, e) {
-        // Text tool doesn't need mouse up
+        if (!this.startPoint) return;
+
+        const box = Scene.boxFromPoints(this.startPoint, point);
+        this.startPoint = null;
+        this.endPoint = null;
+        this.redrawCanvas();
+
+        if (box.width < this.minWrapWidth) {
+            const hit = this.scene.hitTest(point, this.tools.tools.selection.getTolerance());
+            if (hit && hit.type === 'text') {
+                this.edit(hit);
+                return;
+            }
+        }
+
+        const wraps = box.width >= this.minWrapWidth;
+        this.edit({
+            type: 'text',
+            x: wraps ? box.x : point.x,
+            y: wraps ? box.y : point.y,
+            width: 0,
+            height: this.settings.fontSize,
+            text: '',
+            fontFamily: this.settings.fontFamily,
+            fontSize: this.settings.fontSize,
+            lineHeight: this.settings.lineHeight,
+            align: this.settings.textAlign,
+            wrapWidth: wraps ? box.width : null,
+            style: this.tools.getStyle()
+        });
     }
 
-    showTextModal() {
-        this.textModal.classList.add('show');
-        this.textInput.focus();
-        this.textInput.value = '';
+    cancel() {
+        this.startPoint = null;
+        this.endPoint = null;
     }
 
-    hideTextModal() {
-        this.textModal.classList.remove('show');
-        this.clickPoint = null;
+    /**
+     * Show the box being dragged out for wrapping text
+     * @param {CanvasRenderingContext2D} ctx - Context with the view transform applied
+     */
+    drawOverlay(ctx) {
+        if (!this.startPoint) return;
+
+        const box = Scene.boxFromPoints(this.startPoint, this.endPoint);
+        if (box.width < this.minWrapWidth) return;
+
+        const scale = 1 / this.tools.canvasManager.zoom;
+        ctx.save();
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = scale;
+        ctx.setLineDash([5 * scale, 5 * scale]);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        ctx.restore();
     }
 
-    addText() {
-        if (!this.clickPoint || !this.textInput.value.trim()) return;
-        
-        const text = this.textInput.value.trim();
-        const fontFamily = this.fontFamilySelect.value;
-        const fontSize = this.settings.fontSize;
-        
-        this.applySettings();
-        this.ctx.font = `${fontSize}px ${fontFamily}`;
-        this.ctx.textBaseline = 'top';
-        
-        this.ctx.fillText(text, this.clickPoint.x, this.clickPoint.y);
-        
-        if (historyManager && !historyManager.isUndoRedoInProgress()) {
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            historyManager.addState({ imageData }, 'Text');
+    /**
+     * Open the in-place editor on text
+     * @param {Object} element - Text element (one without an ID is new text)
+     */
+    edit(element) {
+        this.tools.finishEditing();
+        if (element.id && !this.scene.isEditable(element)) return;
+
+        const editor = document.createElement('div');
+        editor.className = 'text-editor';
+        editor.contentEditable = 'true';
+        editor.spellcheck = true;
+        TextTool.writeRuns(editor, Scene.getTextRuns(element));
+
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.finishEditing(true);
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.finishEditing();
+            } else if (e.key === 'Enter') {
+                // Line breaks rather than the paragraphs browsers insert by default
+                e.preventDefault();
+                if (!document.execCommand('insertLineBreak')) {
+                    document.execCommand('insertHTML', false, '<br>');
+                }
+            }
+        });
+
+        // Formatting from other documents is not kept
+        editor.addEventListener('paste', (e) => {
+            e.preventDefault();
+            document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+        });
+
+        editor.addEventListener('focusout', (e) => this.handleFocusOut(e));
+
+        this.editing = {
+            element: Utils.deepClone(element),
+            original: element.id ? Utils.deepClone(element) : null,
+            editor
+        };
+        this.canvas.parentElement.appendChild(editor);
+        this.showToolbar();
+        this.redrawCanvas();
+
+        // Start typing at the end
+        editor.focus();
+        const range = document.createRange();
+        range.selectNodeContents(editor);
+        range.collapse(false);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * Get the ID of the text open in the editor (left out of rendering meanwhile)
+     * @returns {string|null} Element ID
+     */
+    getEditingId() {
+        return this.editing && this.editing.original ? this.editing.original.id : null;
+    }
+
+    /**
+     * Finish editing once the focus leaves both the editor and its toolbar
+     */
+    handleFocusOut(e) {
+        if (!this.editing) return;
+
+        const next = e.relatedTarget;
+        if (next && (this.editing.editor.contains(next) || (this.toolbar && this.toolbar.contains(next)))) return;
+
+        this.finishEditing();
+    }
+
+    /**
+     * Change formatting that applies to the whole text being edited
+     * @param {Object} changes - Any of fontFamily, fontSize, lineHeight and align
+     */
+    setFormat(changes) {
+        // New text is started with the last formatting used
+        const settings = { ...changes };
+        if (settings.align) {
+            settings.textAlign = settings.align;
+            delete settings.align;
+        }
+        Object.assign(this.settings, settings);
+
+        if (!this.editing) return;
+
+        Object.assign(this.editing.element, changes);
+        this.updateEditor();
+        this.updateToolbar(true);
+        this.editing.editor.focus();
+    }
+
+    /**
+     * Close the editor and record the text
+     * @param {boolean} cancel - Discard what was typed
+     */
+    finishEditing(cancel = false) {
+        if (!this.editing) return;
+
+        const { element, original, editor } = this.editing;
+        this.editing = null;
+        const runs = TextTool.readRuns(editor);
+        editor.remove();
+        this.hideToolbar();
+
+        if (!cancel) {
+            this.commitText(element, original, runs);
+        }
+        this.redrawCanvas();
+    }
+
+    /**
+     * Add, update or (when emptied) remove the edited text
+     * @param {Object} element - Text element with the formatting chosen while editing
+     * @param {Object|null} original - Element before editing (null for new text)
+     * @param {Array} runs - Typed runs [{text, bold, italic, underline}]
+     */
+    commitText(element, original, runs) {
+        const text = runs.map(run => run.text).join('');
+        const current = original ? this.scene.get(original.id) : null;
+
+        // Removed elsewhere (undo, a collaborator) while being edited
+        if (original && !current) return;
+
+        if (!text.trim()) {
+            if (current) {
+                this.tools.canvasManager.removeElements([current.id], 'Delete Text');
+            }
+            return;
+        }
+
+        const changes = {
+            text,
+            runs: runs.some(run => run.bold || run.italic || run.underline) ? runs : undefined,
+            fontFamily: element.fontFamily,
+            fontSize: element.fontSize,
+            lineHeight: element.lineHeight,
+            align: element.align,
+            wrapWidth: element.wrapWidth
+        };
+        const layout = this.scene.getTextLayout(changes);
+        changes.width = layout.width;
+        changes.height = layout.height;
+
+        if (!original) {
+            this.commit(Utils.deepClone({ ...element, ...changes }), 'Text');
+            return;
+        }
+
+        const keys = Object.keys(changes);
+        const unchanged = keys.every(key => JSON.stringify(current[key]) === JSON.stringify(changes[key]));
+        if (unchanged) return;
+
+        this.scene.update(current.id, Utils.deepClone(changes));
+        this.tools.canvasManager.recordUpdate([original], 'Edit Text');
+    }
+
+    /**
+     * Place the editor over its text (after zooming, panning or a format change)
+     */
+    updateEditor() {
+        if (!this.editing) return;
+
+        const { element, original, editor } = this.editing;
+
+        if (original && !this.scene.get(original.id)) {
+            this.editing = null;
+            editor.remove();
+            this.hideToolbar();
+            return;
+        }
+
+        const canvasManager = this.tools.canvasManager;
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const containerRect = this.canvas.parentElement.getBoundingClientRect();
+        const cssScale = canvasRect.width / this.canvas.width || 1;
+        const scale = canvasManager.zoom * cssScale;
+
+        // CSS centers each line in its line box; the canvas draws it at the top
+        const lineHeight = element.lineHeight || 1.2;
+        const corner = canvasManager.worldToScreen(element.x, element.y);
+        const left = canvasRect.left - containerRect.left + corner.x * cssScale;
+        const top = canvasRect.top - containerRect.top + corner.y * cssScale -
+            (lineHeight - 1) * element.fontSize * scale / 2;
+
+        Object.assign(editor.style, {
+            left: `${left}px`,
+            top: `${top}px`,
+            width: element.wrapWidth ? `${element.wrapWidth * scale}px` : '',
+            whiteSpace: element.wrapWidth ? 'pre-wrap' : 'pre',
+            transform: element.rotation ? `rotate(${element.rotation}rad)` : '',
+            color: (element.style && element.style.color) || '#000000',
+            fontFamily: element.fontFamily,
+            fontSize: `${element.fontSize * scale}px`,
+            lineHeight: String(lineHeight),
+            textAlign: element.align || 'left'
+        });
+
+        this.placeToolbar(left, top, editor.offsetHeight);
+    }
+
+    /**
+     * Show the formatting toolbar for the text being edited
+     */
+    showToolbar() {
+        if (this.toolbar) {
+            this.toolbar.hidden = false;
+        }
+        this.updateEditor();
+        this.updateToolbar(true);
+    }
+
+    /**
+     * Hide the formatting toolbar
+     */
+    hideToolbar() {
+        if (this.toolbar) {
+            this.toolbar.hidden = true;
+        }
+    }
+
+    /**
+     * Keep the toolbar just above the editor, or below it near the top of the board
+     * @param {number} left - Editor left in container pixels
+     * @param {number} top - Editor top in container pixels
+     * @param {number} height - Editor height in pixels
+     */
+    placeToolbar(left, top, height) {
+        if (!this.toolbar) return;
+
+        const gap = 8;
+        const above = top - this.toolbar.offsetHeight - gap;
+        this.toolbar.style.left = `${Math.max(0, left)}px`;
+        this.toolbar.style.top = `${above >= 0 ? above : top + height + gap}px`;
+    }
+
+    /**
+     * Show the formatting at the caret and, when asked, the text's own settings
+     * @param {boolean} updateControls - Also set font, size and line height controls
+     */
+    updateToolbar(updateControls = false) {
+        if (!this.toolbar || !this.editing) return;
+
+        const element = this.editing.element;
+
+        this.toolbar.querySelectorAll('.text-format-btn').forEach(button => {
+            button.classList.toggle('active', document.queryCommandState(button.dataset.command));
+        });
+        this.toolbar.querySelectorAll('.text-align-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.align === (element.align || 'left'));
+        });
+
+        if (updateControls) {
+            this.fontFamilySelect.value = element.fontFamily;
+            this.fontSizeInput.value = Math.round(element.fontSize);
+            this.lineHeightSelect.value = String(element.lineHeight || 1.2);
+        }
+    }
+
+    /**
+     * Read styled runs from the editor's content
+     *
+     * Bold, italic and underline come from b/strong, i/em and u elements or the
+     * equivalent inline styles; br elements and blocks start new lines.
+     * @param {HTMLElement} editor - Editor element
+     * @returns {Array} Runs [{text, bold, italic, underline}]
+     */
+    static readRuns(editor) {
+        const runs = [];
+        const add = (text, format) => {
+            const last = runs[runs.length - 1];
+            if (last && last.bold === format.bold && last.italic === format.italic && last.underline === format.underline) {
+                last.text += text;
+            } else {
+                runs.push({ text, ...format });
+            }
+        };
+        const endsLine = () => runs.length === 0 || runs[runs.length - 1].text.endsWith('\n');
+
+        const walk = (node, format) => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    add(child.nodeValue.replace(/\u00a0/g, ' '), format);
+                    return;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+                const tag = child.tagName.toLowerCase();
+                if (tag === 'br') {
+                    add('\n', format);
+                    return;
+                }
+
+                const style = child.style;
+                const weight = style.fontWeight;
+                const childFormat = {
+                    bold: format.bold || tag === 'b' || tag === 'strong' || weight === 'bold' || parseInt(weight) >= 600,
+                    italic: format.italic || tag === 'i' || tag === 'em' || style.fontStyle === 'italic',
+                    underline: format.underline || tag === 'u' || /underline/.test(style.textDecoration)
+                };
+
+                const isBlock = tag === 'div' || tag === 'p';
+                if (isBlock && !endsLine()) {
+                    add('\n', format);
+                }
+                walk(child, childFormat);
+            });
+        };
+        walk(editor, { bold: false, italic: false, underline: false });
+
+        // A final line break only shows in the editor when followed by another
+        let last = editor;
+        while (last.lastChild) {
+            last = last.lastChild;
+        }
+        if (last !== editor && last.nodeName.toLowerCase() === 'br' && runs.length > 0) {
+            const run = runs[runs.length - 1];
+            run.text = run.text.replace(/\n$/, '');
+        }
+
+        return runs.filter(run => run.text);
+    }
+
+    /**
+     * Fill the editor with styled runs
+     * @param {HTMLElement} editor - Editor element
+     * @param {Array} runs - Runs [{text, bold, italic, underline}]
+     */
+    static writeRuns(editor, runs) {
+        editor.textContent = '';
+
+        runs.forEach(run => {
+            let parent = editor;
+            ['b', 'i', 'u'].filter((tag, i) => run[['bold', 'italic', 'underline'][i]]).forEach(tag => {
+                parent = parent.appendChild(document.createElement(tag));
+            });
+
+            run.text.split('\n').forEach((line, i) => {
+                if (i > 0) {
+                    parent.appendChild(document.createElement('br'));
+                }
+                if (line) {
+                    parent.appendChild(document.createTextNode(line));
+                }
+            });
+        });
+
+        // See readRuns: a final line break needs a second one to show
+        if (runs.length > 0 && runs[runs.length - 1].text.endsWith('\n')) {
+            editor.appendChild(document.createElement('br'));
+        }
+    }
+}
+
+/**
+ * Sticky note tool
+ *
+ * A click opens a new note for typing. Notes are edited in place in a textarea
+ * laid over the note, on a copy shown instead of the note; the text is
+ * committed when it loses focus, so a new note is added once with its text.
+ */
+class StickyNoteTool extends BaseTool {
+    constructor(tools) {
+        super(tools);
+        this.size = 200;
+        this.fontSize = 28;
+        this.isPlacing = false;
+
+        // Note being edited {element, original, textarea}; original is null for a new note
+        this.editing = null;
+    }
+
+    onMouseDown(point, e) {
+        // Placed on mouse up so the editor keeps the focus
+        this.isPlacing = true;
+    }
+
+    onMouseMove(point, e) {
+        // Sticky note tool doesn't need mouse move
+    }
+
+    onMouseUp(point, e) {
+        if (!this.isPlacing) return;
+        this.isPlacing = false;
+
+        this.edit({
+            type: 'note',
+            x: point.x - this.size / 2,
+            y: point.y - this.size / 2,
+            width: this.size,
+            height: this.size,
+            text: '',
+            noteColor: this.settings.noteColor,
+            fontFamily: this.settings.fontFamily,
+            fontSize: this.fontSize,
+            style: this.tools.getStyle()
+        });
+    }
+
+    cancel() {
+        this.isPlacing = false;
+    }
+
+    /**
+     * Open the in-place editor on a note
+     * @param {Object} element - Note element (one without an ID is a new note)
+     */
+    edit(element) {
+        this.tools.finishEditing();
+        if (element.id && !this.scene.isEditable(element)) return;
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'note-editor';
+        textarea.value = element.text;
+        textarea.spellcheck = true;
+
+        // Type into the copy so the note re-wraps and shrinks as it fills up
+        textarea.addEventListener('input', () => {
+            if (!this.editing) return;
+
+            this.editing.element.text = textarea.value;
+            this.redrawCanvas();
+        });
+
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.finishEditing(true);
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.finishEditing();
+            }
+        });
+
+        textarea.addEventListener('blur', () => this.finishEditing());
+
+        this.editing = {
+            element: Utils.deepClone(element),
+            original: element.id ? Utils.deepClone(element) : null,
+            textarea
+        };
+        this.canvas.parentElement.appendChild(textarea);
+        this.updateEditor();
+        this.redrawCanvas();
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    /**
+     * Get the ID of the note open in the editor (its copy is rendered instead)
+     * @returns {string|null} Element ID
+     */
+    getEditingId() {
+        return this.editing && this.editing.original ? this.editing.original.id : null;
+    }
+
+    /**
+     * Get the copy of the note being edited, rendered in its place
+     * @returns {Object|null} Note element
+     */
+    getEditingElement() {
+        return this.editing ? this.editing.element : null;
+    }
+
+    /**
+     * Close the editor and record the text
+     * @param {boolean} cancel - Discard what was typed (a new note is not added)
+     */
+    finishEditing(cancel = false) {
+        if (!this.editing) return;
+
+        const { element, original, textarea } = this.editing;
+        this.editing = null;
+        textarea.remove();
+
+        if (!cancel) {
+            this.commitNote(element, original);
         }
+        this.redrawCanvas();
+    }
+
+    /**
+     * Add a new note with its text, or record the edited text of an existing one
+     * @param {Object} element - Note with the typed text
+     * @param {Object|null} original - Note before editing (null for a new note)
+     */
+    commitNote(element, original) {
+        if (!original) {
+            // A new note left empty is not added
+            if (element.text.trim()) {
+                this.commit(Utils.deepClone(element), 'Sticky Note');
+            }
+            return;
+        }
+
+        const current = this.scene.get(original.id);
+
+        // Removed elsewhere (undo, a collaborator) while being edited
+        if (!current || current.text === element.text) return;
+
+        const before = Utils.deepClone(current);
+        this.scene.update(current.id, { text: element.text });
+        this.tools.canvasManager.recordUpdate([before], 'Edit Note');
+    }
+
+    /**
+     * Place the editor over its note (after zooming, panning or remote edits)
+     */
+    updateEditor() {
+        if (!this.editing) return;
+
+        const { original, textarea } = this.editing;
+        if (original) {
+            const current = this.scene.get(original.id);
+
+            // Removed elsewhere (undo, a collaborator) while being edited
+            if (!current) {
+                this.editing = null;
+                textarea.remove();
+                return;
+            }
+
+            // Follow moves and restyling from elsewhere, keeping what was typed
+            this.editing.element = { ...Utils.deepClone(current), text: this.editing.element.text };
+        }
+        const element = this.editing.element;
+
+        const canvasManager = this.tools.canvasManager;
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const containerRect = this.canvas.parentElement.getBoundingClientRect();
+        const cssScale = canvasRect.width / this.canvas.width || 1;
+        const scale = canvasManager.zoom * cssScale;
+
+        const box = Scene.getBounds({ ...element, rotation: 0 });
+        const layout = this.scene.getNoteLayout(element);
+        const corner = canvasManager.worldToScreen(box.x, box.y);
+        const left = canvasRect.left - containerRect.left + corner.x * cssScale;
+        const top = canvasRect.top - containerRect.top + corner.y * cssScale;
+
+        Object.assign(textarea.style, {
+            left: `${left}px`,
+            top: `${top}px`,
+            width: `${box.width * scale}px`,
+            height: `${box.height * scale}px`,
+            padding: `${layout.padding * scale}px`,
+            transform: element.rotation ? `rotate(${element.rotation}rad)` : '',
+            background: element.noteColor,
+            color: (element.style && element.style.color) || '#000000',
+            fontFamily: element.fontFamily,
+            fontSize: `${layout.fontSize * scale}px`
+        });
     }
 }
 
@@ -656,59 +1551,336 @@ class SelectionTool extends BaseTool {
         this.selectionEnd = null;
         this.isSelecting = false;
         this.selectedArea = null;
+        
+        // Active transform: 'move', 'resize' or 'rotate'
+        this.mode = null;
+        this.activeHandle = null;
+        this.dragStart = null;
+        this.originals = null;
+        this.originBounds = null;
+        this.hasChanged = false;
     }
 
     onMouseDown(point, e) {
+        const handle = this.getHandleAt(point);
+        if (handle) {
+            this.beginTransform(handle === 'rotate' ? 'rotate' : 'resize', point, handle);
+            return;
+        }
+        
+        const hit = this.scene.hitTest(point, this.getTolerance());
+        if (hit) {
+            if (e && e.shiftKey) {
+                this.tools.toggleSelection(hit.id);
+            } else if (!this.tools.isSelected(hit.id)) {
+                this.tools.setSelection([hit.id]);
+            }
+            
+            if (this.tools.isSelected(hit.id)) {
+                this.beginTransform('move', point, null);
+            }
+            this.redrawCanvas();
+            return;
+        }
+        
+        // Start a marquee selection on empty space
+        if (!e || !e.shiftKey) {
+            this.tools.clearSelection();
+        }
         this.selectionStart = point;
+        this.selectionEnd = point;
         this.isSelecting = true;
         this.selectedArea = null;
+        this.redrawCanvas();
     }
 
     onMouseMove(point, e) {
-        if (!this.isSelecting) return;
+        if (this.isSelecting) {
+            this.selectionEnd = point;
+            this.redrawCanvas();
+            return;
+        }
         
-        this.selectionEnd = point;
-        this.drawSelectionBox();
+        if (!this.mode) return;
+        
+        switch (this.mode) {
+            case 'move':
+                this.applyMove(point);
+                break;
+            case 'resize':
+                this.applyResize(point, e && e.shiftKey);
+                break;
+            case 'rotate':
+                this.applyRotate(point, e && e.shiftKey);
+                break;
+        }
+        
+        this.hasChanged = true;
+        this.redrawCanvas();
     }
 
     onMouseUp(point, e) {
-        if (!this.isSelecting) return;
+        if (this.isSelecting) {
+            this.isSelecting = false;
+            this.selectionEnd = point;
+            this.finishMarquee(e && e.shiftKey);
+            this.redrawCanvas();
+            return;
+        }
+        
+        if (!this.mode) return;
+        
+        if (this.hasChanged) {
+            const descriptions = { move: 'Move', resize: 'Resize', rotate: 'Rotate' };
+            this.tools.canvasManager.recordUpdate(this.originals, descriptions[this.mode]);
+        }
+        
+        this.mode = null;
+        this.activeHandle = null;
+        this.originals = null;
+        this.originBounds = null;
+        this.hasChanged = false;
+    }
+
+    cancel() {
+        // Put transformed elements back where they were
+        if (this.mode && this.originals) {
+            this.originals.forEach(original => this.scene.update(original.id, Utils.deepClone(original)));
+        }
         
         this.isSelecting = false;
-        this.selectionEnd = point;
+        this.selectionStart = null;
+        this.selectionEnd = null;
+        this.mode = null;
+        this.activeHandle = null;
+        this.originals = null;
+        this.originBounds = null;
+        this.hasChanged = false;
+    }
+
+    onMouseHover(point, e) {
+        const handle = this.getHandleAt(point);
+        const cursors = {
+            nw: 'nwse-resize',
+            se: 'nwse-resize',
+            ne: 'nesw-resize',
+            sw: 'nesw-resize',
+            rotate: 'grab'
+        };
         
-        if (this.selectionStart && this.selectionEnd) {
-            this.selectedArea = {
-                x: Math.min(this.selectionStart.x, this.selectionEnd.x),
-                y: Math.min(this.selectionStart.y, this.selectionEnd.y),
-                width: Math.abs(this.selectionEnd.x - this.selectionStart.x),
-                height: Math.abs(this.selectionEnd.y - this.selectionStart.y)
-            };
+        if (handle) {
+            this.canvas.style.cursor = cursors[handle];
+        } else if (this.scene.hitTest(point, this.getTolerance())) {
+            this.canvas.style.cursor = 'move';
+        } else {
+            this.canvas.style.cursor = 'default';
         }
     }
 
-    drawSelectionBox() {
-        if (!this.selectionStart || !this.selectionEnd) return;
+    /**
+     * Select the elements enclosed by the marquee
+     */
+    finishMarquee(additive) {
+        const area = Scene.boxFromPoints(this.selectionStart, this.selectionEnd);
+        const ids = this.scene.findInRect(area).map(element => element.id);
         
-        // Clear any previous selection box
-        this.redrawCanvas();
+        if (additive) {
+            this.tools.setSelection([...new Set([...this.tools.selectedIds, ...ids])]);
+        } else {
+            this.tools.setSelection(ids);
+        }
         
-        // Draw selection box
-        this.ctx.strokeStyle = '#007bff';
-        this.ctx.lineWidth = 1;
-        this.ctx.setLineDash([5, 5]);
+        // Keep the raw region when no objects were enclosed
+        this.selectedArea = ids.length === 0 && area.width > 2 && area.height > 2 ? area : null;
+        this.selectionStart = null;
+        this.selectionEnd = null;
+    }
+
+    /**
+     * Remember the selected elements as they were when the drag started
+     */
+    beginTransform(mode, point, handle) {
+        const elements = this.tools.getSelectedElements();
+        if (elements.length === 0) return;
         
-        const x = Math.min(this.selectionStart.x, this.selectionEnd.x);
-        const y = Math.min(this.selectionStart.y, this.selectionEnd.y);
-        const width = Math.abs(this.selectionEnd.x - this.selectionStart.x);
-        const height = Math.abs(this.selectionEnd.y - this.selectionStart.y);
+        this.mode = mode;
+        this.activeHandle = handle;
+        this.dragStart = point;
+        this.originals = elements.map(element => Utils.deepClone(element));
+        this.originBounds = Scene.getUnionBounds(elements);
+        this.hasChanged = false;
+    }
+
+    /**
+     * Write transformed copies of the original elements back into the scene
+     */
+    applyToOriginals(transform) {
+        const ids = new Set(this.originals.map(original => original.id));
         
-        this.ctx.strokeRect(x, y, width, height);
-        this.ctx.setLineDash([]);
+        for (const original of this.originals) {
+            const element = Utils.deepClone(original);
+            transform(element);
+            
+            // Connectors let go of shapes that are not transformed with them
+            if (element.type === 'connector') {
+                ['start', 'end'].forEach(key => {
+                    if (element[key] && !ids.has(element[key].elementId)) {
+                        element[key] = null;
+                    }
+                });
+            }
+            this.scene.update(original.id, element);
+        }
     }
 
-    redrawCanvas() {
-        // Implementation needed
+    applyMove(point) {
+        const dx = point.x - this.dragStart.x;
+        const dy = point.y - this.dragStart.y;
+        
+        this.applyToOriginals(element => Scene.translateElement(element, dx, dy));
+    }
+
+    applyResize(point, keepAspect) {
+        const bounds = this.originBounds;
+        const handle = this.activeHandle;
+        
+        // The corner opposite the dragged handle stays fixed
+        const anchor = {
+            x: handle.includes('w') ? bounds.x + bounds.width : bounds.x,
+            y: handle.includes('n') ? bounds.y + bounds.height : bounds.y
+        };
+        const width = Math.max(handle.includes('w') ? anchor.x - point.x : point.x - anchor.x, 1);
+        const height = Math.max(handle.includes('n') ? anchor.y - point.y : point.y - anchor.y, 1);
+        
+        let sx = bounds.width >= 1 ? width / bounds.width : 1;
+        let sy = bounds.height >= 1 ? height / bounds.height : 1;
+        
+        if (keepAspect) {
+            sx = sy = Math.max(sx, sy);
+        }
+        
+        this.applyToOriginals(element => Scene.scaleElement(element, anchor, sx, sy));
+    }
+
+    applyRotate(point, snap) {
+        const bounds = this.originBounds;
+        const center = {
+            x: bounds.x + bounds.width / 2,
+            y: bounds.y + bounds.height / 2
+        };
+        
+        let angle = Utils.angle(center.x, center.y, point.x, point.y) -
+            Utils.angle(center.x, center.y, this.dragStart.x, this.dragStart.y);
+        
+        if (snap) {
+            const step = Utils.toRadians(15);
+            angle = Math.round(angle / step) * step;
+        }
+        
+        this.applyToOriginals(element => Scene.rotateElement(element, center, angle));
+    }
+
+    /**
+     * Hit distance in world units, so handles are easy to grab at any zoom
+     */
+    getTolerance() {
+        return 6 / this.tools.canvasManager.zoom;
+    }
+
+    /**
+     * Get handle positions around the current selection
+     * @returns {Object|null} Handle points keyed by name
+     */
+    getHandles() {
+        const bounds = Scene.getUnionBounds(this.tools.getSelectedElements());
+        if (!bounds) return null;
+        
+        const offset = 24 / this.tools.canvasManager.zoom;
+        
+        return {
+            nw: { x: bounds.x, y: bounds.y },
+            ne: { x: bounds.x + bounds.width, y: bounds.y },
+            se: { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+            sw: { x: bounds.x, y: bounds.y + bounds.height },
+            rotate: { x: bounds.x + bounds.width / 2, y: bounds.y - offset }
+        };
+    }
+
+    /**
+     * Get the name of the handle under a point
+     * @returns {string|null} Handle name or null
+     */
+    getHandleAt(point) {
+        const handles = this.getHandles();
+        if (!handles) return null;
+        
+        const tolerance = this.getTolerance();
+        for (const name in handles) {
+            const handle = handles[name];
+            if (Utils.distance(point.x, point.y, handle.x, handle.y) <= tolerance) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Draw the marquee, selection outline and handles on top of the rendered scene
+     * @param {CanvasRenderingContext2D} ctx - Context with the view transform applied
+     */
+    drawOverlay(ctx) {
+        const scale = 1 / this.tools.canvasManager.zoom;
+        
+        ctx.save();
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = scale;
+        
+        const area = this.isSelecting ?
+            Scene.boxFromPoints(this.selectionStart, this.selectionEnd) :
+            this.selectedArea;
+        
+        if (area) {
+            ctx.setLineDash([5 * scale, 5 * scale]);
+            ctx.strokeRect(area.x, area.y, area.width, area.height);
+            ctx.setLineDash([]);
+        }
+        
+        const elements = this.tools.getSelectedElements();
+        const handles = this.getHandles();
+        
+        if (handles) {
+            // Outline each selected element
+            ctx.globalAlpha = 0.5;
+            for (const element of elements) {
+                const bounds = Scene.getBounds(element);
+                ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+            }
+            ctx.globalAlpha = 1;
+            
+            const bounds = Scene.getUnionBounds(elements);
+            ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+            
+            ctx.beginPath();
+            ctx.moveTo(handles.rotate.x, bounds.y);
+            ctx.lineTo(handles.rotate.x, handles.rotate.y);
+            ctx.stroke();
+            
+            const size = 8 * scale;
+            ctx.fillStyle = '#ffffff';
+            for (const name in handles) {
+                const handle = handles[name];
+                ctx.beginPath();
+                if (name === 'rotate') {
+                    ctx.arc(handle.x, handle.y, size / 2, 0, 2 * Math.PI);
+                } else {
+                    ctx.rect(handle.x - size / 2, handle.y - size / 2, size, size);
+                }
+                ctx.fill();
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
     }
 }
 
@@ -756,29 +1928,33 @@ class ImageTool extends BaseTool {
     }
 
     drawImage(img) {
-        // Calculate image dimensions to fit canvas
-        const canvasRatio = this.canvas.width / this.canvas.height;
+        // Calculate image dimensions to fit the visible area
+        const view = this.tools.canvasManager.getViewportSize();
+        const center = this.tools.canvasManager.getViewportCenter();
+        const canvasRatio = view.width / view.height;
         const imageRatio = img.width / img.height;
         
         let drawWidth, drawHeight;
         
         if (imageRatio > canvasRatio) {
-            drawWidth = this.canvas.width * 0.8;
+            drawWidth = view.width * 0.8;
             drawHeight = drawWidth / imageRatio;
         } else {
-            drawHeight = this.canvas.height * 0.8;
+            drawHeight = view.height * 0.8;
             drawWidth = drawHeight * imageRatio;
         }
         
-        const x = (this.canvas.width - drawWidth) / 2;
-        const y = (this.canvas.height - drawHeight) / 2;
+        const x = center.x - drawWidth / 2;
+        const y = center.y - drawHeight / 2;
         
-        this.ctx.drawImage(img, x, y, drawWidth, drawHeight);
-        
-        if (historyManager && !historyManager.isUndoRedoInProgress()) {
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            historyManager.addState({ imageData }, 'Image');
-        }
+        this.commit({
+            type: 'image',
+            x,
+            y,
+            width: drawWidth,
+            height: drawHeight,
+            src: img.src
+        }, 'Image');
     }
 }
 
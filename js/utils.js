@@ -135,11 +135,11 @@ class Utils {
      * Debounce a function
      * @param {Function} func - Function to debounce
      * @param {number} wait - Wait time in milliseconds
-     * @returns {Function} Debounced function
+     * @returns {Function} Debounced function (its cancel() drops a pending call)
      */
     static debounce(func, wait) {
         let timeout;
-        return function executedFunction(...args) {
+        const executedFunction = function(...args) {
             const later = () => {
                 clearTimeout(timeout);
                 func(...args);
@@ -147,6 +147,8 @@ class Utils {
             clearTimeout(timeout);
             timeout = setTimeout(later, wait);
         };
+        executedFunction.cancel = () => clearTimeout(timeout);
+        return executedFunction;
     }
 
     /**
@@ -190,6 +192,23 @@ class Utils {
         return filename.slice((filename.lastIndexOf('.') - 1 >>> 0) + 2);
     }
 
+    /**
+     * Compare dotted version strings component by component ('2.10' is newer than '2.9')
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} Negative if a is older, positive if newer, 0 if equal
+     */
+    static compareVersions(a, b) {
+        const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+        const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
     /**
      * Check if a point is inside a rectangle
      * @param {number} x - Point X
@@ -219,6 +238,79 @@ class Utils {
         return distance <= radius;
     }
 
+    /**
+     * Check if point is inside a polygon (even-odd rule)
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {Array} points - Polygon vertices [{x, y}]
+     * @returns {boolean} True if point is inside polygon
+     */
+    static pointInPolygon(x, y, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Get distance from a point to a line segment
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {number} x1 - Segment start X
+     * @param {number} y1 - Segment start Y
+     * @param {number} x2 - Segment end X
+     * @param {number} y2 - Segment end Y
+     * @returns {number} Distance
+     */
+    static distanceToSegment(x, y, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        if (lengthSquared === 0) return Utils.distance(x, y, x1, y1);
+        
+        const t = Utils.clamp(((x - x1) * dx + (y - y1) * dy) / lengthSquared, 0, 1);
+        return Utils.distance(x, y, x1 + t * dx, y1 + t * dy);
+    }
+
+    /**
+     * Rotate a point around a center
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {number} centerX - Center X
+     * @param {number} centerY - Center Y
+     * @param {number} angle - Angle in radians
+     * @returns {Object} Rotated point {x, y}
+     */
+    static rotatePoint(x, y, centerX, centerY, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = x - centerX;
+        const dy = y - centerY;
+        
+        return {
+            x: centerX + dx * cos - dy * sin,
+            y: centerY + dx * sin + dy * cos
+        };
+    }
+
+    /**
+     * Check if one rectangle fully contains another
+     * @param {Object} outer - Outer rectangle {x, y, width, height}
+     * @param {Object} inner - Inner rectangle {x, y, width, height}
+     * @returns {boolean} True if inner is inside outer
+     */
+    static rectContains(outer, inner) {
+        return inner.x >= outer.x && inner.y >= outer.y &&
+               inner.x + inner.width <= outer.x + outer.width &&
+               inner.y + inner.height <= outer.y + outer.height;
+    }
+
     /**
      * Get bounding box of points
      * @param {Array} points - Array of points [{x, y}, ...]
@@ -441,6 +533,20 @@ class Utils {
             }
         },
 
+        /**
+         * List localStorage keys that start with a prefix
+         * @param {string} prefix - Key prefix
+         * @returns {Array<string>} Keys
+         */
+        keys(prefix = '') {
+            try {
+                return Object.keys(localStorage).filter(key => key.startsWith(prefix));
+            } catch (error) {
+                console.warn('Failed to read localStorage:', error);
+                return [];
+            }
+        },
+
         /**
          * Clear all localStorage data
          */
@@ -453,6 +559,109 @@ class Utils {
         }
     };
 
+    /**
+     * IndexedDB utilities
+     *
+     * All stores share one database; add a store name to `stores` and bump
+     * `version` to create it on the next open.
+     */
+    static Database = {
+        name: 'whiteboard',
+        version: 3,
+        stores: ['sessions', 'documents', 'snapshots'],
+        connection: null,
+
+        /**
+         * Open (or reuse) the database connection
+         * @returns {Promise<IDBDatabase>} Database connection
+         */
+        open() {
+            if (this.connection) return this.connection;
+
+            this.connection = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    this.stores.forEach(store => {
+                        if (!db.objectStoreNames.contains(store)) {
+                            db.createObjectStore(store, { keyPath: 'id' });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to retry after a failed open
+            this.connection.catch(() => {
+                this.connection = null;
+            });
+
+            return this.connection;
+        },
+
+        /**
+         * Run a single request in its own transaction
+         * @param {string} storeName - Object store name
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} operation - Receives the store, returns an IDBRequest
+         * @returns {Promise<any>} Request result
+         */
+        request(storeName, mode, operation) {
+            return this.open().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }));
+        },
+
+        /**
+         * Get a record by ID
+         * @param {string} storeName - Object store name
+         * @param {string} id - Record ID
+         * @returns {Promise<Object|undefined>} Record
+         */
+        get(storeName, id) {
+            return this.request(storeName, 'readonly', store => store.get(id));
+        },
+
+        /**
+         * Get all records in a store
+         * @param {string} storeName - Object store name
+         * @returns {Promise<Array>} Records
+         */
+        getAll(storeName) {
+            return this.request(storeName, 'readonly', store => store.getAll());
+        },
+
+        /**
+         * Insert or replace a record (records are keyed by their `id`)
+         * @param {string} storeName - Object store name
+         * @param {Object} record - Record to save
+         * @returns {Promise<string>} Record ID
+         */
+        put(storeName, record) {
+            return this.request(storeName, 'readwrite', store => store.put(record));
+        },
+
+        /**
+         * Delete a record by ID
+         * @param {string} storeName - Object store name
+         * @param {string} id - Record ID
+         * @returns {Promise<void>}
+         */
+        delete(storeName, id) {
+            return this.request(storeName, 'readwrite', store => store.delete(id));
+        }
+    };
+
     /**
      * Event utilities
      */
@@ -0,0 +1,118 @@
+/**
+ * WebSocket transport for collaboration
+ *
+ * Sends and receives JSON messages and reconnects with a growing delay when
+ * the connection drops. Any object with the same connect/send/close methods
+ * and on* callbacks can be used in its place (see CollaborationManager).
+ */
+
+class WebSocketTransport {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.shouldReconnect = false;
+        this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 30000;
+        this.reconnectTimer = null;
+
+        // Callbacks set by the user of the transport
+        this.onOpen = null;
+        this.onMessage = null;
+        this.onClose = null;
+    }
+
+    /**
+     * Whether messages can be sent right now
+     * @returns {boolean} True if connected
+     */
+    isOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Open the connection (and keep reopening it until close() is called)
+     */
+    connect() {
+        this.shouldReconnect = true;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.socket) {
+            const previous = this.socket;
+            this.socket = null;
+            previous.close();
+        }
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            // An invalid URL throws right away; report it like a dropped connection
+            console.warn('Failed to connect:', error);
+            this.shouldReconnect = false;
+            if (this.onClose) this.onClose({ willReconnect: false, error });
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.reconnectDelay = 1000;
+            if (this.onOpen) this.onOpen();
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring invalid message:', error);
+                return;
+            }
+            if (this.onMessage) this.onMessage(message);
+        };
+
+        socket.onclose = () => {
+            // Ignore sockets replaced by a newer connect() or closed by close()
+            if (this.socket !== socket) return;
+
+            this.socket = null;
+            if (this.onClose) this.onClose({ willReconnect: this.shouldReconnect });
+
+            if (this.shouldReconnect) {
+                this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+            }
+        };
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - JSON-serializable message
+     * @returns {boolean} True if the message was sent
+     */
+    send(message) {
+        if (!this.isOpen()) return false;
+
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Close the connection for good
+     */
+    close() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+            if (this.onClose) this.onClose({ willReconnect: false });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebSocketTransport;
+}
@@ -0,0 +1,551 @@
+/**
+ * Collaboration relay for the Online Whiteboard Tool
+ *
+ * A small WebSocket server with no dependencies. Clients join a room; every
+ * operation sent to a room gets the next sequence number and is forwarded to
+ * all clients in it (the sender included), so everyone applies the same
+ * operations in the same order. The relay keeps each room's operation log in
+ * memory, trimmed with snapshots sent by clients, so late joiners can catch up.
+ *
+ * It also serves the app itself, so a whole team can use one address:
+ *
+ *     node server/relay.js [port]
+ *
+ * then open http://localhost:8080/ in several tabs or on several machines.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+const ROOT = path.resolve(__dirname, '..');
+const SYNC_PATH = '/sync';
+
+// Ask for a snapshot once this many operations have been logged since the last one
+const SNAPSHOT_INTERVAL = 200;
+// Operation IDs are remembered for this many operations after leaving the log, to catch resends
+const SEEN_OPS_KEPT = 10000;
+// Largest message accepted (operations can carry embedded images)
+const MAX_MESSAGE_SIZE = 32 * 1024 * 1024;
+// Rooms nobody has used for this long are dropped
+const ROOM_TTL = 24 * 60 * 60 * 1000;
+
+// The only files and folders served over HTTP (the rest of the repository stays private)
+const PUBLIC_FILES = ['index.html', 'sw.js', 'manifest.webmanifest'];
+const PUBLIC_FOLDERS = ['css', 'js', 'assets'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * A WebSocket connection (RFC 6455, text messages only)
+ */
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        // Callbacks
+        this.onMessage = null;
+        this.onClose = null;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const opcode = first & 0x0f;
+            const final = (first & 0x80) !== 0;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask their frames
+            if (!masked || length > MAX_MESSAGE_SIZE) {
+                this.close(1002);
+                return;
+            }
+
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.slice(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.slice(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.slice(offset + 4 + length);
+
+            this.handleFrame(opcode, final, payload);
+            if (this.closed) return;
+        }
+    }
+
+    /**
+     * Handle one frame
+     */
+    handleFrame(opcode, final, payload) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+            case 0x2: { // binary (treated as text)
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                    return;
+                }
+                if (final) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    if (this.onMessage) this.onMessage(message);
+                }
+                break;
+            }
+            case 0x8: // close
+                this.close(1000);
+                break;
+            case 0x9: // ping
+                this.sendFrame(0xa, payload);
+                break;
+            default: // pong and anything else
+                break;
+        }
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text - Message
+     */
+    send(text) {
+        this.sendFrame(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Write a frame (server frames are never masked)
+     */
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Close the connection
+     * @param {number} code - Close status code
+     */
+    close(code = 1000) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.socket.destroy();
+        if (this.onClose) this.onClose();
+    }
+}
+
+/**
+ * A room: its clients, operation log and latest snapshot
+ */
+class Room {
+    constructor(name) {
+        this.name = name;
+        // Changes whenever the room is created again, so clients notice a restart or expiry
+        this.id = crypto.randomBytes(8).toString('hex');
+        this.clients = new Map();
+        this.seq = 0;
+        this.log = [];
+        this.snapshot = null;
+        // opId -> seq of every operation logged or recently trimmed
+        this.seenOps = new Map();
+        // Pending snapshot request: {clientId, seq} of the client asked and when
+        this.snapshotRequest = null;
+        this.lastActive = Date.now();
+    }
+
+    /**
+     * Add a client and send it everything it is missing
+     * @param {Object} client - Client {id, name, connection}
+     * @param {number|null} since - Last sequence number the client applied
+     * @param {string|null} roomId - Room ID the client last joined, which `since` refers to
+     */
+    join(client, since, roomId) {
+        this.clients.set(client.id, client);
+        this.lastActive = Date.now();
+
+        // Only the operations after `since`, if the log still has them
+        const firstLogged = this.log.length > 0 ? this.log[0].seq : this.seq + 1;
+        const canResume = roomId === this.id && since !== null && since !== undefined &&
+            since >= firstLogged - 1 && since <= this.seq;
+
+        this.sendTo(client, {
+            type: 'welcome',
+            clientId: client.id,
+            roomId: this.id,
+            seq: this.seq,
+            snapshot: canResume ? null : this.snapshot,
+            ops: canResume ? this.log.filter(op => op.seq > since) : this.log,
+            peers: this.getPeers(client.id)
+        });
+
+        this.broadcast({ type: 'peer-joined', clientId: client.id, name: client.name }, client.id);
+    }
+
+    /**
+     * Remove a client
+     */
+    leave(client) {
+        if (!this.clients.delete(client.id)) return;
+
+        this.lastActive = Date.now();
+        this.broadcast({ type: 'peer-left', clientId: client.id });
+
+        // The client asked for a snapshot will not answer now, so ask someone else
+        if (this.snapshotRequest && this.snapshotRequest.clientId === client.id) {
+            this.snapshotRequest = null;
+            const other = this.clients.values().next().value;
+            if (other && this.getOperationsSinceSnapshot() >= SNAPSHOT_INTERVAL) {
+                this.requestSnapshot(other);
+            }
+        }
+    }
+
+    /**
+     * Sequence an operation and send it to everyone (the sender included)
+     */
+    addOperation(client, message) {
+        if (typeof message.opId !== 'string' || !isObject(message.command)) return;
+
+        // A client resending after a reconnect may repeat an operation, which is then already applied
+        if (this.seenOps.has(message.opId)) {
+            this.sendTo(client, { type: 'duplicate', opId: message.opId });
+            return;
+        }
+
+        const op = { type: 'op', seq: ++this.seq, clientId: client.id, opId: message.opId, command: message.command };
+        this.log.push(op);
+        this.seenOps.set(message.opId, op.seq);
+        this.lastActive = Date.now();
+
+        this.broadcast(op);
+
+        // Ask again if the client asked last has gone or never answered (it may not be able to)
+        const request = this.snapshotRequest;
+        const isWaiting = request && this.clients.has(request.clientId) && this.seq - request.seq < SNAPSHOT_INTERVAL;
+        if (this.getOperationsSinceSnapshot() >= SNAPSHOT_INTERVAL && !isWaiting) {
+            this.requestSnapshot(client);
+        }
+    }
+
+    /**
+     * Number of operations logged since the last snapshot
+     * @returns {number} Operation count
+     */
+    getOperationsSinceSnapshot() {
+        return this.seq - (this.snapshot ? this.snapshot.seq : 0);
+    }
+
+    /**
+     * Ask a client for a snapshot so the log can be trimmed
+     */
+    requestSnapshot(client) {
+        this.snapshotRequest = { clientId: client.id, seq: this.seq };
+        this.sendTo(client, { type: 'snapshot-request' });
+    }
+
+    /**
+     * Store the snapshot the relay asked a client for and drop the log entries it covers
+     */
+    addSnapshot(client, message) {
+        // Newcomers load the snapshot as the board, so only the client asked may send one
+        if (!this.snapshotRequest || this.snapshotRequest.clientId !== client.id) return;
+        this.snapshotRequest = null;
+
+        if (typeof message.seq !== 'number' || !isItemList(message.elements)) return;
+        if (message.layers !== null && message.layers !== undefined && !isItemList(message.layers)) return;
+        if (message.seq > this.seq || (this.snapshot && message.seq <= this.snapshot.seq)) return;
+
+        this.snapshot = {
+            seq: message.seq,
+            elements: message.elements,
+            layers: Array.isArray(message.layers) ? message.layers : null
+        };
+        this.log = this.log.filter(op => op.seq > message.seq);
+
+        // A client that reconnects may still resend trimmed operations, so forget only old ones
+        this.seenOps.forEach((seq, opId) => {
+            if (seq <= message.seq - SEEN_OPS_KEPT) {
+                this.seenOps.delete(opId);
+            }
+        });
+    }
+
+    /**
+     * Remember a client's cursor and viewport (so newcomers see it) and forward it
+     */
+    updatePresence(client, message) {
+        client.presence = message.presence || null;
+        this.relay(client, { type: 'presence', presence: client.presence });
+    }
+
+    /**
+     * Forward a message that is not sequenced to the other clients
+     */
+    relay(client, message) {
+        this.broadcast({ ...message, clientId: client.id }, client.id);
+    }
+
+    getPeers(exceptId) {
+        return Array.from(this.clients.values())
+            .filter(client => client.id !== exceptId)
+            .map(client => ({ clientId: client.id, name: client.name, presence: client.presence }));
+    }
+
+    broadcast(message, exceptId = null) {
+        const text = JSON.stringify(message);
+        this.clients.forEach(client => {
+            if (client.id !== exceptId) {
+                client.connection.send(text);
+            }
+        });
+    }
+
+    sendTo(client, message) {
+        client.connection.send(JSON.stringify(message));
+    }
+}
+
+const rooms = new Map();
+let nextClientId = 1;
+
+/**
+ * Handle a new WebSocket connection
+ */
+function handleConnection(connection) {
+    const client = { id: `c${nextClientId++}`, name: 'Guest', connection, room: null, presence: null };
+
+    connection.onMessage = (text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            connection.send(JSON.stringify({ type: 'error', message: 'Invalid JSON' }));
+            return;
+        }
+
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            connection.send(JSON.stringify({ type: 'error', message: 'Invalid message' }));
+            return;
+        }
+
+        // One client's bad message must not take down every room
+        try {
+            handleMessage(client, message);
+        } catch (error) {
+            console.warn('Failed to handle message:', error);
+            connection.send(JSON.stringify({ type: 'error', message: 'Invalid message' }));
+        }
+    };
+
+    connection.onClose = () => {
+        if (client.room) {
+            client.room.leave(client);
+        }
+    };
+}
+
+/**
+ * Handle a message from a client
+ */
+function handleMessage(client, message) {
+    const connection = client.connection;
+
+    if (message.type === 'join') {
+        if (client.room || typeof message.room !== 'string' || !message.room) {
+            connection.send(JSON.stringify({ type: 'error', message: 'Invalid join' }));
+            return;
+        }
+        if (!rooms.has(message.room)) {
+            rooms.set(message.room, new Room(message.room));
+        }
+        client.name = String(message.name || 'Guest').slice(0, 50);
+        client.room = rooms.get(message.room);
+        client.room.join(client, message.since, message.roomId);
+        return;
+    }
+
+    if (!client.room) {
+        connection.send(JSON.stringify({ type: 'error', message: 'Join a room first' }));
+        return;
+    }
+
+    switch (message.type) {
+        case 'op':
+            client.room.addOperation(client, message);
+            break;
+        case 'snapshot':
+            client.room.addSnapshot(client, message);
+            break;
+        case 'presence':
+            client.room.updatePresence(client, message);
+            break;
+        default:
+            // Other types (welcome, peer-left, ...) only come from the relay, so nothing else is forwarded
+            connection.send(JSON.stringify({ type: 'error', message: 'Unknown message type' }));
+    }
+}
+
+/**
+ * Whether a value is a plain object
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value is a list of elements or layers (objects with a string ID)
+ */
+function isItemList(value) {
+    return Array.isArray(value) && value.every(item => isObject(item) && typeof item.id === 'string');
+}
+
+/**
+ * Serve the app's files
+ */
+function serveFile(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        // Malformed escapes such as %E0%A4%A
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+
+    const filePath = path.resolve(ROOT, '.' + (pathname === '/' ? '/index.html' : pathname));
+    const relative = path.relative(ROOT, filePath);
+    const segments = relative.split(path.sep);
+
+    // Stay inside the app directory, skip hidden files and serve only the app itself
+    const isPublic = segments.length === 1 ?
+        PUBLIC_FILES.includes(segments[0]) :
+        PUBLIC_FOLDERS.includes(segments[0]);
+    if (relative.startsWith('..') || path.isAbsolute(relative) || pathname.includes('\0') ||
+        segments.some(segment => segment.startsWith('.')) || !isPublic) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        response.end(data);
+    });
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    const pathname = new URL(request.url, 'http://localhost').pathname;
+
+    if (pathname !== SYNC_PATH || !key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1')
+        .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    handleConnection(new Connection(socket));
+});
+
+// Drop rooms nobody has used for a day
+setInterval(() => {
+    const now = Date.now();
+    rooms.forEach((room, name) => {
+        if (room.clients.size === 0 && now - room.lastActive > ROOM_TTL) {
+            rooms.delete(name);
+        }
+    });
+}, 60 * 60 * 1000).unref();
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Whiteboard relay running at http://localhost:${PORT}/ (WebSocket: ws://localhost:${PORT}${SYNC_PATH})`);
+    });
+}
+
+// Export for tests
+module.exports = { Connection, Room, handleConnection, rooms, server, SNAPSHOT_INTERVAL };
@@ -0,0 +1,120 @@
+/**
+ * Service worker for the Online Whiteboard Tool
+ *
+ * Precaches the app so it works offline. App files are served from the cache;
+ * a new version is installed when this file changes (bump CACHE_VERSION when
+ * releasing) and takes over once the user accepts the update prompt.
+ */
+
+const CACHE_VERSION = 'v6';
+const APP_CACHE = `whiteboard-app-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'whiteboard-runtime';
+
+// Everything the app needs to start
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'css/themes.css',
+    'css/responsive.css',
+    'js/utils.js',
+    'js/scene.js',
+    'js/history.js',
+    'js/tools.js',
+    'js/canvas.js',
+    'js/svgexport.js',
+    'js/svgimport.js',
+    'js/pdfexport.js',
+    'js/recovery.js',
+    'js/fileops.js',
+    'js/clipboard.js',
+    'js/historypanel.js',
+    'js/layers.js',
+    'js/documents.js',
+    'js/websockettransport.js',
+    'js/collab.js',
+    'js/presence.js',
+    'js/tabsync.js',
+    'js/pwa.js',
+    'js/app.js',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/icon-maskable-512.png'
+];
+
+// Icon font from the CDN; cached if it can be reached while installing, otherwise on first use
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0';
+const CDN_FILES = [
+    `${FONT_AWESOME}/css/all.min.css`,
+    `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE).then(cache => cache.addAll(APP_FILES)).then(() => {
+            return caches.open(RUNTIME_CACHE).then(cache => Promise.all(CDN_FILES.map(url => {
+                return cache.match(url).then(cached => cached || cache.add(new Request(url, { mode: 'cors' })));
+            }))).catch(error => {
+                console.warn('Icon font not cached yet:', error);
+            });
+        })
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop the files of older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('whiteboard-app-') && key !== APP_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    // Sent by the page when the user accepts the update
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // Any page of the app (e.g. ?room= links) starts from the cached index.html
+        if (request.mode === 'navigate') {
+            event.respondWith(
+                caches.match('index.html', { cacheName: APP_CACHE }).then(cached => cached || fetch(request))
+            );
+            return;
+        }
+
+        event.respondWith(
+            caches.match(request, { cacheName: APP_CACHE, ignoreSearch: true }).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Cross-origin files (the icon font) never change for a given URL
+    if (url.href.startsWith(FONT_AWESOME)) {
+        event.respondWith(
+            caches.open(RUNTIME_CACHE).then(cache => cache.match(request).then(cached => {
+                if (cached) return cached;
+
+                return fetch(request).then(response => {
+                    if (response.ok || response.type === 'opaque') {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                });
+            }))
+        );
+    }
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for opening project files (format checks and the version 1.0 migration)
+ *
+ *     node --test test/*.test.js
+ */
+
+require('./setup.js');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Version 1.0 files hold pixels, which the migration draws on a canvas to make an image
+global.ImageData = class {
+    constructor(data, width, height) {
+        this.data = data;
+        this.width = width;
+        this.height = height;
+    }
+};
+
+const drawn = [];
+document.createElement = () => ({
+    getContext: () => ({ putImageData: (imageData) => drawn.push(imageData) }),
+    toDataURL: () => 'data:image/png;base64,AAAA'
+});
+
+const alerts = [];
+global.alert = (message) => alerts.push(message);
+
+// A canvas manager that only records what the board was replaced with
+const createFileOperations = () => {
+    const canvasManager = {
+        drawingTools: { settings: { color: '#000000', brushSize: 5 } },
+        replaceScene(elements, description, layers) {
+            this.loaded = { elements, description, layers };
+        },
+        setViewport(viewport) {
+            this.viewport = viewport;
+        }
+    };
+    return new FileOperations(canvasManager);
+};
+
+const v1Project = () => ({
+    version: '1.0',
+    name: 'Old board',
+    canvasData: { width: 2, height: 1, imageData: [255, 0, 0, 255, 0, 0, 255, 255] },
+    settings: { tools: { color: '#ff0000', brushSize: 12 }, theme: 'dark' },
+    metadata: { created: '2020-01-01T00:00:00.000Z' }
+});
+
+test('a version 1.0 project becomes a board with its pixels as one image', () => {
+    const fileOps = createFileOperations();
+    drawn.length = 0;
+
+    const project = fileOps.migrateProjectData(v1Project());
+
+    assert.strictEqual(project.format, fileOps.projectFormat);
+    assert.strictEqual(project.version, fileOps.projectVersion);
+    assert.strictEqual(project.name, 'Old board');
+    assert.strictEqual(project.scene.elements.length, 1);
+    const { id, ...image } = project.scene.elements[0];
+    assert.strictEqual(typeof id, 'string');
+    assert.deepStrictEqual(image, { type: 'image', x: 0, y: 0, width: 2, height: 1, src: 'data:image/png;base64,AAAA' });
+    assert.deepStrictEqual(Array.from(drawn[0].data), v1Project().canvasData.imageData);
+    assert.deepStrictEqual(project.viewport, { zoom: 1, panX: 0, panY: 0 });
+    assert.deepStrictEqual(project.settings, { tools: { color: '#ff0000', brushSize: 12 } });
+    assert.deepStrictEqual(project.metadata, { created: '2020-01-01T00:00:00.000Z' });
+});
+
+test('a version 1.0 project without pixels becomes an empty board', () => {
+    const fileOps = createFileOperations();
+    const projectData = v1Project();
+    delete projectData.canvasData.imageData;
+
+    assert.deepStrictEqual(fileOps.migrateProjectData(projectData).scene.elements, []);
+});
+
+test('loading a version 1.0 project replaces the board and keeps its tool settings', () => {
+    const fileOps = createFileOperations();
+
+    assert.strictEqual(fileOps.loadProjectData(v1Project()), true);
+
+    const { elements, description, layers } = fileOps.canvasManager.loaded;
+    assert.strictEqual(elements[0].type, 'image');
+    assert.strictEqual(description, 'Load Project');
+    assert.deepStrictEqual(layers, Scene.createDefaultLayers());
+    assert.deepStrictEqual(fileOps.canvasManager.viewport, { zoom: 1, panX: 0, panY: 0 });
+    assert.strictEqual(fileOps.canvasManager.drawingTools.settings.color, '#ff0000');
+    assert.strictEqual(fileOps.projectCreated, '2020-01-01T00:00:00.000Z');
+});
+
+test('current projects are opened as they are', () => {
+    const fileOps = createFileOperations();
+    const projectData = {
+        format: fileOps.projectFormat,
+        version: '2.0',
+        scene: { elements: [{ id: 'a', type: 'rectangle' }] }
+    };
+
+    assert.strictEqual(fileOps.migrateProjectData(projectData), projectData);
+});
+
+test('unrecognized and newer projects are refused with a message', () => {
+    const fileOps = createFileOperations();
+    alerts.length = 0;
+
+    assert.strictEqual(fileOps.loadProjectData({ version: '1.0' }), false);
+    assert.strictEqual(fileOps.loadProjectData(null), false);
+    assert.strictEqual(fileOps.loadProjectData({ format: fileOps.projectFormat, version: '99.0', scene: {} }), false);
+
+    assert.strictEqual(fileOps.canvasManager.loaded, undefined);
+    assert.deepStrictEqual(alerts, [
+        'Invalid project file format.',
+        'Invalid project file format.',
+        'This project was saved by a newer version of the whiteboard and cannot be opened.'
+    ]);
+});
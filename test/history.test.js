@@ -0,0 +1,164 @@
+/**
+ * Tests for HistoryManager
+ *
+ *     node --test test/*.test.js
+ */
+
+require('./setup.js');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const add = (history, name) => history.addCommand({ type: 'batch', name, commands: [] }, { type: 'batch', commands: [] }, name);
+const descriptions = history => history.history.map(item => item.description);
+
+// Record adding an element to a scene, the way CanvasManager does
+const draw = (scene, history, id) => {
+    const command = { type: 'add', entries: [{ element: { id, type: 'rectangle', layerId: 'layer-1' }, index: scene.elements.length }] };
+    scene.apply(command);
+    history.addCommand(command, Scene.invertCommand(command), id);
+};
+const ids = scene => scene.elements.map(element => element.id);
+
+test('restore brings back entries, position and saved state', () => {
+    const history = new HistoryManager();
+    add(history, 'one');
+    add(history, 'two');
+    history.markClean();
+    history.undo();
+
+    const restored = new HistoryManager();
+    restored.restore(JSON.parse(JSON.stringify(history.serialize())));
+
+    assert.deepStrictEqual(descriptions(restored), ['one', 'two']);
+    assert.strictEqual(restored.currentIndex, 0);
+    assert.strictEqual(restored.isClean(), false);
+    assert.strictEqual(restored.redo().name, 'two');
+    assert.strictEqual(restored.isClean(), true);
+});
+
+test('restore drops entries without commands and clamps the position', () => {
+    const history = new HistoryManager();
+    add(history, 'one');
+    const entry = history.history[0];
+
+    history.restore({ history: [entry, { id: 'broken', description: 'broken' }], currentIndex: 5 });
+
+    assert.deepStrictEqual(descriptions(history), ['one']);
+    assert.strictEqual(history.currentIndex, 0);
+});
+
+test('restore accepts missing data', () => {
+    const history = new HistoryManager();
+    add(history, 'one');
+
+    history.restore(null);
+
+    assert.deepStrictEqual(history.history, []);
+    assert.strictEqual(history.currentIndex, -1);
+    assert.strictEqual(history.isClean(), true);
+});
+
+test('recording after an undo keeps the undone entries as a branch', () => {
+    const history = new HistoryManager();
+    add(history, 'one');
+    add(history, 'two');
+    add(history, 'three');
+    history.undo();
+    history.undo();
+    add(history, 'other');
+
+    assert.deepStrictEqual(descriptions(history), ['one', 'other']);
+    const branches = history.getBranches();
+    assert.strictEqual(branches.length, 1);
+    assert.strictEqual(branches[0].forkIndex, 0);
+    assert.deepStrictEqual(branches[0].entries.map(item => item.description), ['two', 'three']);
+});
+
+test('switching branches returns the commands that move the scene there', () => {
+    const scene = new Scene();
+    const history = new HistoryManager();
+    draw(scene, history, 'a');
+    draw(scene, history, 'b');
+    scene.apply(history.undo());
+    draw(scene, history, 'c');
+    assert.deepStrictEqual(ids(scene), ['a', 'c']);
+
+    const branch = history.getBranches()[0];
+    history.switchBranch(branch.id).forEach(command => scene.apply(command));
+
+    assert.deepStrictEqual(ids(scene), ['a', 'b']);
+    assert.deepStrictEqual(descriptions(history), ['a', 'b']);
+    assert.strictEqual(history.currentIndex, 1);
+
+    // The timeline that was left is now the branch
+    const other = history.getBranches();
+    assert.strictEqual(other.length, 1);
+    assert.deepStrictEqual(other[0].entries.map(item => item.description), ['c']);
+
+    history.switchBranch(other[0].id).forEach(command => scene.apply(command));
+    assert.deepStrictEqual(ids(scene), ['a', 'c']);
+});
+
+test('switching to an entry inside a branch stops there', () => {
+    const scene = new Scene();
+    const history = new HistoryManager();
+    draw(scene, history, 'a');
+    draw(scene, history, 'b');
+    history.jumpToIndex(-1).forEach(command => scene.apply(command));
+    draw(scene, history, 'c');
+
+    const branch = history.getBranches()[0];
+    assert.strictEqual(branch.forkIndex, -1);
+
+    history.switchBranch(branch.id, branch.entries[0].id).forEach(command => scene.apply(command));
+
+    assert.deepStrictEqual(ids(scene), ['a']);
+    assert.strictEqual(history.canRedo(), true);
+});
+
+test('trimming the oldest entry moves the initial state past it', () => {
+    const history = new HistoryManager(3);
+    add(history, 'one');
+    history.undo();
+    add(history, 'two');
+    add(history, 'three');
+    history.undo();
+    add(history, 'four');
+    add(history, 'five');
+    assert.strictEqual(history.getBranches().length, 2);
+
+    add(history, 'six');
+
+    // The branch from the old initial state is gone; the one from 'two' now starts the board
+    assert.deepStrictEqual(descriptions(history), ['four', 'five', 'six']);
+    const branches = history.getBranches();
+    assert.strictEqual(branches.length, 1);
+    assert.strictEqual(branches[0].forkIndex, -1);
+    assert.deepStrictEqual(branches[0].entries.map(item => item.description), ['three']);
+});
+
+test('only the newest branches are kept', () => {
+    const history = new HistoryManager(500, 2);
+    ['a', 'b', 'c'].forEach(name => {
+        add(history, name);
+        history.undo();
+    });
+    add(history, 'd');
+
+    assert.deepStrictEqual(history.getBranches().map(branch => branch.entries[0].description), ['b', 'c']);
+});
+
+test('serialized history keeps branches but not thumbnails', () => {
+    const history = new HistoryManager();
+    history.addCommand({ type: 'batch', commands: [] }, { type: 'batch', commands: [] }, 'one', 'data:image/png;base64,AAAA');
+    history.undo();
+    add(history, 'two');
+
+    const data = history.serialize();
+    assert.strictEqual(data.branches.length, 1);
+    assert.strictEqual(data.branches[0].entries[0].thumbnail, null);
+
+    const restored = new HistoryManager();
+    restored.restore(data);
+    assert.strictEqual(restored.getBranches().length, 1);
+});
@@ -0,0 +1,379 @@
+/**
+ * Tests for the collaboration relay (WebSocket framing and room messages)
+ *
+ *     node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { Connection, handleConnection, SNAPSHOT_INTERVAL } = require('../server/relay.js');
+
+/**
+ * A socket that records what the relay writes
+ */
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.written = [];
+        this.ended = false;
+    }
+
+    write(data) {
+        this.written.push(data);
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    destroy() {}
+
+    /**
+     * Frames the relay has written so far
+     * @returns {Array} Frames {opcode, final, payload}
+     */
+    getFrames() {
+        const frames = [];
+        let buffer = Buffer.concat(this.written);
+
+        while (buffer.length > 0) {
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            frames.push({
+                opcode: buffer[0] & 0x0f,
+                final: (buffer[0] & 0x80) !== 0,
+                masked: (buffer[1] & 0x80) !== 0,
+                payload: buffer.slice(offset, offset + length)
+            });
+            buffer = buffer.slice(offset + length);
+        }
+        return frames;
+    }
+}
+
+/**
+ * Build a frame the way a browser sends it (masked)
+ */
+const clientFrame = (opcode, payload, { final = true, masked = true } = {}) => {
+    const data = Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = (final ? 0x80 : 0) | opcode;
+
+    if (!masked) return Buffer.concat([header, data]);
+
+    header[1] |= 0x80;
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    const body = Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]));
+    return Buffer.concat([header, mask, body]);
+};
+
+const openConnection = () => {
+    const socket = new FakeSocket();
+    const connection = new Connection(socket);
+    const messages = [];
+    connection.onMessage = (text) => messages.push(text);
+    return { socket, connection, messages };
+};
+
+test('masked text frames are read as messages', () => {
+    const { socket, messages } = openConnection();
+
+    socket.emit('data', Buffer.concat([clientFrame(0x1, 'one'), clientFrame(0x1, 'two')]));
+
+    assert.deepStrictEqual(messages, ['one', 'two']);
+});
+
+test('frames split across reads are put back together', () => {
+    const { socket, messages } = openConnection();
+    const frame = clientFrame(0x1, 'x'.repeat(300));
+
+    for (let i = 0; i < frame.length; i += 7) {
+        socket.emit('data', frame.slice(i, i + 7));
+    }
+
+    assert.deepStrictEqual(messages, ['x'.repeat(300)]);
+});
+
+test('fragmented messages are joined', () => {
+    const { socket, messages } = openConnection();
+
+    socket.emit('data', clientFrame(0x1, 'hel', { final: false }));
+    socket.emit('data', clientFrame(0x0, 'lo', { final: false }));
+    assert.deepStrictEqual(messages, []);
+    socket.emit('data', clientFrame(0x0, ' world'));
+
+    assert.deepStrictEqual(messages, ['hello world']);
+});
+
+test('messages with 64-bit lengths are read', () => {
+    const { socket, messages } = openConnection();
+    const text = 'y'.repeat(70000);
+
+    socket.emit('data', clientFrame(0x1, text));
+
+    assert.strictEqual(messages[0], text);
+});
+
+test('sent messages use the shortest length encoding and no mask', () => {
+    const { socket, connection } = openConnection();
+
+    connection.send('short');
+    connection.send('m'.repeat(200));
+    connection.send('l'.repeat(70000));
+
+    const frames = socket.getFrames();
+    assert.deepStrictEqual(frames.map(frame => frame.payload.length), [5, 200, 70000]);
+    assert.deepStrictEqual(Buffer.concat(socket.written).slice(0, 2), Buffer.from([0x81, 5]));
+    assert.ok(frames.every(frame => frame.opcode === 0x1 && frame.final && !frame.masked));
+    assert.strictEqual(frames[1].payload.toString(), 'm'.repeat(200));
+});
+
+test('pings are answered with pongs', () => {
+    const { socket } = openConnection();
+
+    socket.emit('data', clientFrame(0x9, 'ping'));
+
+    const [pong] = socket.getFrames();
+    assert.strictEqual(pong.opcode, 0xa);
+    assert.strictEqual(pong.payload.toString(), 'ping');
+});
+
+test('a close frame closes the connection', () => {
+    const { socket, connection } = openConnection();
+    let closed = 0;
+    connection.onClose = () => closed++;
+
+    socket.emit('data', clientFrame(0x8, Buffer.from([0x03, 0xe8])));
+    socket.emit('close');
+
+    const [close] = socket.getFrames();
+    assert.strictEqual(close.opcode, 0x8);
+    assert.strictEqual(close.payload.readUInt16BE(0), 1000);
+    assert.strictEqual(socket.ended, true);
+    assert.strictEqual(closed, 1);
+});
+
+test('unmasked frames are a protocol error', () => {
+    const { socket, messages } = openConnection();
+
+    socket.emit('data', clientFrame(0x1, 'hello', { masked: false }));
+
+    assert.deepStrictEqual(messages, []);
+    assert.strictEqual(socket.getFrames()[0].payload.readUInt16BE(0), 1002);
+    assert.strictEqual(socket.ended, true);
+});
+
+/**
+ * A connected client that records the messages the relay sends it
+ */
+const connect = () => {
+    const connection = {
+        received: [],
+        send(text) {
+            this.received.push(JSON.parse(text));
+        },
+        receive(message) {
+            this.onMessage(typeof message === 'string' ? message : JSON.stringify(message));
+        },
+        close() {
+            this.onClose();
+        },
+        take() {
+            return this.received.splice(0);
+        }
+    };
+    handleConnection(connection);
+    return connection;
+};
+
+let roomCount = 0;
+
+/**
+ * Join clients to a new room and return them after the welcome
+ */
+const joinRoom = (count) => {
+    const room = `room-${++roomCount}`;
+    const clients = [];
+    for (let i = 0; i < count; i++) {
+        const client = connect();
+        client.receive({ type: 'join', room, name: `User ${i + 1}` });
+        client.welcome = client.received.find(message => message.type === 'welcome');
+        clients.push(client);
+    }
+    clients.forEach(client => client.take());
+    return { room, clients };
+};
+
+const command = { type: 'add', entries: [] };
+
+test('bad messages get an error and change nothing', () => {
+    const client = connect();
+
+    ['{not json', '[1, 2]', '"text"', 'null'].forEach(text => client.receive(text));
+    client.receive({ type: 'op', opId: 'a', command });
+    client.receive({ type: 'join', room: '' });
+
+    assert.deepStrictEqual(client.take().map(message => message.message), [
+        'Invalid JSON', 'Invalid message', 'Invalid message', 'Invalid message', 'Join a room first', 'Invalid join'
+    ]);
+});
+
+test('joining sends the room state and tells the others', () => {
+    const { room, clients: [first] } = joinRoom(1);
+    const second = connect();
+
+    second.receive({ type: 'join', room, name: 'Second' });
+
+    const [welcome] = second.take();
+    assert.strictEqual(welcome.type, 'welcome');
+    assert.strictEqual(welcome.seq, 0);
+    assert.deepStrictEqual(welcome.ops, []);
+    assert.deepStrictEqual(welcome.peers.map(peer => peer.name), ['User 1']);
+    assert.deepStrictEqual(first.take(), [{ type: 'peer-joined', clientId: welcome.clientId, name: 'Second' }]);
+
+    second.receive({ type: 'join', room });
+    assert.strictEqual(second.take()[0].message, 'Invalid join');
+});
+
+test('operations are sequenced and sent to everyone', () => {
+    const { clients: [first, second] } = joinRoom(2);
+
+    first.receive({ type: 'op', opId: 'op-1', command });
+    second.receive({ type: 'op', opId: 'op-2', command });
+
+    [first, second].forEach(client => {
+        assert.deepStrictEqual(client.take().map(op => [op.type, op.seq, op.opId]), [['op', 1, 'op-1'], ['op', 2, 'op-2']]);
+    });
+});
+
+test('a repeated operation is not sequenced again', () => {
+    const { clients: [first, second] } = joinRoom(2);
+
+    first.receive({ type: 'op', opId: 'op-1', command });
+    first.take();
+    second.take();
+    first.receive({ type: 'op', opId: 'op-1', command });
+
+    assert.deepStrictEqual(first.take(), [{ type: 'duplicate', opId: 'op-1' }]);
+    assert.deepStrictEqual(second.take(), []);
+});
+
+test('operations without an ID or command are ignored', () => {
+    const { clients: [first] } = joinRoom(1);
+
+    first.receive({ type: 'op', command });
+    first.receive({ type: 'op', opId: 'op-1', command: [command] });
+
+    assert.deepStrictEqual(first.take(), []);
+});
+
+test('presence is forwarded; messages only the relay sends are not', () => {
+    const { clients: [first, second] } = joinRoom(2);
+
+    first.receive({ type: 'presence', presence: { cursor: { x: 1, y: 2 } } });
+    first.receive({ type: 'peer-left', clientId: second.welcome.clientId });
+
+    assert.deepStrictEqual(second.take(), [
+        { type: 'presence', presence: { cursor: { x: 1, y: 2 } }, clientId: first.welcome.clientId }
+    ]);
+    assert.deepStrictEqual(first.take(), [{ type: 'error', message: 'Unknown message type' }]);
+});
+
+test('leaving tells the others', () => {
+    const { clients: [first, second] } = joinRoom(2);
+
+    first.close();
+
+    assert.deepStrictEqual(second.take(), [{ type: 'peer-left', clientId: first.welcome.clientId }]);
+});
+
+test('a rejoining client gets only the operations it missed', () => {
+    const { room, clients: [first] } = joinRoom(1);
+    first.receive({ type: 'op', opId: 'op-1', command });
+    first.receive({ type: 'op', opId: 'op-2', command });
+    first.close();
+
+    const again = connect();
+    again.receive({ type: 'join', room, since: 1, roomId: first.welcome.roomId });
+    const [resumed] = again.take();
+    assert.deepStrictEqual(resumed.ops.map(op => op.seq), [2]);
+
+    // `since` means nothing in another instance of the room, so that client starts over
+    const other = connect();
+    other.receive({ type: 'join', room, since: 1, roomId: 'gone' });
+    assert.deepStrictEqual(other.take()[0].ops.map(op => op.seq), [1, 2]);
+});
+
+/**
+ * Send enough operations for the relay to ask for a snapshot
+ */
+const fillLog = (client) => {
+    for (let i = 1; i <= SNAPSHOT_INTERVAL; i++) {
+        client.receive({ type: 'op', opId: `op-${i}`, command });
+    }
+};
+
+test('the log is trimmed with a snapshot from the client asked for one', () => {
+    const { room, clients: [first, second] } = joinRoom(2);
+
+    fillLog(first);
+    assert.deepStrictEqual(first.take().filter(message => message.type === 'snapshot-request').length, 1);
+    assert.ok(second.take().every(message => message.type === 'op'));
+
+    // Only the client asked may send the snapshot newcomers start from
+    const elements = [{ id: 'a', type: 'rectangle' }];
+    second.receive({ type: 'snapshot', seq: SNAPSHOT_INTERVAL, elements: [{ id: 'evil' }] });
+    first.receive({ type: 'snapshot', seq: SNAPSHOT_INTERVAL - 1, elements });
+    first.receive({ type: 'op', opId: 'last', command });
+
+    const late = connect();
+    late.receive({ type: 'join', room });
+    const [welcome] = late.take();
+    assert.deepStrictEqual(welcome.snapshot, { seq: SNAPSHOT_INTERVAL - 1, elements, layers: null });
+    assert.deepStrictEqual(welcome.ops.map(op => op.opId), [`op-${SNAPSHOT_INTERVAL}`, 'last']);
+
+    // Trimmed operations are still recognized when a client resends them
+    first.take();
+    first.receive({ type: 'op', opId: 'op-1', command });
+    assert.deepStrictEqual(first.take(), [{ type: 'duplicate', opId: 'op-1' }]);
+});
+
+test('snapshots that are not element lists are ignored', () => {
+    const { room, clients: [first] } = joinRoom(1);
+
+    fillLog(first);
+    first.receive({ type: 'snapshot', seq: SNAPSHOT_INTERVAL, elements: [{ type: 'no id' }] });
+
+    const late = connect();
+    late.receive({ type: 'join', room });
+    assert.strictEqual(late.take()[0].snapshot, null);
+});
+
+test('another client is asked when the one asked for a snapshot leaves', () => {
+    const { clients: [first, second] } = joinRoom(2);
+
+    fillLog(first);
+    second.take();
+    first.close();
+
+    assert.deepStrictEqual(second.take().map(message => message.type), ['peer-left', 'snapshot-request']);
+});
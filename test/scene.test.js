@@ -0,0 +1,208 @@
+/**
+ * Tests for scene commands (apply, invertCommand, merge and isValidCommand)
+ *
+ *     node --test test/*.test.js
+ */
+
+require('./setup.js');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const rect = (id, x = 0) => ({ id, type: 'rectangle', x, y: 0, width: 10, height: 10, layerId: 'layer-1' });
+const ids = scene => scene.elements.map(element => element.id);
+
+test('add inserts each element at its recorded index', () => {
+    const scene = new Scene();
+    scene.load([rect('a'), rect('c')]);
+
+    scene.apply({ type: 'add', entries: [{ element: rect('d'), index: 3 }, { element: rect('b'), index: 1 }] });
+
+    assert.deepStrictEqual(ids(scene), ['a', 'b', 'c', 'd']);
+});
+
+test('add skips elements that are already in the scene', () => {
+    const scene = new Scene();
+    scene.load([rect('a')]);
+
+    scene.apply({ type: 'add', entries: [{ element: rect('a', 50), index: 0 }] });
+
+    assert.deepStrictEqual(ids(scene), ['a']);
+    assert.strictEqual(scene.get('a').x, 0);
+});
+
+test('add stores copies, not the command\'s elements', () => {
+    const scene = new Scene();
+    const element = rect('a');
+
+    scene.apply({ type: 'add', entries: [{ element, index: 0 }] });
+    element.x = 99;
+
+    assert.strictEqual(scene.get('a').x, 0);
+});
+
+test('remove, update and replace change the scene', () => {
+    const scene = new Scene();
+    scene.load([rect('a'), rect('b')]);
+
+    scene.apply({ type: 'update', changes: [{ id: 'b', before: rect('b'), after: rect('b', 20) }] });
+    assert.strictEqual(scene.get('b').x, 20);
+
+    scene.apply({ type: 'remove', entries: [{ element: rect('a'), index: 0 }] });
+    assert.deepStrictEqual(ids(scene), ['b']);
+
+    scene.apply({ type: 'replace', before: scene.toJSON(), after: [rect('x'), rect('y')] });
+    assert.deepStrictEqual(ids(scene), ['x', 'y']);
+});
+
+test('update ignores elements that are not in the scene', () => {
+    const scene = new Scene();
+    scene.load([rect('a')]);
+
+    scene.apply({ type: 'update', changes: [{ id: 'missing', before: rect('missing'), after: rect('missing', 5) }] });
+
+    assert.deepStrictEqual(scene.toJSON(), [rect('a')]);
+});
+
+test('layer commands keep at least one layer', () => {
+    const scene = new Scene();
+
+    scene.apply({ type: 'remove', target: 'layers', entries: [{ element: scene.layers[0], index: 0 }] });
+
+    assert.strictEqual(scene.layers.length, 1);
+});
+
+test('an inverted command undoes the command', () => {
+    const original = [rect('a'), rect('b'), rect('c')];
+    const commands = [
+        { type: 'add', entries: [{ element: rect('d'), index: 1 }] },
+        { type: 'remove', entries: [{ element: rect('b'), index: 1 }] },
+        { type: 'update', changes: [{ id: 'c', before: rect('c'), after: rect('c', 30) }] },
+        { type: 'replace', before: original, after: [rect('z')] }
+    ];
+
+    commands.forEach(command => {
+        const scene = new Scene();
+        scene.load(original);
+
+        scene.apply(command);
+        scene.apply(Scene.invertCommand(command));
+
+        assert.deepStrictEqual(scene.toJSON(), original, command.type);
+    });
+});
+
+test('an inverted batch undoes its commands in reverse order', () => {
+    const scene = new Scene();
+    scene.load([rect('a')]);
+    const batch = {
+        type: 'batch',
+        commands: [
+            { type: 'add', entries: [{ element: rect('b'), index: 1 }] },
+            { type: 'update', changes: [{ id: 'b', before: rect('b'), after: rect('b', 40) }] }
+        ]
+    };
+
+    scene.apply(batch);
+    assert.strictEqual(scene.get('b').x, 40);
+
+    const inverse = Scene.invertCommand(batch);
+    assert.deepStrictEqual(inverse.commands.map(command => command.type), ['update', 'remove']);
+
+    scene.apply(inverse);
+    assert.deepStrictEqual(scene.toJSON(), [rect('a')]);
+});
+
+test('inverting keeps the target', () => {
+    const inverse = Scene.invertCommand({ type: 'add', target: 'layers', entries: [] });
+
+    assert.deepStrictEqual(inverse, { type: 'remove', target: 'layers', entries: [] });
+});
+
+test('merge applies a peer\'s command and returns what reverts it', () => {
+    const scene = new Scene();
+    scene.load([rect('a'), rect('b', 5)]);
+    // Made by a peer that had not seen 'b' move
+    const command = {
+        type: 'batch',
+        commands: [
+            { type: 'update', changes: [{ id: 'b', before: rect('b'), after: rect('b', 50) }] },
+            { type: 'add', entries: [{ element: rect('c'), index: 2 }] }
+        ]
+    };
+
+    const inverse = scene.merge(command);
+    assert.deepStrictEqual(ids(scene), ['a', 'b', 'c']);
+    assert.strictEqual(scene.get('b').x, 50);
+
+    // The inverse goes back to this scene's state, not the peer's
+    scene.apply(inverse);
+    assert.deepStrictEqual(scene.toJSON(), [rect('a'), rect('b', 5)]);
+});
+
+test('merge drops changes to elements the scene does not have', () => {
+    const scene = new Scene();
+    scene.load([rect('a')]);
+
+    const inverse = scene.merge({
+        type: 'batch',
+        commands: [
+            { type: 'add', entries: [{ element: rect('a', 70), index: 0 }] },
+            { type: 'remove', entries: [{ element: rect('gone'), index: 3 }] },
+            { type: 'update', changes: [{ id: 'gone', before: rect('gone'), after: rect('gone', 1) }] }
+        ]
+    });
+
+    assert.deepStrictEqual(scene.toJSON(), [rect('a')]);
+    assert.ok(inverse.commands.every(command => (command.entries || command.changes).length === 0));
+});
+
+test('merging the same command twice changes nothing the second time', () => {
+    const scene = new Scene();
+    scene.load([rect('a'), rect('b')]);
+    const command = { type: 'remove', entries: [{ element: rect('a'), index: 0 }] };
+
+    scene.merge(command);
+    const inverse = scene.merge(command);
+    scene.apply(inverse);
+
+    assert.deepStrictEqual(ids(scene), ['b']);
+});
+
+test('merge reverts a removal to where the element is in this scene', () => {
+    const scene = new Scene();
+    scene.load([rect('x'), rect('a'), rect('b')]);
+
+    const inverse = scene.merge({ type: 'remove', entries: [{ element: rect('b'), index: 0 }] });
+    scene.apply(inverse);
+
+    assert.deepStrictEqual(ids(scene), ['x', 'a', 'b']);
+});
+
+test('isValidCommand accepts commands apply() can run', () => {
+    const valid = [
+        { type: 'add', entries: [{ element: rect('a'), index: 0 }] },
+        { type: 'remove', target: 'layers', entries: [{ element: Scene.createLayer('Layer', 'l'), index: 0 }] },
+        { type: 'update', changes: [{ id: 'a', before: rect('a'), after: rect('a', 1) }] },
+        { type: 'replace', before: [], after: [rect('a')] },
+        { type: 'batch', commands: [{ type: 'batch', commands: [] }] }
+    ];
+
+    valid.forEach(command => assert.strictEqual(Scene.isValidCommand(command), true, command.type));
+});
+
+test('isValidCommand rejects commands that would break apply()', () => {
+    const invalid = [
+        null,
+        [],
+        { type: 'unknown' },
+        { type: 'add', target: 'elements', entries: [] },
+        { type: 'add', entries: 'a' },
+        { type: 'add', entries: [{ element: { type: 'rectangle' }, index: 0 }] },
+        { type: 'remove', entries: [{ element: rect('a') }] },
+        { type: 'update', changes: [{ id: 'a', after: rect('a') }] },
+        { type: 'replace', before: [], after: [null] },
+        { type: 'batch', commands: [{ type: 'add' }] }
+    ];
+
+    invalid.forEach(command => assert.strictEqual(Scene.isValidCommand(command), false, JSON.stringify(command)));
+});
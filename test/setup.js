@@ -0,0 +1,22 @@
+/**
+ * Test setup: loads the app's scripts into Node
+ *
+ * In the browser every script defines a global that the scripts after it use;
+ * this does the same with require(), and gives them just enough of `document`
+ * to load without a page.
+ */
+
+global.document = global.document || {
+    addEventListener() {},
+    getElementById() { return null; },
+    querySelectorAll() { return []; }
+};
+
+// Created by history.js in the browser
+global.historyManager = null;
+
+global.Utils = require('../js/utils.js');
+global.Scene = require('../js/scene.js');
+global.HistoryManager = require('../js/history.js');
+global.RecoveryDialog = require('../js/recovery.js');
+global.FileOperations = require('../js/fileops.js');
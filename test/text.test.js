@@ -0,0 +1,152 @@
+/**
+ * Tests for laying out text elements and wrapping the text of sticky notes
+ *
+ *     node --test test/*.test.js
+ */
+
+require('./setup.js');
+const test = require('node:test');
+const assert = require('node:assert');
+
+/**
+ * A context that measures every character as half the font size wide (a bit more in bold),
+ * so at the default 20px font each character is 10 units wide
+ */
+const createMeasureContext = () => ({
+    font: '20px sans-serif',
+    measureText(text) {
+        const fontSize = parseFloat(this.font.match(/([\d.]+)px/)[1]);
+        return { width: text.length * fontSize * (/\bbold\b/.test(this.font) ? 0.6 : 0.5) };
+    }
+});
+
+const textElement = (props) => ({ type: 'text', fontSize: 20, fontFamily: 'sans-serif', ...props });
+const lineTexts = layout => layout.lines.map(line => line.items.map(item => item.text).join(''));
+
+test('layoutText breaks lines at newlines and sizes the box to the widest', () => {
+    const layout = Scene.layoutText(createMeasureContext(), textElement({ text: 'ab\nabcd' }));
+
+    assert.deepStrictEqual(lineTexts(layout), ['ab', 'abcd']);
+    assert.deepStrictEqual(layout.lines.map(line => [line.y, line.width]), [[0, 20], [24, 40]]);
+    assert.strictEqual(layout.width, 40);
+    assert.strictEqual(layout.height, 44);
+});
+
+test('layoutText uses the element\'s line height', () => {
+    const layout = Scene.layoutText(createMeasureContext(), textElement({ text: 'a\nb', lineHeight: 2 }));
+
+    assert.strictEqual(layout.lineHeight, 40);
+    assert.strictEqual(layout.lines[1].y, 40);
+});
+
+test('layoutText wraps between words at the wrap width', () => {
+    const layout = Scene.layoutText(createMeasureContext(), textElement({ text: 'the quick brown fox', wrapWidth: 100 }));
+
+    // Wrapped lines neither end nor start with the space they were broken at
+    assert.deepStrictEqual(lineTexts(layout), ['the quick', 'brown fox']);
+    assert.strictEqual(layout.width, 100);
+});
+
+test('layoutText breaks words too long for a line between characters', () => {
+    const layout = Scene.layoutText(createMeasureContext(), textElement({ text: 'abcdefghijkl', wrapWidth: 50 }));
+
+    assert.deepStrictEqual(lineTexts(layout), ['abcde', 'fghij', 'kl']);
+});
+
+test('layoutText does not count trailing spaces', () => {
+    const layout = Scene.layoutText(createMeasureContext(), textElement({ text: 'ab   \ncd' }));
+
+    assert.deepStrictEqual(lineTexts(layout), ['ab', 'cd']);
+    assert.strictEqual(layout.width, 20);
+});
+
+test('layoutText places formatted runs one after another', () => {
+    const layout = Scene.layoutText(createMeasureContext(), textElement({
+        runs: [{ text: 'bold', bold: true }, { text: ' and ' }, { text: 'plain' }, { text: '!', underline: true }]
+    }));
+
+    // Runs with the same format are measured as one piece
+    const items = layout.lines[0].items.map(({ text, x, width, bold, underline }) => ({ text, x, width, bold, underline }));
+    assert.deepStrictEqual(items, [
+        { text: 'bold', x: 0, width: 48, bold: true, underline: false },
+        { text: ' and plain', x: 48, width: 100, bold: false, underline: false },
+        { text: '!', x: 148, width: 10, bold: false, underline: true }
+    ]);
+    assert.strictEqual(layout.width, 158);
+});
+
+test('layoutText wraps formatted runs', () => {
+    const layout = Scene.layoutText(createMeasureContext(), textElement({
+        runs: [{ text: 'one ' }, { text: 'two', bold: true }, { text: ' three' }],
+        wrapWidth: 80
+    }));
+
+    assert.deepStrictEqual(lineTexts(layout), ['one two', 'three']);
+    assert.deepStrictEqual(layout.lines[0].items.map(item => item.bold), [false, true]);
+});
+
+test('layoutText aligns lines within the box', () => {
+    const ctx = createMeasureContext();
+    const offsets = align => Scene.layoutText(ctx, textElement({ text: 'ab\nabcd', align })).lines.map(line => line.x);
+
+    assert.deepStrictEqual(offsets('left'), [0, 0]);
+    assert.deepStrictEqual(offsets('center'), [10, 0]);
+    assert.deepStrictEqual(offsets('right'), [20, 0]);
+});
+
+test('wrapText breaks lines between words', () => {
+    const lines = Scene.wrapText(createMeasureContext(), 'the quick brown fox', 100);
+
+    assert.deepStrictEqual(lines, ['the quick', 'brown fox']);
+});
+
+test('wrapText keeps newlines and collapses spaces', () => {
+    const lines = Scene.wrapText(createMeasureContext(), 'one   two\n\nthree', 100);
+
+    assert.deepStrictEqual(lines, ['one two', '', 'three']);
+});
+
+test('wrapText breaks words too long for a line between characters', () => {
+    const lines = Scene.wrapText(createMeasureContext(), 'go abcdefghijkl', 50);
+
+    assert.deepStrictEqual(lines, ['go', 'abcde', 'fghij', 'kl']);
+});
+
+test('wrapText keeps at least one character on each line', () => {
+    const lines = Scene.wrapText(createMeasureContext(), 'abc', 5);
+
+    assert.deepStrictEqual(lines, ['a', 'b', 'c']);
+});
+
+test('wrapText gives an empty note one empty line', () => {
+    assert.deepStrictEqual(Scene.wrapText(createMeasureContext(), '', 100), ['']);
+});
+
+test('note text keeps its font size when it fits', () => {
+    const note = { text: 'short', fontFamily: 'sans-serif', fontSize: 20 };
+    const box = { x: 0, y: 0, width: 200, height: 200 };
+
+    const layout = Scene.layoutNote(createMeasureContext(), note, box);
+
+    assert.strictEqual(layout.fontSize, 20);
+    assert.deepStrictEqual(layout.lines.map(line => line.text), ['short']);
+    // A single line is centered on the note
+    assert.strictEqual(layout.lines[0].offset, 0);
+});
+
+test('note text shrinks until it fits the note', () => {
+    const note = { text: 'many words that will not fit in this small note at full size', fontFamily: 'sans-serif', fontSize: 40 };
+    const box = { x: 0, y: 0, width: 200, height: 200 };
+
+    const layout = Scene.layoutNote(createMeasureContext(), note, box);
+
+    assert.ok(layout.fontSize < 40);
+    assert.ok(layout.lines.length * layout.lineHeight <= box.height - layout.padding * 2);
+});
+
+test('note text stops shrinking at the minimum size', () => {
+    const note = { text: 'x '.repeat(500), fontFamily: 'sans-serif', fontSize: 20 };
+    const box = { x: 0, y: 0, width: 50, height: 50 };
+
+    assert.strictEqual(Scene.layoutNote(createMeasureContext(), note, box).fontSize, 6);
+});